@@ -0,0 +1,287 @@
+// Canvas 2D backend. The drawings in <defs> are rasterised once into bitmaps and then only
+// copied into place each frame, which keeps up far better than moving hundreds of SVG nodes
+// when the slope is full of obstacles. It draws the same picture as SvgRenderer.
+
+const SPRITE_RESOLUTION = 3; // bitmap pixels per drawing unit, enough for the biggest scale (2.4)
+const SPRITE_PADDING = 4; // strokes reach a little outside the measured box
+
+// Bitmaps of every drawing in <defs>, by id
+class SpriteSheet {
+    constructor(svg) {
+        this.sprites = {}; // id -> { image, x, y, width, height }, image set once it has loaded
+        const defs = svg.querySelector('defs');
+        // Every sprite gets all of <defs>, in case a drawing uses another one
+        const markup = new XMLSerializer().serializeToString(defs);
+        const scale = SPRITE_RESOLUTION * Math.min(2, window.devicePixelRatio || 1);
+        Array.from(defs.children).forEach(def => {
+            if (def.id) this.rasterise(svg, def.id, markup, scale);
+        });
+    }
+
+    // How far the drawing reaches, measured with a <use> in the live SVG
+    measure(svg, id) {
+        const use = svgUse(id);
+        svg.appendChild(use);
+        let box = null;
+        try {
+            box = use.getBBox();
+        } catch (e) {
+            console.error("Failed to measure sprite", id, e);
+        }
+        use.remove();
+        return box && box.width > 0 && box.height > 0 ? box : null;
+    }
+
+    rasterise(svg, id, markup, scale) {
+        const box = this.measure(svg, id);
+        if (!box) return;
+        const sprite = {
+            image: null,
+            x: box.x - SPRITE_PADDING,
+            y: box.y - SPRITE_PADDING,
+            width: box.width + SPRITE_PADDING * 2,
+            height: box.height + SPRITE_PADDING * 2
+        };
+        this.sprites[id] = sprite;
+        const width = Math.ceil(sprite.width * scale);
+        const height = Math.ceil(sprite.height * scale);
+        const source = `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" width="${width}" height="${height}" ` +
+            `viewBox="${sprite.x} ${sprite.y} ${sprite.width} ${sprite.height}">` +
+            `${markup}<use href="#${id}" xlink:href="#${id}"/></svg>`;
+        const image = new Image();
+        image.onload = () => {
+            const bitmap = document.createElement('canvas');
+            bitmap.width = width;
+            bitmap.height = height;
+            bitmap.getContext('2d').drawImage(image, 0, 0, width, height);
+            sprite.image = bitmap;
+        };
+        image.onerror = () => console.error("Failed to rasterise sprite", id);
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+    }
+
+    // Like <use href="#id" transform="translate(x, y) rotate(rotate) scale(scaleX, scaleY)">
+    draw(ctx, id, x, y, scaleX = 1, scaleY = scaleX, rotate = 0) {
+        const sprite = this.sprites[id];
+        if (!sprite || !sprite.image) return; // not loaded yet
+        ctx.save();
+        ctx.translate(x, y);
+        if (rotate) ctx.rotate(rotate * Math.PI / 180);
+        ctx.scale(scaleX, scaleY);
+        ctx.drawImage(sprite.image, sprite.x, sprite.y, sprite.width, sprite.height);
+        ctx.restore();
+    }
+}
+
+class CanvasRenderer {
+    constructor(canvas, svg) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.svg = svg;
+        this.sprites = null; // rasterised on the first mount
+        this.pixelRatio = 1;
+        this.mounted = false;
+        window.addEventListener('resize', () => {
+            if (this.mounted) this.resize();
+        });
+    }
+
+    mount() {
+        this.mounted = true;
+        this.canvas.classList.remove('hidden');
+        if (!this.sprites) this.sprites = new SpriteSheet(this.svg);
+        this.resize();
+    }
+
+    unmount() {
+        this.mounted = false;
+        this.canvas.classList.add('hidden');
+    }
+
+    // As many bitmap pixels as the canvas covers on screen; drawing stays in game coordinates
+    resize() {
+        const shown = Math.min(this.canvas.clientWidth / CONFIG.GAME_WIDTH, this.canvas.clientHeight / CONFIG.GAME_HEIGHT);
+        this.pixelRatio = (window.devicePixelRatio || 1) * (shown || 1);
+        this.canvas.width = Math.round(CONFIG.GAME_WIDTH * this.pixelRatio);
+        this.canvas.height = Math.round(CONFIG.GAME_HEIGHT * this.pixelRatio);
+    }
+
+    render(game, alpha, view) {
+        const ctx = this.ctx;
+        const sim = game.sim;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+
+        ctx.fillStyle = "rgba(255,255,255,0.4)";
+        sim.bgManager.patches.forEach(p => {
+            ctx.beginPath();
+            ctx.ellipse(p.x + view.background, lerp(p.prevY, p.y, alpha), p.rx, p.ry, 0, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Same layers as the SVG: slope, trail, skiers, then JJ barriers on top
+        ctx.translate(view.x, view.y);
+        sim.obstacles.forEach(obstacle => {
+            if (obstacle.type !== 'jj-barrier' && obstacleVisible(obstacle)) this.drawObstacle(obstacle, alpha);
+        });
+        this.drawPoopingJJ(sim.poopingJJ, alpha);
+        this.drawParticles(sim.particleSystem.particles, alpha);
+        this.drawPopups(sim.scorePopups.popups, alpha);
+        const skiers = slopeSkiers(sim);
+        skiers.forEach(skier => this.drawTrail(skier.trails, sim.lastScrollStep * (1 - alpha), skier.color || TRAIL_COLOR));
+        if (game.ghost) this.drawSkier(game.ghost.player, alpha, GHOST_OPACITY, false);
+        // Same rhythm as the .blinking animation: 0.1s on, 0.1s off
+        const blinkOff = !game.settings.reducedMotion && Math.floor(performance.now() / 100) % 2 === 1;
+        remoteSkiers(game).forEach(remote => {
+            if (!(remote.blinkTicks > 0 && blinkOff)) this.drawSkier(remote.player, alpha, 1, false);
+        });
+        skiers.forEach(skier => {
+            if (!(skier.blinking && blinkOff)) this.drawSkier(skier.player, alpha, 1, skier.shield, skier.color || SKIER_NAME.fill);
+        });
+        sim.obstacles.forEach(obstacle => {
+            if (obstacle.type === 'jj-barrier') this.drawObstacle(obstacle, alpha);
+        });
+    }
+
+    drawObstacle(obstacle, alpha) {
+        const ctx = this.ctx;
+        const sprites = this.sprites;
+        const x = obstacle.x;
+        const y = lerp(obstacle.prevY, obstacle.y, alpha);
+        if (obstacle.type === 'jj-barrier') {
+            if (obstacle.crackScale > 0) sprites.draw(ctx, 'ice-crack', x, y - 30, obstacle.crackScale, 1);
+            sprites.draw(ctx, 'kid', x + obstacle.kidOffsetX, y - 30 - obstacle.kidJump, 2.4);
+        } else if (obstacle.type === 'gate') {
+            // Colours from .gate-line, .gate-passed and .gate-missed in style.css
+            const half = CONFIG.GATE_WIDTH / 2;
+            ctx.save();
+            if (obstacle.judged && !obstacle.passed) ctx.globalAlpha = 0.4;
+            ctx.strokeStyle = obstacle.judged && obstacle.passed ? "rgba(76, 175, 80, 0.8)" : "rgba(2, 136, 209, 0.5)";
+            ctx.lineWidth = 3;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            ctx.moveTo(x - half, y);
+            ctx.lineTo(x + half, y);
+            ctx.stroke();
+            sprites.draw(ctx, 'flag', x - half, y, -1, 1);
+            sprites.draw(ctx, 'flag', x + half, y);
+            ctx.restore();
+        } else if (obstacle.type === 'ditch') {
+            sprites.draw(ctx, 'ditch', x, y, obstacle.scaleX, 1);
+        } else if (obstacle.type === 'carousel') {
+            sprites.draw(ctx, 'carousel', x, y, 2, 2, obstacle.rotation);
+        } else {
+            sprites.draw(ctx, obstacleSprite(obstacle), x, y, OBSTACLE_SCALES[obstacle.type] || 1);
+        }
+    }
+
+    drawPoopingJJ(jj, alpha) {
+        if (!jj) return;
+        const ctx = this.ctx;
+        const x = lerp(jj.prevX, jj.x, alpha);
+        const y = lerp(jj.prevY, jj.y, alpha);
+        if (jj.rope) {
+            ctx.strokeStyle = "#5d4037";
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(jj.rope.x1, y - 45); // Approx hand height
+            ctx.lineTo(jj.rope.x2, y - 45);
+            ctx.stroke();
+        }
+        this.sprites.draw(ctx, `${jj.type}-kid`, x, y + jj.bob, 1, 1, jj.angle);
+    }
+
+    drawParticles(particles, alpha) {
+        const ctx = this.ctx;
+        particles.forEach(p => {
+            ctx.save();
+            ctx.globalAlpha = Math.min(1, p.life);
+            ctx.translate(lerp(p.prevX, p.x, alpha), lerp(p.prevY, p.y, alpha));
+            ctx.rotate(p.life * 2 * Math.PI);
+            ctx.fillStyle = p.color;
+            ctx.fillRect(0, 0, p.size, p.size);
+            ctx.restore();
+        });
+    }
+
+    // Looks like .score-popup: orange with a thin white outline underneath
+    drawPopups(popups, alpha) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = "bold 22px Arial, sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillStyle = "#e67e22";
+        ctx.strokeStyle = "white";
+        ctx.lineWidth = 1;
+        popups.forEach(p => {
+            const y = lerp(p.prevY, p.y, alpha);
+            ctx.globalAlpha = Math.max(0, ScorePopups.opacity(p));
+            ctx.strokeText(p.text, p.x, y);
+            ctx.fillText(p.text, p.x, y);
+        });
+        ctx.restore();
+    }
+
+    // Both tracks in one path, so see-through strokes don't darken where segments meet
+    drawTrail(trails, offset, color) {
+        if (trails.count < 2) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(0, offset - trails.scroll);
+        ctx.globalAlpha = 0.6;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4;
+        ctx.lineCap = "round";
+        ctx.lineJoin = "round";
+        ctx.beginPath();
+        [-10, 10].forEach(side => {
+            for (let i = trails.oldest(); i < trails.total; i++) {
+                if (i === trails.oldest()) ctx.moveTo(trails.pointX(i) + side, trails.pointY(i));
+                else ctx.lineTo(trails.pointX(i) + side, trails.pointY(i));
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawSkier(player, alpha, opacity, shield, nameColor = SKIER_NAME.fill) {
+        if (player.hidden) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = opacity;
+        ctx.translate(lerp(player.prevX, player.x, alpha), lerp(player.prevY, player.y, alpha));
+        ctx.scale(player.scale, player.scale);
+        ctx.rotate(player.angle * Math.PI / 180);
+        this.fillRect(SKIER_SHADOW);
+        if (shield) {
+            // .shield-bubble
+            ctx.beginPath();
+            ctx.arc(0, SKIER_SHIELD.cy, SKIER_SHIELD.r, 0, Math.PI * 2);
+            ctx.fillStyle = "rgba(129, 212, 250, 0.25)";
+            ctx.fill();
+            ctx.strokeStyle = "#0288d1";
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+        SKIER_SKIS.forEach(part => this.fillRect(part));
+        ctx.translate(0, player.bobOffset);
+        SKIER_BODY.forEach(part => this.fillRect(part));
+        ctx.font = `bold ${SKIER_NAME.size}px Arial`;
+        ctx.textAlign = "center";
+        ctx.fillStyle = nameColor;
+        ctx.fillText(player.name, 0, SKIER_NAME.y);
+        ctx.restore();
+    }
+
+    fillRect([x, y, width, height, fill, radius]) {
+        const ctx = this.ctx;
+        ctx.fillStyle = fill;
+        if (radius && ctx.roundRect) {
+            ctx.beginPath();
+            ctx.roundRect(x, y, width, height, radius);
+            ctx.fill();
+        } else {
+            ctx.fillRect(x, y, width, height);
+        }
+    }
+}
@@ -0,0 +1,309 @@
+// A bot skier. It reads the slope the way a player would: the obstacles coming up, the
+// path and its split, and where a pooping JJ is about to drop something. Then it picks the
+// steering and jumps that keep it alive longest. It only ever hands the simulation input
+// bits, like a keyboard does, so its runs can be recorded and replayed like anyone's.
+//
+// Used for the attract-mode demo on the start screen, the "assist" setting that steers
+// young kids out of trouble, and the editor's bot run, which checks that a course can
+// actually be finished.
+//
+// The plan is a small dynamic program over a row of cells across the slope, one tick of
+// full steering apart: each tick the skier moves a cell left, right or not at all, and
+// every cell is blocked or free on every tick of the horizon. The best move is the one
+// that survives the most ticks while keeping close to the middle of the path. It is
+// worked out again every tick.
+
+import { CONFIG } from './config.js';
+import { OBSTACLE_SHAPES, placeShapes } from './collision.js';
+import { INPUT_LEFT, INPUT_RIGHT, INPUT_JUMP, steerStrength } from './input.js';
+import { POWERUPS } from './powerups.js';
+import { Simulation } from './simulation.js';
+
+const AUTOPILOT_CELLS = 80; // cells on each side of the skier
+const AUTOPILOT_TICKS = 72; // how far ahead it plans, about the height of the screen
+const AUTOPILOT_JUMP_EVERY = 3; // ticks between the take-off times it tries
+const AUTOPILOT_SIDE_MARGIN = 18; // half the skier's width, turned
+const AUTOPILOT_Y_MARGIN = 3;
+const AUTOPILOT_JUMP_MARGIN = 3; // px a jump has to clear an obstacle by
+const AUTOPILOT_PATH_COST = 0.01; // per px away from the middle of the path, per tick
+const AUTOPILOT_ASSIST_TICKS = 30; // assist only takes over when a crash is this close
+const AUTOPILOT_MAX_TICKS = 5 * 60 * CONFIG.TICK_RATE; // bot runs on endless courses stop here
+const AUTOPILOT_DEATH = 1e6; // worse than any amount of path cost
+
+// Obstacles that don't end a run when touched
+const AUTOPILOT_IGNORED = ['carousel', 'powerup'];
+
+export class Autopilot {
+    constructor(sim) {
+        this.sim = sim;
+        this.width = AUTOPILOT_CELLS * 2 + 1;
+        this.blocked = new Uint8Array(AUTOPILOT_TICKS * this.width);
+        this.values = new Float64Array(this.width);
+        this.nextValues = new Float64Array(this.width);
+        this.costs = new Float64Array(this.width);
+        this.heights = new Float64Array(AUTOPILOT_TICKS);
+        this.hazards = [];
+    }
+
+    // Input bits for the coming tick
+    input() {
+        const plan = this.plan();
+        return plan ? this.bitsFor(plan) : 0;
+    }
+
+    // The player's input, unless it's about to crash and the bot knows a way out,
+    // in which case the bot steers (and jumps) for this tick instead
+    assist(bits) {
+        const sim = this.sim;
+        if (sim.tumbleTicks > 0 || sim.state !== 'PLAYING') return bits;
+        this.collectHazards();
+        const jump = (bits & INPUT_JUMP) !== 0 && !sim.player.isJumping;
+        const own = this.depth(this.evaluate(jump ? 0 : null)[this.moveFor(bits) + 1]);
+        if (own >= AUTOPILOT_ASSIST_TICKS) return bits;
+        const plan = this.plan(false);
+        return plan.depth > own ? this.bitsFor(plan) : bits;
+    }
+
+    // The best { move, jump, depth } for this tick, or null while the skier can't be steered.
+    // move is -1, 0 or 1 cells; depth is how many ticks the plan survives, AUTOPILOT_TICKS
+    // if it gets through.
+    plan(collect = true) {
+        const sim = this.sim;
+        if (sim.tumbleTicks > 0 || sim.state !== 'PLAYING') return null;
+        if (collect) this.collectHazards();
+        const ground = this.bestMove(this.evaluate(null));
+        if (sim.player.isJumping || ground.depth === AUTOPILOT_TICKS) return ground;
+        // Steering alone doesn't get us through. Try taking off at each point up to the
+        // crash, latest first, and only jump now if no later jump does as well.
+        let best = ground;
+        let bestTick = null;
+        for (let tick = ground.depth - ground.depth % AUTOPILOT_JUMP_EVERY; tick >= 0; tick -= AUTOPILOT_JUMP_EVERY) {
+            const plan = this.bestMove(this.evaluate(tick));
+            if (plan.depth > best.depth) {
+                best = plan;
+                bestTick = tick;
+            }
+        }
+        best.jump = bestTick === 0;
+        return best;
+    }
+
+    bitsFor(plan) {
+        let bits = 0;
+        // The simulation turns steering around in the reverse zone, so turn it around first
+        const move = this.sim.carouselActive ? -plan.move : plan.move;
+        if (move < 0) bits |= INPUT_LEFT;
+        if (move > 0) bits |= INPUT_RIGHT;
+        return plan.jump ? bits | INPUT_JUMP : bits;
+    }
+
+    // Cells are one tick of full steering apart
+    cellWidth() {
+        return CONFIG.PLAYER_SPEED * this.sim.steerScale;
+    }
+
+    // The move, in cells, that some input bits make; a gentle stick counts as a full cell
+    // once it's at least half way there
+    moveFor(bits) {
+        let dir = 0;
+        if (bits & INPUT_LEFT) dir -= 1;
+        if (bits & INPUT_RIGHT) dir += 1;
+        if (this.sim.carouselActive) dir = -dir;
+        return Math.round(dir * steerStrength(bits));
+    }
+
+    depth(value) {
+        return value > -AUTOPILOT_DEATH ? AUTOPILOT_TICKS : AUTOPILOT_TICKS + Math.floor(value / AUTOPILOT_DEATH);
+    }
+
+    // Standing still wins ties, so it doesn't wiggle
+    bestMove(moves) {
+        let move = 0;
+        if (moves[0] > moves[1 + move]) move = -1;
+        if (moves[2] > moves[1 + move]) move = 1;
+        return { move: move, jump: false, depth: this.depth(moves[1 + move]) };
+    }
+
+    // Run the plan backwards from the end of the horizon, taking off on tick `jumpTick`
+    // (0 is now, null for no new jump). Returns the values of moving -1, 0 and 1 cells now.
+    evaluate(jumpTick) {
+        const width = this.width;
+        const cell = this.cellWidth();
+        this.jumpHeights(jumpTick);
+        this.fillBlocked(cell);
+
+        let next = this.nextValues;
+        let values = this.values;
+        const x0 = this.sim.player.x - AUTOPILOT_CELLS * cell;
+        // Every tick spent away from the middle of the path costs a little, so it heads back right away
+        const cost = this.costs;
+        for (let c = 0; c < width; c++) {
+            cost[c] = this.distanceFromPath(x0 + c * cell) * AUTOPILOT_PATH_COST;
+            next[c] = 0;
+        }
+
+        const moves = [-Infinity, -Infinity, -Infinity];
+        for (let t = AUTOPILOT_TICKS - 1; t >= 0; t--) {
+            const row = t * width;
+            const death = -AUTOPILOT_DEATH * (AUTOPILOT_TICKS - t);
+            // Only cells the skier can have reached by then matter
+            const from = Math.max(0, AUTOPILOT_CELLS - t);
+            const to = Math.min(width - 1, AUTOPILOT_CELLS + t);
+            for (let c = from; c <= to; c++) {
+                let best = -Infinity;
+                for (let move = -1; move <= 1; move++) {
+                    const target = c + move;
+                    if (target < 0 || target >= width) continue;
+                    const value = this.blocked[row + target] ? death : next[target] - cost[target];
+                    if (t === 0) moves[move + 1] = value;
+                    if (value > best) best = value;
+                }
+                values[c] = best;
+            }
+            const swap = next;
+            next = values;
+            values = swap;
+        }
+        return moves;
+    }
+
+    // How high the skier will be on each tick
+    jumpHeights(jumpTick) {
+        const player = this.sim.player;
+        let airborne = player.isJumping ? player.jumpTicks : null; // ticks in the air as of now
+        let duration = player.jumpDuration;
+        let peak = player.jumpPeak;
+        if (jumpTick !== null) {
+            airborne = -jumpTick;
+            const boost = this.sim.powerUps.isActive('super-jump') ? POWERUPS['super-jump'] : null;
+            duration = CONFIG.JUMP_DURATION * (boost ? boost.durationScale : 1);
+            peak = CONFIG.JUMP_HEIGHT * (boost ? boost.heightScale : 1);
+        }
+        for (let t = 0; t < AUTOPILOT_TICKS; t++) {
+            const progress = airborne === null ? 1 : (airborne + t + 1) * CONFIG.FIXED_DT / duration;
+            this.heights[t] = progress > 0 && progress < 1 ? Math.sin(progress * Math.PI) * peak : 0;
+        }
+    }
+
+    fillBlocked(cell) {
+        const width = this.width;
+        const x0 = this.sim.player.x - AUTOPILOT_CELLS * cell;
+        this.blocked.fill(0);
+        this.hazards.forEach(h => {
+            const from = Math.max(0, Math.ceil((h.minX - AUTOPILOT_SIDE_MARGIN - x0) / cell));
+            const to = Math.min(width - 1, Math.floor((h.maxX + AUTOPILOT_SIDE_MARGIN - x0) / cell));
+            if (to < from) return;
+            for (let t = h.first; t <= h.last; t++) {
+                if (this.heights[t] > h.clearance + AUTOPILOT_JUMP_MARGIN) continue;
+                this.blocked.fill(1, t * width + from, t * width + to + 1);
+            }
+        });
+    }
+
+    // Everything that can end the run, as boxes with the ticks they're level with the
+    // skier: { minX, maxX, minY, maxY, clearance, first, last }
+    collectHazards() {
+        const sim = this.sim;
+        const top = sim.player.y - 10 - AUTOPILOT_Y_MARGIN;
+        const bottom = sim.player.y + 14 + AUTOPILOT_Y_MARGIN;
+        const scroll = sim.scrollSpeed;
+        const hazards = [];
+        // `from` is the tick it appears on, `raise` stretches it up the slope
+        const add = (shapes, from = 0, raise = 0) => {
+            shapes.forEach(shape => {
+                const box = shapeBox(shape);
+                box.minY -= raise;
+                // Tick t (0 being the coming one) moves it up by scroll * (t + 1 - from)
+                box.first = Math.max(from, Math.ceil((box.minY - bottom) / scroll) - 1 + from);
+                box.last = Math.min(AUTOPILOT_TICKS - 1, Math.floor((box.maxY - top) / scroll) - 1 + from);
+                if (box.first <= box.last) hazards.push(box);
+            });
+        };
+        sim.obstacles.forEach(obs => {
+            if (obs.hit || AUTOPILOT_IGNORED.includes(obs.type)) return;
+            if (obs.type === 'ditch') {
+                add(placeShapes(OBSTACLE_SHAPES.ditch, obs.x, obs.y, 1.5, 1)); // fully open
+            } else if (obs.type === 'jj-barrier') {
+                // The crack may well be open by the time we get there, and JJ jumps before it does
+                add(placeShapes(OBSTACLE_SHAPES.crack, obs.x, obs.y - 30, 1, 1));
+                const jumping = obs.barrierState === 'wait' || obs.barrierState === 'jump';
+                add(placeShapes(OBSTACLE_SHAPES.kid, obs.x + obs.kidOffsetX, obs.y - 30, 2.4), 0, jumping ? 120 : 0);
+            } else {
+                add(obs.hitShapes());
+            }
+        });
+        this.addPoops(add);
+        this.hazards = hazards;
+    }
+
+    // Poop that isn't on the slope yet: a sledding JJ's next drops, and the whole
+    // rope a squatting JJ is crawling along
+    addPoops(add) {
+        const sim = this.sim;
+        const jj = sim.poopingJJ;
+        if (!jj) return;
+        if (jj.type === 'squat' && jj.state === 'crawling' && jj.rope) {
+            const poop = shapeBox(placeShapes(OBSTACLE_SHAPES.poop, 0, jj.y + 20, 1)[0]);
+            add([{ poly: [[jj.rope.x1, poop.minY], [jj.rope.x2, poop.maxY]], clearance: poop.clearance }]);
+        } else if (jj.type === 'sled' && jj.state === 'skiing') {
+            // Follow his zigzag through the horizon
+            const leftBound = sim.pathCenter - sim.pathWidth / 2 + 50;
+            const rightBound = sim.pathCenter + sim.pathWidth / 2 - 50;
+            let x = jj.x;
+            let y = jj.y;
+            let direction = jj.direction;
+            let timer = jj.poopTimer || 0;
+            for (let t = 0; t < AUTOPILOT_TICKS; t++) {
+                x += 2.5 * direction;
+                y += 0.5;
+                if ((jj.lifeTime || 0) + t >= 600) y += 5;
+                if (x > rightBound) direction = -1;
+                if (x < leftBound) direction = 1;
+                if (++timer > 60) {
+                    add(placeShapes(OBSTACLE_SHAPES.poop, x, y + 20, 1), t);
+                    timer = 0;
+                }
+            }
+        }
+    }
+
+    distanceFromPath(x) {
+        const sim = this.sim;
+        if (sim.splitDistance > 50) {
+            return Math.min(Math.abs(x - (sim.pathCenter - sim.splitDistance / 2)),
+                Math.abs(x - (sim.pathCenter + sim.splitDistance / 2)));
+        }
+        return Math.abs(x - sim.pathCenter);
+    }
+
+    // Let the bot ski a whole course. Returns how it went:
+    // { finished, distance, cause, ticks }, cause being the obstacle type it crashed into.
+    static run(seed, course, maxTicks = AUTOPILOT_MAX_TICKS) {
+        const sim = new Simulation(seed, course);
+        const bot = new Autopilot(sim);
+        while (!sim.isOver() && sim.runTick < maxTicks) {
+            sim.step(() => bot.input());
+        }
+        return {
+            finished: sim.state === 'VICTORY' || sim.runTick >= maxTicks,
+            distance: sim.distance,
+            cause: sim.deathCause,
+            ticks: sim.runTick
+        };
+    }
+}
+
+// Bounding box of a placed collision shape
+function shapeBox(shape) {
+    if (shape.circle) {
+        const [x, y, r] = shape.circle;
+        return { minX: x - r, maxX: x + r, minY: y - r, maxY: y + r, clearance: shape.clearance };
+    }
+    const xs = shape.poly.map(p => p[0]);
+    const ys = shape.poly.map(p => p[1]);
+    return {
+        minX: Math.min(...xs), maxX: Math.max(...xs),
+        minY: Math.min(...ys), maxY: Math.max(...ys),
+        clearance: shape.clearance
+    };
+}
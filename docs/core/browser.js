@@ -0,0 +1,6 @@
+// The page's classic scripts (game.js and the rest, loaded with `defer` after this module)
+// use the core as globals.
+
+import * as core from './index.js';
+
+Object.assign(window, core);
@@ -0,0 +1,126 @@
+// Collision shapes and overlap tests.
+// Obstacle shapes are traced from their <defs> drawings in index.html, in the same local
+// coordinates, and get the obstacle's scale applied when tested (see Obstacle.hitShapes).
+// Each shape has a clearance: how high (px) a jump has to be to pass over it.
+// Polygons must be convex.
+
+export function collisionRect(x, y, width, height) {
+    return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+}
+
+// How much bigger than its <defs> drawing each obstacle type is drawn, and so tested
+export const OBSTACLE_SCALES = { tree: 1.8, kid: 0.7, carousel: 2 };
+
+export const OBSTACLE_SHAPES = {
+    tree: [
+        { poly: [[-20, 5], [20, 5], [0, -40]], clearance: 45 },
+        { poly: collisionRect(-4, 0, 8, 15), clearance: 45 }
+    ],
+    rock: [
+        { poly: collisionRect(-15, -5, 30, 15), clearance: 20 },
+        { poly: collisionRect(-10, -10, 15, 10), clearance: 20 }
+    ],
+    flag: [
+        { poly: collisionRect(-2, -30, 4, 30), clearance: 30 },
+        { poly: collisionRect(2, -30, 20, 15), clearance: 30 }
+    ],
+    ditch: [
+        { poly: collisionRect(-25, -5, 50, 10), clearance: 0 }
+    ],
+    poop: [
+        { circle: [0, 2, 14], clearance: 20 }
+    ],
+    kid: [
+        { poly: collisionRect(-18, -60, 36, 65), clearance: 60 }
+    ],
+    // The crack under a JJ barrier, drawn at full width once it has opened
+    crack: [
+        { poly: collisionRect(-600, -20, 1200, 55), clearance: 0 }
+    ],
+    // Picked up even in mid-air
+    powerup: [
+        { circle: [0, 0, 20], clearance: Infinity }
+    ],
+    // Spinning, so the platform sweeps a circle. Jumping doesn't get you past it.
+    carousel: [
+        { circle: [0, 5, 120], clearance: Infinity }
+    ]
+};
+
+// The skier's skis and legs, relative to Player.x/y
+export const PLAYER_SHAPE = collisionRect(-14, -10, 28, 24);
+// Passing this close sideways without touching is a near-miss
+export const PLAYER_NEAR_MISS_SHAPE = collisionRect(-38, -10, 76, 24);
+
+// Local shapes moved to (x, y) and scaled; clearance scales with the height
+export function placeShapes(shapes, x, y, scaleX, scaleY = scaleX) {
+    return shapes.map(shape => {
+        const placed = { clearance: shape.clearance * scaleY };
+        if (shape.circle) {
+            const [cx, cy, r] = shape.circle;
+            placed.circle = [x + cx * scaleX, y + cy * scaleY, r * Math.max(scaleX, scaleY)];
+        } else {
+            placed.poly = shape.poly.map(([px, py]) => [x + px * scaleX, y + py * scaleY]);
+        }
+        return placed;
+    });
+}
+
+export function shapesOverlap(a, b) {
+    if (a.circle && b.circle) {
+        const dx = a.circle[0] - b.circle[0];
+        const dy = a.circle[1] - b.circle[1];
+        const r = a.circle[2] + b.circle[2];
+        return dx * dx + dy * dy < r * r;
+    }
+    if (a.circle) return polygonCircleOverlap(b.poly, a.circle);
+    if (b.circle) return polygonCircleOverlap(a.poly, b.circle);
+    return polygonsOverlap(a.poly, b.poly);
+}
+
+// Separating axis test
+function polygonsOverlap(a, b) {
+    const polygons = [a, b];
+    for (let p = 0; p < 2; p++) {
+        const poly = polygons[p];
+        for (let i = 0; i < poly.length; i++) {
+            const [x1, y1] = poly[i];
+            const [x2, y2] = poly[(i + 1) % poly.length];
+            const axisX = y1 - y2;
+            const axisY = x2 - x1;
+            const [minA, maxA] = projectPolygon(a, axisX, axisY);
+            const [minB, maxB] = projectPolygon(b, axisX, axisY);
+            if (maxA <= minB || maxB <= minA) return false;
+        }
+    }
+    return true;
+}
+
+function projectPolygon(poly, axisX, axisY) {
+    let min = Infinity;
+    let max = -Infinity;
+    poly.forEach(([x, y]) => {
+        const d = x * axisX + y * axisY;
+        if (d < min) min = d;
+        if (d > max) max = d;
+    });
+    return [min, max];
+}
+
+function polygonCircleOverlap(poly, [cx, cy, r]) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const [xi, yi] = poly[i];
+        const [xj, yj] = poly[j];
+        if ((yi > cy) !== (yj > cy) && cx < (xj - xi) * (cy - yi) / (yj - yi) + xi) inside = !inside;
+
+        // Closest point on this edge
+        const ex = xi - xj;
+        const ey = yi - yj;
+        const t = Math.max(0, Math.min(1, ((cx - xj) * ex + (cy - yj) * ey) / (ex * ex + ey * ey)));
+        const dx = cx - (xj + ex * t);
+        const dy = cy - (yj + ey * t);
+        if (dx * dx + dy * dy < r * r) return true;
+    }
+    return inside;
+}
@@ -0,0 +1,44 @@
+// Game configuration, shared by the simulation and everything that shows it
+
+// Lock game resolution to 16:10 aspect ratio (1024x640)
+// 1024 / 1.6 = 640
+export const CONFIG = {
+    GAME_WIDTH: 1024,
+    GAME_HEIGHT: 640,
+    PLAYER_SPEED: 8, 
+    PLAYER_Y: 150, // the skier stays at this height on screen, the slope scrolls past
+    INITIAL_SCROLL_SPEED: 3.5, // Reduced to 2/3 (was 5)
+    MAX_SPEED: 8, // Reduced to 2/3 (was 12)
+    JUMP_DURATION: 800, // ms
+    JUMP_HEIGHT: 48, // px at the top of the jump arc, compared against obstacle clearances
+    METER_SCALE: 0.1, // pixel to meter conversion
+    // The simulation always steps at 60 ticks/s (the rate all speeds above were tuned at),
+    // no matter how often the display refreshes.
+    TICK_RATE: 60,
+    FIXED_DT: 1000 / 60, // ms per tick
+    MAX_FRAME_TIME: 250, // ms, clamp after tab switches / long stalls
+    GHOST_SAMPLE_TICKS: 2, // how often a run's position is recorded for its ghost
+    LIVES: 3, // lives mode
+    TUMBLE_TICKS: 45, // how long a crash keeps you down before respawning
+    INVULNERABLE_TICKS: 120, // blinking grace period after a respawn
+    SHIELD_GRACE_TICKS: 60, // blinking after a shield takes a hit
+    GATE_WIDTH: 150, // px between the two poles of a slalom gate
+    GATE_PENALTY: 3 // seconds added to the run time for each missed gate
+};
+
+// Lives mode: what touching each obstacle costs.
+// Obstacles that cost no life slow you down instead.
+export const OBSTACLE_DAMAGE = {
+    poop: { lives: 0, slow: 0.5 },
+    gate: { lives: 0, slow: 0.7 },
+    ditch: { lives: 1 },
+    rock: { lives: 1 },
+    tree: { lives: 1 },
+    kid: { lives: 1 },
+    'jj-barrier': { lives: 1, always: true } // even while invulnerable
+};
+
+// Blend between the previous and current tick for smooth rendering
+export function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
@@ -0,0 +1,227 @@
+// Data-driven course definitions.
+// A course is a JSON document: consecutive segments that shape the slope, scripted
+// events that fire at set distances and the finish line. Load extra courses with
+// index.html?course=courses/bunny-hill.json
+
+export const COURSE_FORMAT = 'andi-ski-go-course';
+export const COURSE_VERSION = 1;
+export const COURSE_EDITOR_STORAGE_KEY = 'andiSkiGo.editorCourse'; // index.html?course=editor plays it
+
+export const COURSE_OBSTACLE_TYPES = ['rock', 'flag', 'ditch', 'tree', 'kid'];
+export const COURSE_EVENT_TYPES = ['pooper', 'jj-barrier', 'carousel'];
+
+// Anything a segment leaves out falls back to these
+export const COURSE_SEGMENT_DEFAULTS = {
+    length: 500, // meters
+    pathWidth: [300, 600], // px range the path width wanders in
+    splitEvery: [500, 1000], // ticks between path splits, null = never split
+    spawnRate: 60, // ticks between obstacles on the path
+    trees: true, // tree walls along the path edges
+    maxSpeed: 8, // top scroll speed (CONFIG.MAX_SPEED), halved in the reverse zone
+    obstacles: { rock: 1 } // relative weights
+};
+
+// The original Andi Ski Go slope
+export const DEFAULT_COURSE = {
+    format: COURSE_FORMAT,
+    version: COURSE_VERSION,
+    name: "Andi's Slope",
+    finishDistance: 2000,
+    segments: [
+        { length: 400, spawnRate: 60, obstacles: { rock: 1 } },
+        { length: 100, spawnRate: 60, obstacles: { rock: 0.7, flag: 0.3 } },
+        { length: 200, spawnRate: 45, obstacles: { rock: 0.7, flag: 0.3 } },
+        // Clear the trees around the reverse zone so the carousels fit
+        { length: 100, spawnRate: 45, trees: false, obstacles: { rock: 0.7, flag: 0.3 } },
+        { length: 200, spawnRate: 45, trees: false, obstacles: { rock: 0.7, flag: 0.22, ditch: 0.08 } },
+        { length: 300, spawnRate: 30, trees: false, obstacles: { rock: 0.7, flag: 0.22, ditch: 0.08 } },
+        { length: 700, spawnRate: 30, obstacles: { rock: 0.7, flag: 0.22, ditch: 0.08 } }
+    ],
+    events: [
+        // First pooper is always the squatting one
+        { type: 'pooper', at: 250, variant: 'squat' },
+        { type: 'pooper', from: 650, every: 400 },
+        { type: 'jj-barrier', from: 100, every: 100 },
+        { type: 'carousel', at: 750, reverse: true },
+        { type: 'carousel', at: 1250, reverse: false }
+    ]
+};
+
+// Endless mode: one level that repeats forever, each lap a bit harder
+export const ENDLESS_COURSE = {
+    format: COURSE_FORMAT,
+    version: COURSE_VERSION,
+    name: 'Endless',
+    endless: true,
+    segments: [
+        { length: 300, spawnRate: 50, obstacles: { rock: 0.7, flag: 0.3 } },
+        // Reverse zone, no trees so the carousels fit
+        { length: 400, spawnRate: 40, trees: false, obstacles: { rock: 0.7, flag: 0.22, ditch: 0.08 } },
+        { length: 300, spawnRate: 40, obstacles: { rock: 0.7, flag: 0.22, ditch: 0.08 } }
+    ],
+    events: [
+        { type: 'pooper', from: 250, every: 400 },
+        { type: 'jj-barrier', from: 100, every: 100 },
+        { type: 'carousel', from: 350, every: 1000, reverse: true },
+        { type: 'carousel', from: 600, every: 1000, reverse: false }
+    ]
+};
+
+// Slalom mode: flags come as gates, and missed gates cost time
+export const SLALOM_COURSE = {
+    format: COURSE_FORMAT,
+    version: COURSE_VERSION,
+    name: 'Slalom',
+    slalom: true,
+    finishDistance: 1500,
+    segments: [
+        { length: 300, spawnRate: 70, splitEvery: null, obstacles: { flag: 1 } },
+        { length: 600, spawnRate: 55, splitEvery: null, obstacles: { flag: 0.85, rock: 0.15 } },
+        { length: 600, spawnRate: 45, splitEvery: null, pathWidth: [350, 550], obstacles: { flag: 0.8, rock: 0.2 } }
+    ],
+    events: [
+        { type: 'jj-barrier', from: 300, every: 300 }
+    ]
+};
+
+// How much harder each endless level gets, and where it stops
+export const ENDLESS_DIFFICULTY = {
+    speedStep: 0.5, maxSpeed: 14,
+    spawnRateFactor: 0.88, minSpawnRate: 12,
+    widthStep: 25, minWidth: 220,
+    ditchStep: 0.04, maxDitch: 0.4,
+    splitFactor: 0.85, minSplit: 250
+};
+
+export class Course {
+    constructor(data) {
+        if (!data || data.format !== COURSE_FORMAT) {
+            throw new Error('Not an Andi Ski Go course file');
+        }
+        if (data.version !== COURSE_VERSION) {
+            throw new Error(`Unsupported course version ${data.version}`);
+        }
+        if (!data.endless && !(data.finishDistance > 0)) {
+            throw new Error('Course needs a finishDistance');
+        }
+        if (!Array.isArray(data.segments) || data.segments.length === 0) {
+            throw new Error('Course needs at least one segment');
+        }
+        this.data = data;
+        this.name = String(data.name || 'Untitled slope');
+        // Endless courses repeat their segments as levels and never finish
+        this.endless = !!data.endless;
+        this.finishDistance = this.endless ? Infinity : data.finishDistance;
+        this.levelSegments = new Map(); // endless: escalated copies per level
+        this.slalom = !!data.slalom; // ranked on its own leaderboard, by time
+
+        let start = 0;
+        this.segments = data.segments.map((segment, i) => {
+            const s = Object.assign({}, COURSE_SEGMENT_DEFAULTS, segment);
+            if (!(s.length > 0)) throw new Error(`Segment ${i + 1} needs a positive length`);
+            Object.keys(s.obstacles).forEach(type => {
+                if (!COURSE_OBSTACLE_TYPES.includes(type)) {
+                    throw new Error(`Segment ${i + 1} has unknown obstacle "${type}"`);
+                }
+            });
+            s.start = start;
+            s.end = start + s.length;
+            s.totalWeight = Object.values(s.obstacles).reduce((sum, w) => sum + w, 0);
+            start = s.end;
+            return s;
+        });
+        this.levelLength = start;
+
+        this.events = (data.events || []).map((event, i) => {
+            if (!COURSE_EVENT_TYPES.includes(event.type)) {
+                throw new Error(`Event ${i + 1} has unknown type "${event.type}"`);
+            }
+            if (!(event.at >= 0) && !(event.every > 0)) {
+                throw new Error(`Event ${i + 1} needs "at" or "every"`);
+            }
+            return Object.assign({}, event);
+        });
+    }
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load course (${response.status})`);
+        return new Course(await response.json());
+    }
+
+    // The course currently open in editor.html
+    static loadSaved() {
+        const saved = JSON.parse(localStorage.getItem(COURSE_EDITOR_STORAGE_KEY));
+        if (!saved) throw new Error('No course saved in the editor');
+        return new Course(saved);
+    }
+
+    // The last segment carries on until the finish line
+    segmentAt(distance) {
+        if (this.endless) return this.endlessSegmentAt(distance);
+        for (let i = 0; i < this.segments.length; i++) {
+            if (distance < this.segments[i].end) return this.segments[i];
+        }
+        return this.segments[this.segments.length - 1];
+    }
+
+    // 1-based endless level
+    levelAt(distance) {
+        return Math.floor(distance / this.levelLength) + 1;
+    }
+
+    endlessSegmentAt(distance) {
+        const level = this.levelAt(distance) - 1;
+        const offset = distance - level * this.levelLength;
+        const index = Math.max(0, this.segments.findIndex(s => offset < s.end));
+        const key = `${level}/${index}`;
+        if (!this.levelSegments.has(key)) {
+            this.levelSegments.set(key, Course.escalate(this.segments[index], level));
+        }
+        return this.levelSegments.get(key);
+    }
+
+    // Copy of a segment made `level` steps harder
+    static escalate(segment, level) {
+        const d = ENDLESS_DIFFICULTY;
+        const s = Object.assign({}, segment);
+        s.maxSpeed = Math.min(d.maxSpeed, segment.maxSpeed + level * d.speedStep);
+        s.spawnRate = Math.max(d.minSpawnRate, Math.round(segment.spawnRate * Math.pow(d.spawnRateFactor, level)));
+        s.pathWidth = segment.pathWidth.map(w => Math.max(d.minWidth, w - level * d.widthStep));
+        if (segment.splitEvery) {
+            s.splitEvery = segment.splitEvery.map(t => Math.max(d.minSplit, Math.round(t * Math.pow(d.splitFactor, level))));
+        }
+        s.obstacles = Object.assign({}, segment.obstacles);
+        s.obstacles.ditch = Math.min(d.maxDitch, (s.obstacles.ditch || 0) + level * d.ditchStep);
+        if (s.obstacles.ditch === 0) delete s.obstacles.ditch;
+        s.totalWeight = Object.values(s.obstacles).reduce((sum, w) => sum + w, 0);
+        return s;
+    }
+
+    // Weighted pick of an obstacle type from a single [0, 1) roll
+    pickObstacle(segment, roll) {
+        let remaining = roll * segment.totalWeight;
+        const types = Object.keys(segment.obstacles);
+        for (let i = 0; i < types.length; i++) {
+            remaining -= segment.obstacles[types[i]];
+            if (remaining < 0) return types[i];
+        }
+        return types[types.length - 1] || 'rock';
+    }
+
+    // Fresh per-run trigger state for the scripted events.
+    // Runs that start part way down the slope skip everything behind them.
+    createEventTimeline(startDistance = 0) {
+        return this.events.map(event => {
+            let next = event.at !== undefined ? event.at : (event.from !== undefined ? event.from : event.every);
+            let done = false;
+            if (event.at !== undefined) {
+                done = event.at < startDistance;
+            } else if (next < startDistance) {
+                next += Math.ceil((startDistance - next) / event.every) * event.every;
+                done = event.until !== undefined && next > event.until;
+            }
+            return { event: event, next: next, done: done };
+        });
+    }
+}
@@ -0,0 +1,23 @@
+// The simulation core: everything that decides how a run plays out, as ES modules with no
+// DOM in them, so it runs in Node just as well as in the browser.
+//
+//   import { Simulation, Course, DEFAULT_COURSE, INPUT_LEFT } from './core/index.js';
+//   const sim = new Simulation('MYSEED', new Course(DEFAULT_COURSE));
+//   while (!sim.isOver()) sim.step(INPUT_LEFT);
+//   Autopilot.run('MYSEED', new Course(DEFAULT_COURSE)); // can the bot get down?
+
+export * from './config.js';
+export * from './random.js';
+export * from './input.js';
+export * from './collision.js';
+export * from './course.js';
+export * from './score.js';
+export * from './powerups.js';
+export * from './trails.js';
+export * from './player.js';
+export * from './obstacle.js';
+export * from './pool.js';
+export * from './scenery.js';
+export * from './race.js';
+export * from './simulation.js';
+export * from './autopilot.js';
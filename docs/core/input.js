@@ -0,0 +1,24 @@
+// One tick of player input packed into a few bits, the way the simulation takes it
+// and replays store it.
+
+export const INPUT_LEFT = 1;
+export const INPUT_RIGHT = 2;
+export const INPUT_JUMP = 4;
+// Analog steering (gamepad stick) keeps LEFT/RIGHT and adds a strength level 1-15
+// in the bits above; 0 there means full strength, like a key press.
+export const INPUT_STEER_SHIFT = 3;
+export const INPUT_STEER_LEVELS = 16;
+
+// Input bits for a stick position in [-1, 1]
+export function encodeSteer(steer) {
+    if (steer === 0) return 0;
+    const level = Math.max(1, Math.round(Math.abs(steer) * INPUT_STEER_LEVELS));
+    const direction = steer < 0 ? INPUT_LEFT : INPUT_RIGHT;
+    return level >= INPUT_STEER_LEVELS ? direction : direction | (level << INPUT_STEER_SHIFT);
+}
+
+// How hard a tick's input steers, 0-1
+export function steerStrength(bits) {
+    const level = bits >> INPUT_STEER_SHIFT;
+    return level ? level / INPUT_STEER_LEVELS : 1;
+}
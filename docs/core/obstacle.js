@@ -0,0 +1,89 @@
+// Anything on the slope that scrolls up past the skier: trees, rocks, gates, power-ups,
+// carousels and JJ barriers.
+
+import { CONFIG } from './config.js';
+import { OBSTACLE_SCALES, OBSTACLE_SHAPES, placeShapes } from './collision.js';
+
+export class Obstacle {
+    constructor(x, y, type, kind = null) {
+        this.type = type; // collision shapes come from OBSTACLE_SHAPES, the drawing from obstacleSprite() in renderer.js
+        this.reset(x, y, kind);
+    }
+
+    // Everything that changes while an obstacle is on the slope, back to how it spawns.
+    // ObstaclePool calls this to reuse an obstacle instead of building a new one.
+    reset(x, y, kind = null) {
+        this.x = x;
+        this.y = y;
+        this.prevY = y;
+        this.hit = false;
+        this.hitBy = 0; // racers it already hurt, a bit per Racer.index
+        this.closeCall = null; // 'near' or 'over' while it may still score, see Simulation.checkCloseCall
+        this.triggered = false;
+        if (this.type === 'jj-barrier') {
+            this.kidOffsetX = 0;
+            this.barrierState = 'wait';
+            this.animTimer = 0;
+            this.crackScale = 0; // the crack opens sideways from the middle
+            this.kidJump = 0;
+        } else if (this.type === 'gate') {
+            this.judged = false; // passed or missed yet
+            this.passed = false;
+        } else if (this.type === 'powerup') {
+            this.kind = kind; // one of POWERUP_KINDS
+        } else if (this.type === 'carousel') {
+            this.rotation = 0;
+        } else if (this.type === 'ditch') {
+            this.scaleX = 0.1;
+            this.animationSpeed = 0.05;
+        }
+    }
+
+    // Collision shapes in world coordinates, placed and scaled the way the renderers draw them
+    hitShapes() {
+        if (this.type === 'jj-barrier') {
+            const crack = this.crackScale > 0 ? placeShapes(OBSTACLE_SHAPES.crack, this.x, this.y - 30, this.crackScale, 1) : [];
+            return crack.concat(placeShapes(OBSTACLE_SHAPES.kid, this.x + this.kidOffsetX, this.y - 30 - this.kidJump, 2.4));
+        }
+        if (this.type === 'gate') {
+            const half = CONFIG.GATE_WIDTH / 2;
+            return placeShapes(OBSTACLE_SHAPES.flag, this.x - half, this.y, -1, 1)
+                .concat(placeShapes(OBSTACLE_SHAPES.flag, this.x + half, this.y, 1));
+        }
+        if (this.type === 'ditch') {
+            return placeShapes(OBSTACLE_SHAPES.ditch, this.x, this.y, this.scaleX, 1);
+        }
+        return placeShapes(OBSTACLE_SHAPES[this.type], this.x, this.y, OBSTACLE_SCALES[this.type] || 1);
+    }
+
+    updateAnimation() {
+        if (this.type === 'carousel') {
+            this.rotation += 2;
+        } else if (this.type === 'ditch' && this.scaleX < 1.5) {
+            this.scaleX += this.animationSpeed;
+        } else if (this.type === 'jj-barrier') {
+            if (this.barrierState === 'wait' && this.y < CONFIG.GAME_HEIGHT - 100) {
+                this.barrierState = 'jump'; this.animTimer = 0;
+            } else if (this.barrierState === 'jump') {
+                this.animTimer++;
+                const duration = 40; 
+                if (this.animTimer <= duration) {
+                    const progress = this.animTimer / duration;
+                    this.kidJump = Math.sin(progress * Math.PI) * 120; // Slightly lower jump
+                } else {
+                    this.barrierState = 'crack'; this.animTimer = 0;
+                    this.kidJump = 0;
+                }
+            } else if (this.barrierState === 'crack') {
+                this.animTimer++;
+                const duration = 10;
+                if (this.animTimer <= duration) {
+                    this.crackScale = this.animTimer / duration;
+                } else {
+                    this.crackScale = 1;
+                    this.barrierState = 'done';
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,83 @@
+// The skier. Steering, jumping and the collision outline; how it looks is up to the renderers.
+
+import { CONFIG } from './config.js';
+import { PLAYER_SHAPE } from './collision.js';
+import { POWERUPS } from './powerups.js';
+
+export class Player {
+    constructor(x, y, name = 'Andi') {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y; // only racers move up and down the screen, see race.js
+        this.name = name;
+        this.vx = 0;
+        this.isJumping = false;
+        this.jumpTicks = 0; // ticks spent in the air, so airtime doesn't depend on frame rate
+        this.height = 0; // px above the snow
+        this.superJump = false; // super jump power-up, set by the simulation each tick
+        this.jumpDuration = CONFIG.JUMP_DURATION;
+        this.jumpPeak = CONFIG.JUMP_HEIGHT;
+        // Use consistent scale for all devices to maintain ratio
+        this.baseScale = 0.8; 
+        this.scale = this.baseScale;
+        this.angle = 0;
+        this.bobOffset = 0; // body bobbing while skiing, 0 in the air
+        this.frameCount = 0;
+        this.hidden = false; // blown up
+    }
+    
+    move(dx) {
+        this.x += dx;
+        // Removed bounds to allow infinite horizontal scrolling with camera follow
+        // if (this.x < 30) this.x = 30;
+        // if (this.x > CONFIG.GAME_WIDTH - 30) this.x = CONFIG.GAME_WIDTH - 30;
+        const targetAngle = dx > 0 ? 15 : -15;
+        this.angle += (targetAngle - this.angle) * 0.1;
+    }
+    
+    jump() {
+        if (!this.isJumping) {
+            this.isJumping = true;
+            this.jumpTicks = 0;
+            // The super jump power-up counts from take-off
+            const boost = POWERUPS['super-jump'];
+            this.jumpDuration = CONFIG.JUMP_DURATION * (this.superJump ? boost.durationScale : 1);
+            this.jumpPeak = CONFIG.JUMP_HEIGHT * (this.superJump ? boost.heightScale : 1);
+        }
+    }
+
+    update() {
+        this.frameCount++;
+        if (Math.abs(this.angle) > 0.1) this.angle *= 0.9;
+        if (!this.isJumping) {
+            const bobSpeed = Math.abs(this.angle) > 5 ? 0.3 : 0.15;
+            this.bobOffset = Math.sin(this.frameCount * bobSpeed) * 2;
+        } else {
+            this.bobOffset = 0;
+        }
+        if (this.isJumping) {
+            this.jumpTicks++;
+            const progress = (this.jumpTicks * CONFIG.FIXED_DT) / this.jumpDuration;
+            if (progress >= 1) {
+                this.isJumping = false;
+                this.scale = this.baseScale;
+                this.height = 0;
+            } else {
+                const jumpHeight = Math.sin(progress * Math.PI);
+                this.scale = this.baseScale + (jumpHeight * 0.4 * this.jumpPeak / CONFIG.JUMP_HEIGHT);
+                this.height = jumpHeight * this.jumpPeak;
+            }
+        }
+    }
+    
+    // Collision outline in world coordinates, turned with the skier
+    hitShape(shape = PLAYER_SHAPE) {
+        const rad = this.angle * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        return {
+            poly: shape.map(([x, y]) => [this.x + x * cos - y * sin, this.y + x * sin + y * cos])
+        };
+    }
+}
@@ -0,0 +1,32 @@
+// Obstacles that scrolled off (or were cleared by a restart) wait here to be reused,
+// so a long run doesn't keep building and throwing away obstacles. Wall trees alone
+// used to make a dozen new ones a second. The SVG renderer keeps each obstacle's
+// nodes with it, so those get reused along with it.
+
+import { Obstacle } from './obstacle.js';
+
+export class ObstaclePool {
+    constructor() {
+        this.free = {}; // type -> spare obstacles
+        this.created = 0;
+        this.reused = 0;
+    }
+
+    // Same arguments as new Obstacle()
+    acquire(x, y, type, kind = null) {
+        const spare = this.free[type];
+        if (spare && spare.length > 0) {
+            const obstacle = spare.pop();
+            obstacle.reset(x, y, kind);
+            this.reused++;
+            return obstacle;
+        }
+        this.created++;
+        return new Obstacle(x, y, type, kind);
+    }
+
+    release(obstacle) {
+        if (!this.free[obstacle.type]) this.free[obstacle.type] = [];
+        this.free[obstacle.type].push(obstacle);
+    }
+}
@@ -0,0 +1,55 @@
+// Power-up pickups. spawnInternalObstacle now and then drops one on the path instead of
+// an obstacle; skiing (or jumping) through it switches it on for a while.
+
+export const POWERUPS = {
+    shield: { ticks: 900, pitch: 523.25 }, // takes the next crash instead of you
+    'slow-mo': { ticks: 300, pitch: 392.00 }, // halves the scroll speed
+    'super-jump': { ticks: 600, pitch: 659.25, durationScale: 1.5, heightScale: 1.75 },
+    'anti-reverse': { ticks: 600, pitch: 587.33 } // ends a reverse zone and keeps the next one off
+};
+export const POWERUP_KINDS = Object.keys(POWERUPS);
+export const POWERUP_CHANCE = 0.06; // of the obstacles spawned on the path
+
+// Ticks left on each active power-up
+export class PowerUps {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.active = {};
+    }
+
+    activate(kind) {
+        this.active[kind] = POWERUPS[kind].ticks;
+    }
+
+    isActive(kind) {
+        return this.active[kind] > 0;
+    }
+
+    // Use up a power-up early, e.g. a shield that took a hit
+    consume(kind) {
+        if (!this.isActive(kind)) return false;
+        delete this.active[kind];
+        return true;
+    }
+
+    // 1 when just picked up, down to 0 when it runs out
+    remaining(kind) {
+        return this.isActive(kind) ? this.active[kind] / POWERUPS[kind].ticks : 0;
+    }
+
+    // One simulation tick; returns the kinds that ran out
+    update() {
+        const expired = [];
+        Object.keys(this.active).forEach(kind => {
+            this.active[kind]--;
+            if (this.active[kind] <= 0) {
+                delete this.active[kind];
+                expired.push(kind);
+            }
+        });
+        return expired;
+    }
+}
@@ -0,0 +1,51 @@
+// Local races: two skiers on the same slope (see Simulation.startRace). The slope, its
+// obstacles and its speed are shared; each racer has their own skier, trail, lives and crashes.
+//
+// Alone, a crash brakes the whole slope. In a race it only brakes the skier who crashed:
+// they fall behind the slope's pace, drift up the screen and cross the finish later.
+
+import { CONFIG } from './config.js';
+import { Player } from './player.js';
+import { SkiTrails } from './trails.js';
+
+export const RACE_START_SPACING = 120; // px between the skiers at the start
+export const RACE_MAX_LAG = 110; // px a skier is drawn behind the others at most, so they stay on screen
+export const RACE_MAX_SPREAD = CONFIG.GAME_WIDTH - 160; // px apart the skiers can get, so one camera fits both
+
+export class Racer {
+    constructor(index, x, name, lives, startDistance) {
+        this.index = index; // which controls steer them, and their colour
+        this.player = new Player(x, CONFIG.PLAYER_Y, name);
+        this.trails = new SkiTrails();
+        this.lives = lives;
+        this.tumbleTicks = 0;
+        this.invulnerableTicks = 0;
+        this.crashes = {}; // obstacle type -> hits this race
+        this.speed = CONFIG.INITIAL_SCROLL_SPEED; // px per tick, never faster than the slope
+        this.distance = startDistance; // how far they got, counted at their own speed
+        this.out = false; // crashed out of the race
+        this.deathCause = null;
+        this.finishTick = null; // runTick they crossed the finish on
+    }
+
+    // Still on the way down: not out and not across the finish
+    isRacing() {
+        return !this.out && this.finishTick === null;
+    }
+}
+
+// Racers in finishing order: first across the line, then whoever got furthest
+export function raceStandings(racers) {
+    return racers.slice().sort((a, b) => {
+        if (a.finishTick !== null && b.finishTick !== null) return a.finishTick - b.finishTick;
+        if (a.finishTick !== null) return -1;
+        if (b.finishTick !== null) return 1;
+        return b.distance - a.distance;
+    });
+}
+
+// Crossed the finish on the same tick, or both crashed out at the same distance
+export function raceTied(a, b) {
+    if (a.finishTick !== null || b.finishTick !== null) return a.finishTick === b.finishTick;
+    return Math.floor(a.distance) === Math.floor(b.distance);
+}
@@ -0,0 +1,43 @@
+// Seedable PRNG (mulberry32) so the same seed always builds the same slope.
+// Everything that shapes the course must draw from here instead of Math.random().
+export class SeededRandom {
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    // FNV-1a hash, turns any seed text into a 32-bit starting state
+    static hash(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36).toUpperCase();
+    }
+
+    // Same seed for everyone on the same (UTC) day
+    static dailySeed(date = new Date()) {
+        const y = date.getUTCFullYear();
+        const m = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const d = String(date.getUTCDate()).padStart(2, '0');
+        return `DAILY-${y}-${m}-${d}`;
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hash(this.seed);
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
@@ -0,0 +1,94 @@
+import { CONFIG } from './config.js';
+
+// Snow patches drifting up the slope. Their sizes and places come from the seeded rng,
+// so they are part of the simulation; the renderer draws them with a little parallax.
+export class BackgroundManager {
+    constructor(rng) {
+        this.rng = rng;
+        this.patches = [];
+        this.width = CONFIG.GAME_WIDTH;
+        this.height = CONFIG.GAME_HEIGHT;
+    }
+
+    reset() {
+        this.patches = [];
+        for (let i = 0; i < 8; i++) {
+            this.spawnPatch(this.rng.next() * this.height);
+        }
+    }
+
+    spawnPatch(y) {
+        const w = 50 + this.rng.next() * 100;
+        const h = 20 + this.rng.next() * 30;
+        const x = this.rng.next() * this.width;
+        this.patches.push({ x: x, y: y, prevY: y, rx: w, ry: h });
+    }
+
+    update(scrollSpeed) {
+        for (let i = this.patches.length - 1; i >= 0; i--) {
+            const p = this.patches[i];
+            p.prevY = p.y;
+            p.y -= scrollSpeed;
+            
+            if (p.y < -100) {
+                this.patches.splice(i, 1);
+                this.spawnPatch(this.height + 100);
+            }
+        }
+    }
+}
+
+// Crash explosions. Purely for show, so they stay on Math.random(), but a run that blew up
+// only ends once the last particle is gone.
+export class ParticleSystem {
+    constructor() {
+        this.particles = [];
+        this.spare = []; // burnt-out particles, reused by the next explosion
+    }
+
+    spawnExplosion(x, y, color) {
+        const particleCount = 60; // Increased from 20 to 60 for full screen effect
+        for (let i = 0; i < particleCount; i++) {
+            const particle = this.spare.pop() || {};
+            const size = 10 + Math.random() * 20; // Bigger particles
+            
+            // Random direction with higher speed for full screen spread
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 5 + Math.random() * 25; // Much faster
+            
+            particle.size = size;
+            particle.color = color;
+            particle.x = x;
+            particle.y = y;
+            particle.prevX = x;
+            particle.prevY = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.life = 1.5; // Longer life
+            particle.decay = 0.01 + Math.random() * 0.01; // Slower decay
+            this.particles.push(particle);
+        }
+    }
+
+    update() {
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const p = this.particles[i];
+            p.prevX = p.x;
+            p.prevY = p.y;
+            p.x += p.vx;
+            p.y += p.vy;
+            p.life -= p.decay;
+            
+            if (p.life <= 0) {
+                this.spare.push(p);
+                this.particles.splice(i, 1);
+            }
+        }
+        return this.particles.length > 0;
+    }
+    
+    clear() {
+        this.spare.push(...this.particles);
+        this.particles = [];
+    }
+}
@@ -0,0 +1,100 @@
+// Score model: a point per meter, plus bonuses for skiing close to trouble.
+// Bonus events chained together build a combo multiplier that drains away
+// one step at a time when nothing happens for a while.
+
+export const SCORE_EVENTS = {
+    'near-miss': { points: 50, label: 'NEAR MISS' },
+    'jump-over': { points: 75, label: 'JUMP OVER' },
+    crack: { points: 150, label: 'CRACK CLEARED' },
+    'reverse-zone': { points: 500, label: 'REVERSE ZONE' },
+    gate: { points: 100, label: 'GATE' } // times the gate streak, see Simulation.judgeGate
+};
+
+// Obstacles that can give a near-miss or jump-over (jj-barrier: the crack)
+export const SCORE_CLOSE_CALL_TYPES = ['rock', 'poop', 'ditch', 'kid', 'jj-barrier'];
+
+export const COMBO = {
+    step: 0.5, // multiplier gained per chained event
+    max: 5,
+    decayTicks: 180 // without a new event the combo drops a step this often
+};
+
+export class ScoreKeeper {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.bonus = 0;
+        this.combo = 0; // events in the current chain
+        this.bestCombo = 0;
+        this.comboTimer = 0;
+        this.events = {}; // event type -> count this run
+    }
+
+    multiplier() {
+        return Math.min(COMBO.max, 1 + this.combo * COMBO.step);
+    }
+
+    // Adds the bonus at the current multiplier and extends the combo; returns the points given
+    award(type, basePoints = SCORE_EVENTS[type].points) {
+        const points = Math.round(basePoints * this.multiplier());
+        this.bonus += points;
+        this.events[type] = (this.events[type] || 0) + 1;
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        this.comboTimer = COMBO.decayTicks;
+        return points;
+    }
+
+    breakCombo() {
+        this.combo = 0;
+        this.comboTimer = 0;
+    }
+
+    // One simulation tick
+    update() {
+        if (this.combo === 0) return;
+        this.comboTimer--;
+        if (this.comboTimer <= 0) {
+            this.combo--;
+            this.comboTimer = COMBO.decayTicks;
+        }
+    }
+
+    total(distance) {
+        return Math.floor(distance) + this.bonus;
+    }
+}
+
+// "+50 NEAR MISS" texts that float up from the skier and fade out
+export class ScorePopups {
+    constructor() {
+        this.popups = [];
+    }
+
+    spawn(text, x, y) {
+        this.popups.push({ text: text, x: x, y: y, prevY: y, age: 0 });
+    }
+
+    update() {
+        for (let i = this.popups.length - 1; i >= 0; i--) {
+            const p = this.popups[i];
+            p.prevY = p.y;
+            p.y -= 1.5;
+            p.age++;
+            if (p.age > 60) {
+                this.popups.splice(i, 1);
+            }
+        }
+    }
+
+    // Fades out over the last third of its life
+    static opacity(popup) {
+        return Math.min(1, (60 - popup.age) / 20);
+    }
+
+    clear() {
+        this.popups = [];
+    }
+}
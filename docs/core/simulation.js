@@ -0,0 +1,891 @@
+// The rules of the game, without a browser: the wandering path and its splits, spawning,
+// the pooping JJs, the carousel reverse zone, collisions, lives and scoring.
+// Step it one tick at a time with that tick's input bits (see input.js). The same seed,
+// course and inputs always play out the same way, which is what replays rely on.
+//
+// Nothing in here touches the DOM or audio. Whatever the player should hear about is
+// queued in `events` during a tick, e.g. { type: 'sound', name: 'jump', x }, and the
+// browser (Game in game.js) plays it.
+
+import { CONFIG, OBSTACLE_DAMAGE } from './config.js';
+import { shapesOverlap, PLAYER_NEAR_MISS_SHAPE } from './collision.js';
+import { Course, DEFAULT_COURSE } from './course.js';
+import { INPUT_LEFT, INPUT_RIGHT, INPUT_JUMP, steerStrength } from './input.js';
+import { Player } from './player.js';
+import { ObstaclePool } from './pool.js';
+import { POWERUP_KINDS, POWERUP_CHANCE, PowerUps } from './powerups.js';
+import { Racer, RACE_START_SPACING, RACE_MAX_LAG, RACE_MAX_SPREAD } from './race.js';
+import { SeededRandom } from './random.js';
+import { BackgroundManager, ParticleSystem } from './scenery.js';
+import { SCORE_EVENTS, SCORE_CLOSE_CALL_TYPES, ScoreKeeper, ScorePopups } from './score.js';
+import { SkiTrails } from './trails.js';
+
+export class Simulation {
+    constructor(seed = SeededRandom.randomSeed(), course = new Course(DEFAULT_COURSE)) {
+        this.rng = new SeededRandom(seed);
+        this.bgManager = new BackgroundManager(this.rng);
+        this.particleSystem = new ParticleSystem();
+        this.scorePopups = new ScorePopups();
+        this.trails = new SkiTrails();
+        this.score = new ScoreKeeper();
+        this.powerUps = new PowerUps();
+        this.obstaclePool = new ObstaclePool();
+        this.obstacles = [];
+        this.events = []; // what happened during the last tick
+        this.playerName = 'Andi';
+        this.maxSplitDistance = 250;
+        this.start(seed, course);
+    }
+
+    // A fresh run. Lives mode is off with 0 lives; steerScale is the steering sensitivity
+    // setting, and editor test runs start part way down the course.
+    start(seed, course, lives = 0, steerScale = 1, startDistance = 0) {
+        this.rng.setSeed(seed);
+        this.course = course;
+        this.runLives = lives; // lives the run started with, 0 = one touch ends it
+        this.steerScale = steerScale;
+        this.reset(startDistance);
+    }
+
+    // A race between skiers with these names (see race.js). Input for a race tick is an
+    // array of input bits, one per racer.
+    startRace(seed, course, lives, steerScale, startDistance, names) {
+        this.start(seed, course, lives, steerScale, startDistance);
+        const left = CONFIG.GAME_WIDTH / 2 - (names.length - 1) * RACE_START_SPACING / 2;
+        this.racers = names.map((name, i) => new Racer(i, left + i * RACE_START_SPACING, name, lives, startDistance));
+        this.player = this.racers[0].player; // for whatever follows "the" skier, like the ski sound
+    }
+
+    // Clear the slope and rewind everything the seed drives, so a seed always yields the same course
+    reset(startDistance = 0) {
+        this.obstacles.forEach(obs => this.obstaclePool.release(obs));
+        this.obstacles = [];
+        this.events = [];
+        this.particleSystem.clear(); // Clear particles
+        this.scorePopups.clear();
+        this.trails.clear();
+        
+        this.state = 'PLAYING'; // then EXPLODING on the fatal crash, GAMEOVER once it's over, or VICTORY
+        this.distance = startDistance;
+        this.runStart = startDistance;
+        this.frameCount = 0; // ticks
+        this.runTick = 0; // ticks of player input consumed this run
+        this.lastScrollStep = 0; // how far the world moved on the last tick (for interpolation)
+        this.scrollSpeed = CONFIG.INITIAL_SCROLL_SPEED;
+        this.pathCenter = CONFIG.GAME_WIDTH / 2;
+        this.pathTarget = this.pathCenter;
+        this.pathWidth = 450;
+        this.targetPathWidth = 450;
+        this.splitTimer = 0;
+        this.splitDistance = 0;
+        this.isSplitting = false;
+        this.startSeparating = false;
+        this.courseEvents = this.course.createEventTimeline(startDistance);
+        this.segment = this.course.segmentAt(startDistance);
+        this.deathCause = null; // obstacle type that ended the run
+        this.lives = this.runLives;
+        this.crashes = {}; // obstacle type -> hits this run
+        this.tumbleTicks = 0;
+        this.invulnerableTicks = 0;
+        this.gates = { passed: 0, missed: 0, streak: 0, bestStreak: 0, points: 0 };
+        this.score.reset();
+        this.powerUps.reset();
+        this.bgManager.reset();
+        
+        this.carouselActive = false;
+        this.carouselPhase = 0; // 0: none, 1: reversed (1000m), 2: normal (1500m)
+        this.poopingJJ = null;
+        // Fixed Y position since we are locking aspect ratio now
+        this.player = new Player(CONFIG.GAME_WIDTH / 2, CONFIG.PLAYER_Y, this.playerName);
+        this.racers = null; // set by startRace()
+    }
+
+    isOver() {
+        return this.state === 'GAMEOVER' || this.state === 'VICTORY';
+    }
+
+    // Advance the simulation by exactly one tick (CONFIG.FIXED_DT).
+    // `input` is the tick's input bits, or a function that returns them. The function is
+    // only called on ticks that take input, so recorders and replays stay in step with
+    // runTick (no input is read while exploding or on the tick that crosses the finish).
+    step(input = 0) {
+        this.events = [];
+        if (this.isOver()) return;
+        this.frameCount++;
+        this.player.prevX = this.player.x;
+        this.lastScrollStep = 0;
+        
+        // Update particles regardless of state
+        const hasParticles = this.particleSystem.update();
+        this.scorePopups.update();
+        
+        if (this.state === 'EXPLODING') {
+            if (!hasParticles) {
+                this.state = 'GAMEOVER';
+            }
+            return; // Stop game logic during explosion
+        }
+        
+        this.lastScrollStep = this.scrollSpeed;
+        this.distance += this.scrollSpeed * CONFIG.METER_SCALE;
+        
+        // Speed control: Slow down during reverse zone
+        let targetMaxSpeed = this.carouselActive ? this.segment.maxSpeed / 2 : this.segment.maxSpeed;
+        if (this.powerUps.isActive('slow-mo')) targetMaxSpeed /= 2;
+        
+        if (this.tumbleTicks > 0) {
+            // Crashed: the slope brakes back toward the starting speed
+            this.scrollSpeed += (CONFIG.INITIAL_SCROLL_SPEED - this.scrollSpeed) * 0.08;
+        } else if (this.scrollSpeed < targetMaxSpeed) {
+            this.scrollSpeed += 0.001;
+        } else if (this.scrollSpeed > targetMaxSpeed) {
+            this.scrollSpeed -= 0.05; // Decelerate quickly
+        }
+        
+        // Poopers, JJ barriers and carousels all come from the course script
+        this.segment = this.course.segmentAt(this.distance);
+        this.updateCourseEvents();
+
+        if (this.poopingJJ) {
+            this.updatePoopingJJ();
+        }
+
+        // A race goes on until every racer is across the line, see stepRace()
+        if (!this.racers && this.distance >= this.course.finishDistance) {
+            this.state = 'VICTORY';
+            return;
+        }
+        
+        const bits = typeof input === 'function' ? input() : input;
+        this.runTick++;
+        if (this.racers) {
+            this.stepRace(bits);
+            return;
+        }
+        
+        let moveDir = 0;
+        if (this.tumbleTicks > 0) {
+            // Tumbling skiers can't steer; input is still recorded
+            this.player.angle += 24;
+            this.tumbleTicks--;
+            if (this.tumbleTicks === 0) this.respawn();
+        } else {
+            if (bits & INPUT_LEFT) moveDir -= 1;
+            if (bits & INPUT_RIGHT) moveDir += 1;
+            moveDir *= steerStrength(bits);
+            if ((bits & INPUT_JUMP) && !this.player.isJumping) {
+                this.player.jump();
+                this.sound('jump');
+            }
+        }
+        if (this.invulnerableTicks > 0) this.invulnerableTicks--;
+        this.score.update();
+        this.powerUps.update().forEach(kind => this.endPowerUp(kind));
+        this.player.superJump = this.powerUps.isActive('super-jump');
+        
+        if (this.carouselActive) moveDir *= -1; // Reverse controls
+        
+        if (moveDir !== 0) {
+            this.player.move(moveDir * CONFIG.PLAYER_SPEED * this.steerScale);
+        }
+
+        const wasJumping = this.player.isJumping;
+        this.player.update();
+        if (wasJumping && !this.player.isJumping) this.sound('land');
+        this.bgManager.update(this.scrollSpeed);
+        if (!this.player.isJumping) this.trails.add(this.player.x, this.player.y + 15);
+        this.trails.update(this.scrollSpeed);
+        this.spawnObstacle();
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obs = this.obstacles[i];
+            obs.prevY = obs.y;
+            obs.y -= this.scrollSpeed;
+            if (!obs.hit && this.tumbleTicks === 0) {
+                if (this.checkCollision(this.player, obs)) {
+                    if (obs.type === 'carousel') {
+                        this.triggerCarouselEffect(obs);
+                    } else if (obs.type === 'powerup') {
+                        this.collectPowerUp(obs);
+                    } else {
+                        this.hitObstacle(obs);
+                    }
+                } else if (SCORE_CLOSE_CALL_TYPES.includes(obs.type)) {
+                    this.checkCloseCall(obs);
+                }
+            }
+            if (obs.closeCall && !obs.hit && obs.y < this.player.y - 40) {
+                this.scoreCloseCall(obs);
+            }
+            // Carousels mark the reverse zone, so skiing past one counts too
+            if (obs.type === 'carousel' && obs.y < this.player.y) {
+                this.triggerCarouselEffect(obs);
+            }
+            if (obs.type === 'gate' && !obs.judged && obs.y < this.player.y) {
+                this.judgeGate(obs);
+            }
+            this.updateObstacle(obs, i);
+        }
+    }
+
+    // Once it's off the top of the screen an obstacle goes back to the pool, until then it animates
+    updateObstacle(obs, i) {
+        if (obs.y < -100) {
+            this.obstaclePool.release(obs);
+            this.obstacles.splice(i, 1);
+        } else {
+            obs.updateAnimation();
+            if (obs.type === 'jj-barrier' && obs.barrierState === 'crack' && obs.animTimer === 0) {
+                this.sound('crack', obs.x); // JJ just landed
+            }
+        }
+    }
+
+    // The rest of a race tick: everyone steers, then the slope moves past all of them.
+    // Races have no score, gates or power-ups, just who gets down first.
+    stepRace(inputs) {
+        this.racers.forEach((racer, i) => this.steerRacer(racer, inputs[i] || 0));
+        this.keepRacersTogether();
+        this.bgManager.update(this.scrollSpeed);
+        this.spawnObstacle();
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obs = this.obstacles[i];
+            obs.prevY = obs.y;
+            obs.y -= this.scrollSpeed;
+            this.racers.forEach(racer => {
+                if (!racer.isRacing() || racer.tumbleTicks > 0 || !this.checkCollision(racer.player, obs)) return;
+                if (obs.type === 'carousel') {
+                    this.triggerCarouselEffect(obs);
+                } else {
+                    this.hitRacer(racer, obs);
+                }
+            });
+            if (obs.type === 'carousel' && obs.y < CONFIG.PLAYER_Y) {
+                this.triggerCarouselEffect(obs);
+            }
+            this.updateObstacle(obs, i);
+        }
+        this.racers.forEach(racer => {
+            if (racer.isRacing() && racer.distance >= this.course.finishDistance) {
+                racer.finishTick = this.runTick;
+                this.sound('finish', racer.player.x);
+            }
+        });
+        if (this.racers.every(racer => !racer.isRacing())) {
+            // Over once nobody is left racing; if nobody made it down, it ends like a crash
+            this.state = this.racers.some(racer => racer.finishTick !== null) ? 'VICTORY' : 'EXPLODING';
+        }
+    }
+
+    // One racer's tick, the same steering as alone. Their own speed decides how far
+    // they get and how far up the screen they drop back.
+    steerRacer(racer, bits) {
+        const player = racer.player;
+        player.prevX = player.x;
+        player.prevY = player.y;
+        if (racer.out) return;
+        let moveDir = 0;
+        if (racer.tumbleTicks > 0) {
+            player.angle += 24;
+            racer.speed += (CONFIG.INITIAL_SCROLL_SPEED - racer.speed) * 0.08;
+            racer.tumbleTicks--;
+            if (racer.tumbleTicks === 0) this.respawnRacer(racer);
+        } else {
+            if (bits & INPUT_LEFT) moveDir -= 1;
+            if (bits & INPUT_RIGHT) moveDir += 1;
+            moveDir *= steerStrength(bits);
+            if ((bits & INPUT_JUMP) && !player.isJumping) {
+                player.jump();
+                this.sound('jump', player.x);
+            }
+            racer.speed = Math.min(this.scrollSpeed, racer.speed + 0.001);
+        }
+        if (racer.invulnerableTicks > 0) racer.invulnerableTicks--;
+        if (this.carouselActive) moveDir *= -1;
+        if (moveDir !== 0) {
+            player.move(moveDir * CONFIG.PLAYER_SPEED * this.steerScale);
+        }
+
+        const wasJumping = player.isJumping;
+        player.update();
+        if (wasJumping && !player.isJumping) this.sound('land', player.x);
+        racer.distance += Math.min(racer.speed, this.lastScrollStep) * CONFIG.METER_SCALE;
+        const lag = (this.distance - racer.distance) / CONFIG.METER_SCALE;
+        player.y = CONFIG.PLAYER_Y - Math.max(0, Math.min(lag, RACE_MAX_LAG));
+        if (!player.isJumping) racer.trails.add(player.x, player.y + 15);
+        racer.trails.update(this.scrollSpeed);
+    }
+
+    // One camera has to fit everyone: nobody gets further than RACE_MAX_SPREAD from
+    // where the others were, so whoever tries to break away is held back
+    keepRacersTogether() {
+        const skiing = this.racers.filter(racer => !racer.out);
+        if (skiing.length < 2) return;
+        const middle = skiing.reduce((sum, racer) => sum + racer.player.prevX, 0) / skiing.length;
+        const half = RACE_MAX_SPREAD / 2;
+        skiing.forEach(racer => {
+            racer.player.x = Math.max(middle - half, Math.min(middle + half, racer.player.x));
+        });
+    }
+
+    // The racer's own version of hitObstacle(): a crash brakes only them, not the slope
+    hitRacer(racer, obstacle) {
+        const damage = this.runLives ? (OBSTACLE_DAMAGE[obstacle.type] || { lives: 1 }) : { lives: 1 };
+        if (racer.invulnerableTicks > 0 && !damage.always) return;
+        const bit = 1 << racer.index;
+        if (obstacle.hitBy & bit) return; // each obstacle only hurts each racer once
+        obstacle.hitBy |= bit;
+        if (!this.runLives) {
+            this.knockOut(racer, obstacle);
+            return;
+        }
+        racer.crashes[obstacle.type] = (racer.crashes[obstacle.type] || 0) + 1;
+        if (damage.lives === 0) {
+            racer.speed = Math.max(CONFIG.INITIAL_SCROLL_SPEED, racer.speed * damage.slow);
+            return;
+        }
+        racer.lives = Math.max(0, racer.lives - damage.lives);
+        if (racer.lives === 0) {
+            this.knockOut(racer, obstacle);
+            return;
+        }
+        const player = racer.player;
+        racer.tumbleTicks = CONFIG.TUMBLE_TICKS;
+        racer.invulnerableTicks = 0;
+        this.events.push({ type: 'stinger', kind: 'crash' });
+        this.sound('crash', player.x);
+        player.isJumping = false;
+        player.height = 0;
+        player.scale = player.baseScale;
+        this.particleSystem.spawnExplosion(player.x, player.y, this.crashColor(obstacle.type));
+    }
+
+    respawnRacer(racer) {
+        racer.player.x = this.pathCenter;
+        racer.player.prevX = racer.player.x;
+        racer.player.angle = 0;
+        racer.invulnerableTicks = CONFIG.INVULNERABLE_TICKS;
+    }
+
+    // Out of the race; the others carry on
+    knockOut(racer, obstacle) {
+        const player = racer.player;
+        racer.out = true;
+        racer.deathCause = obstacle.type;
+        racer.invulnerableTicks = 0;
+        player.hidden = true;
+        this.events.push({ type: 'stinger', kind: 'crash' });
+        this.sound('crash', player.x);
+        this.particleSystem.spawnExplosion(player.x, player.y, this.crashColor(obstacle.type));
+        this.particleSystem.spawnExplosion(player.x, player.y, "#ff3d00");
+    }
+
+    spawnJJBarrier() {
+        const isLeft = this.rng.next() > 0.5;
+        // Ensure JJ spawns VERY close to the tree wall
+        // Previous offset was +15.
+        // We want him barely peeking out or just at the edge.
+        // Let's use 0 offset relative to path edge, or even slightly negative?
+        // Path edge is pathCenter +/- pathWidth/2.
+        // Tree is at pathCenter +/- pathWidth/2 - 20 (approx).
+        // Let's put JJ exactly at pathWidth/2 - 30.
+        
+        const offset = (this.pathWidth / 2) - 30; 
+        let x = isLeft ? (this.pathCenter - offset) : (this.pathCenter + offset);
+        
+        // Constrain x to be well within visible screen (1024 width)
+        x = Math.max(100, Math.min(CONFIG.GAME_WIDTH - 100, x));
+        
+        // Spawn slightly below screen to scroll up
+        const obstacle = this.obstaclePool.acquire(this.pathCenter, CONFIG.GAME_HEIGHT + 150, 'jj-barrier');
+        obstacle.kidOffsetX = x - this.pathCenter;
+        this.obstacles.push(obstacle);
+        this.events.push({ type: 'stinger', kind: 'barrier' });
+    }
+    
+    spawnObstacle() {
+        this.updatePath();
+        if (this.frameCount % 10 === 0 && this.segment.trees) {
+            this.spawnWallTrees();
+        }
+        if (this.frameCount % this.segment.spawnRate === 0) {
+            this.spawnInternalObstacle();
+        }
+    }
+
+    // Fire the course's scripted events once their distance is reached.
+    // Repeating events count their interval from when they last actually fired.
+    updateCourseEvents() {
+        this.courseEvents.forEach(entry => {
+            const event = entry.event;
+            if (entry.done || this.distance <= entry.next) return;
+            if (event.type === 'pooper') {
+                if (this.poopingJJ) return; // wait until the current one is gone
+                this.spawnPoopingJJ(event.variant || null);
+            } else if (event.type === 'jj-barrier') {
+                this.spawnJJBarrier();
+            } else if (event.type === 'carousel') {
+                this.spawnCarousel(event.reverse ? 1 : 2);
+            }
+            if (event.every > 0 && event.at === undefined) {
+                entry.next = this.distance + event.every;
+                if (event.until !== undefined && entry.next > event.until) entry.done = true;
+            } else {
+                entry.done = true;
+            }
+        });
+    }
+
+    updatePath() {
+        if (Math.abs(this.pathCenter - this.pathTarget) < 5) {
+            const margin = 150;
+            this.pathTarget = margin + this.rng.next() * (CONFIG.GAME_WIDTH - margin * 2);
+            if (!this.isSplitting) {
+                const [minWidth, maxWidth] = this.segment.pathWidth;
+                this.targetPathWidth = minWidth + this.rng.next() * (maxWidth - minWidth);
+            }
+        }
+        const speed = 0.5 + (this.scrollSpeed * 0.1);
+        if (this.pathCenter < this.pathTarget) this.pathCenter += speed;
+        else this.pathCenter -= speed;
+
+        if (this.pathWidth < this.targetPathWidth) this.pathWidth += 0.5;
+        if (this.pathWidth > this.targetPathWidth) this.pathWidth -= 0.5;
+
+        this.splitTimer++;
+        const splitEvery = this.segment.splitEvery;
+        if (!this.isSplitting && this.splitDistance === 0 && splitEvery) {
+            if (this.splitTimer > splitEvery[0] + this.rng.next() * (splitEvery[1] - splitEvery[0])) {
+                this.isSplitting = true;
+                this.splitTimer = 0;
+            }
+        }
+        if (this.isSplitting && this.splitDistance === 0) {
+            this.targetPathWidth = 750;
+            if (this.pathWidth >= 700) {
+                this.startSeparating = true;
+            }
+        }
+        if (this.isSplitting && this.startSeparating) {
+            if (this.splitDistance < this.maxSplitDistance) {
+                this.splitDistance += 1.5;
+            } else {
+                if (this.splitTimer > 400) {
+                    this.isSplitting = false;
+                    this.startSeparating = false;
+                    this.splitTimer = 0;
+                }
+            }
+        }
+        if (!this.isSplitting && this.splitDistance > 0) {
+            this.splitDistance -= 1.5;
+            if (this.splitDistance <= 0) {
+                this.splitDistance = 0;
+                this.targetPathWidth = 450;
+            }
+        }
+    }
+
+    spawnWallTrees() {
+        const y = CONFIG.GAME_HEIGHT + 50;
+        const leftPathCenter = this.pathCenter - (this.splitDistance / 2);
+        const rightPathCenter = this.pathCenter + (this.splitDistance / 2);
+        const currentPathWidth = this.isSplitting || this.splitDistance > 0 ? this.pathWidth / 2 : this.pathWidth;
+        const leftEdge = leftPathCenter - currentPathWidth / 2;
+        this.spawnTreeAt(leftEdge - 20, y);
+        const rightEdge = rightPathCenter + currentPathWidth / 2;
+        this.spawnTreeAt(rightEdge + 20, y);
+        if (this.splitDistance > 80) {
+            const midLeft = leftPathCenter + currentPathWidth / 2;
+            const midRight = rightPathCenter - currentPathWidth / 2;
+            if (midRight > midLeft) {
+                this.spawnTreeAt((midLeft + midRight) / 2, y);
+            }
+        }
+    }
+
+    spawnTreeAt(x, y) {
+        const jitter = (this.rng.next() - 0.5) * 20;
+        const obstacle = this.obstaclePool.acquire(x + jitter, y, 'tree');
+        this.obstacles.push(obstacle);
+    }
+
+    spawnInternalObstacle() {
+        const powerUp = this.rng.next() < POWERUP_CHANCE && !this.racers;
+        const type = powerUp ? 'powerup' : this.course.pickObstacle(this.segment, this.rng.next());
+        let targetCenter = this.pathCenter;
+        let targetWidth = this.pathWidth;
+        if (this.splitDistance > 50) {
+            if (this.rng.next() > 0.5) {
+                targetCenter = this.pathCenter - this.splitDistance / 2;
+            } else {
+                targetCenter = this.pathCenter + this.splitDistance / 2;
+            }
+            targetWidth = this.pathWidth / 2;
+        }
+        // Flags come in pairs as slalom gates, and both poles have to fit on the path
+        const isGate = type === 'flag';
+        const safeWidth = Math.max(0, targetWidth - 60 - (isGate ? CONFIG.GATE_WIDTH : 0));
+        const xOffset = (this.rng.next() - 0.5) * safeWidth;
+        const x = targetCenter + xOffset;
+        const kind = powerUp ? POWERUP_KINDS[Math.floor(this.rng.next() * POWERUP_KINDS.length)] : null;
+        const obstacle = this.obstaclePool.acquire(x, CONFIG.GAME_HEIGHT + 50, isGate ? 'gate' : type, kind);
+        this.obstacles.push(obstacle);
+    }
+
+    triggerCarouselEffect(obs) {
+        if (obs.triggered) return;
+        obs.triggered = true;
+        
+        this.events.push({ type: 'clip', name: 'spiegelei' });
+        
+        if (obs.phase === 2 && this.carouselActive && !this.racers) {
+            this.awardPoints('reverse-zone'); // made it through the reverse zone
+        }
+        if (obs.phase === 1) {
+            if (this.powerUps.isActive('anti-reverse')) return;
+            this.carouselActive = true;
+            this.sound('carousel', obs.x);
+        } else {
+            this.carouselActive = false;
+        }
+    }
+
+    // A gate counts once it reaches the skier: clean through the middle, or missed
+    judgeGate(gate) {
+        gate.judged = true;
+        const passed = !gate.hit && Math.abs(this.player.x - gate.x) < CONFIG.GATE_WIDTH / 2;
+        if (passed) {
+            this.gates.passed++;
+            this.gates.streak++;
+            this.gates.bestStreak = Math.max(this.gates.bestStreak, this.gates.streak);
+            this.gates.points += this.awardPoints('gate', SCORE_EVENTS.gate.points * this.gates.streak);
+        } else {
+            this.gates.missed++;
+            this.gates.streak = 0;
+            this.score.breakCombo();
+        }
+        gate.passed = passed;
+    }
+
+    // Touching an obstacle's outline without colliding means we jumped over it,
+    // coming close to it sideways is a near-miss. Both score once it's behind us.
+    checkCloseCall(obstacle) {
+        if (Math.abs(obstacle.y - this.player.y) > 150) return;
+        const shapes = obstacle.hitShapes();
+        const playerShape = this.player.hitShape();
+        if (shapes.some(shape => shapesOverlap(playerShape, shape))) {
+            obstacle.closeCall = 'over';
+        } else if (!obstacle.closeCall) {
+            const nearShape = this.player.hitShape(PLAYER_NEAR_MISS_SHAPE);
+            if (shapes.some(shape => shapesOverlap(nearShape, shape))) obstacle.closeCall = 'near';
+        }
+    }
+
+    scoreCloseCall(obstacle) {
+        if (obstacle.closeCall === 'near') {
+            this.awardPoints('near-miss');
+            this.sound('near-miss', obstacle.x);
+        } else {
+            // Over a barrier means over its crack, JJ himself is too tall to jump
+            this.awardPoints(obstacle.type === 'jj-barrier' ? 'crack' : 'jump-over');
+        }
+        obstacle.closeCall = null;
+    }
+
+    // Named sound effect (see sfx.js) at a world x, the skier by default
+    sound(name, x = this.player.x) {
+        this.events.push({ type: 'sound', name: name, x: x });
+    }
+
+    awardPoints(type, basePoints) {
+        const points = this.score.award(type, basePoints);
+        this.scorePopups.spawn(`+${points} ${SCORE_EVENTS[type].label}`, this.player.x, this.player.y - 80);
+        return points;
+    }
+
+    // Run time as it counts for the leaderboard, missed gates included
+    runTime() {
+        return this.runTick / CONFIG.TICK_RATE + this.gates.missed * CONFIG.GATE_PENALTY;
+    }
+
+    collectPowerUp(obstacle) {
+        obstacle.hit = true; // picked up, so it's gone from the slope
+        this.powerUps.activate(obstacle.kind);
+        this.events.push({ type: 'pickup', kind: obstacle.kind, x: obstacle.x });
+        if (obstacle.kind === 'slow-mo') {
+            this.scrollSpeed /= 2;
+        } else if (obstacle.kind === 'anti-reverse' && this.carouselActive) {
+            // Reverse zone over early
+            this.carouselActive = false;
+        }
+    }
+
+    endPowerUp(kind) {
+        if (kind === 'slow-mo') {
+            this.scrollSpeed = Math.min(this.scrollSpeed * 2, this.segment.maxSpeed);
+        }
+    }
+
+    // One-life runs end on any touch; in lives mode each obstacle type does its own damage
+    hitObstacle(obstacle) {
+        const damage = this.runLives ? (OBSTACLE_DAMAGE[obstacle.type] || { lives: 1 }) : { lives: 1 };
+        if (this.invulnerableTicks > 0 && !damage.always) return;
+        // A shield takes the crash instead of the skier
+        if (damage.lives > 0 && this.powerUps.consume('shield')) {
+            obstacle.hit = true;
+            this.invulnerableTicks = CONFIG.SHIELD_GRACE_TICKS;
+            this.particleSystem.spawnExplosion(this.player.x, this.player.y, "#81d4fa");
+            return;
+        }
+        if (!this.runLives) {
+            this.triggerExplosion(obstacle);
+            return;
+        }
+        obstacle.hit = true; // each obstacle only hurts once
+        this.crashes[obstacle.type] = (this.crashes[obstacle.type] || 0) + 1;
+        
+        if (damage.lives === 0) {
+            this.scrollSpeed = Math.max(CONFIG.INITIAL_SCROLL_SPEED, this.scrollSpeed * damage.slow);
+            return;
+        }
+        this.score.breakCombo();
+        this.lives = Math.max(0, this.lives - damage.lives);
+        if (this.lives === 0) {
+            this.triggerExplosion(obstacle);
+            return;
+        }
+        this.tumbleTicks = CONFIG.TUMBLE_TICKS;
+        this.invulnerableTicks = 0;
+        this.events.push({ type: 'stinger', kind: 'crash' });
+        this.sound('crash');
+        this.player.isJumping = false;
+        this.player.height = 0;
+        this.player.scale = this.player.baseScale;
+        this.particleSystem.spawnExplosion(this.player.x, this.player.y, this.crashColor(obstacle.type));
+    }
+
+    // Back on the skis in the middle of the path, blinking for a while
+    respawn() {
+        this.player.x = this.pathCenter;
+        this.player.prevX = this.player.x;
+        this.player.angle = 0;
+        this.invulnerableTicks = CONFIG.INVULNERABLE_TICKS;
+    }
+
+    crashColor(type) {
+        let color = "#5d4037"; // Default brown (poop/tree trunk)
+        if (type === 'poop') color = "#795548"; // Poop brown
+        else if (type === 'tree') color = "#2E7D32"; // Tree green
+        else if (type === 'rock') color = "#9e9e9e"; // Rock grey
+        else if (type === 'kid' || type === 'jj-barrier') color = "#fdd835"; // JJ yellow
+        return color;
+    }
+
+    triggerExplosion(obstacle) {
+        if (this.state === 'EXPLODING') return;
+        this.state = 'EXPLODING';
+        this.deathCause = obstacle.type;
+        this.invulnerableTicks = 0;
+        this.events.push({ type: 'stinger', kind: 'crash' });
+        this.sound('crash');
+        
+        // Hide player
+        this.player.hidden = true;
+        
+        // Explosion at player position
+        this.particleSystem.spawnExplosion(this.player.x, this.player.y, this.crashColor(obstacle.type));
+        
+        // Also add some red/white for player parts
+        this.particleSystem.spawnExplosion(this.player.x, this.player.y, "#ff3d00");
+    }
+
+    spawnCarousel(phase) {
+        const x = this.pathCenter;
+        const y = CONFIG.GAME_HEIGHT + 200;
+        const obstacle = this.obstaclePool.acquire(x, y, 'carousel');
+        obstacle.phase = phase; 
+        this.obstacles.push(obstacle);
+    }
+
+    spawnPoopingJJ(forcedType = null) {
+        if (this.poopingJJ) return;
+        this.events.push({ type: 'clip', name: 'gagi' });
+        
+        // Randomly choose type: 'sled' or 'squat' unless forced
+        const type = forcedType ? forcedType : (this.rng.next() > 0.5 ? 'sled' : 'squat');
+        
+        const startFromLeft = this.rng.next() > 0.5;
+        const direction = startFromLeft ? 1 : -1;
+        const leftBound = this.pathCenter - this.pathWidth / 2 + 50;
+        const rightBound = this.pathCenter + this.pathWidth / 2 - 50;
+        let x = startFromLeft ? leftBound : rightBound;
+        let y = -100;
+        
+        this.poopingJJ = {
+            type: type, // also picks the drawing: #sled-kid or #squat-kid
+            x: x,
+            y: y,
+            prevX: x,
+            prevY: y,
+            bob: 0,
+            targetY: 200, 
+            direction: direction,
+            poopTimer: 0,
+            state: 'entering',
+            angle: 0
+        };
+    }
+    
+    updatePoopingJJ() {
+        if (!this.poopingJJ) return;
+        let jj = this.poopingJJ;
+        jj.prevX = jj.x;
+        jj.prevY = jj.y;
+        
+        if (jj.type === 'sled') {
+            this.updateSleddingJJ(jj);
+        } else {
+            this.updateSquattingJJ(jj);
+        }
+    }
+
+    updateSleddingJJ(jj) {
+        // Type 1: Sledding JJ (Original behavior + sled visual)
+        // Moves diagonally down/across
+        if (jj.state === 'entering') {
+            jj.y += 4; // Fast entry
+            jj.x += jj.direction * 1;
+            if (jj.y >= jj.targetY) {
+                jj.state = 'skiing';
+            }
+        } else if (jj.state === 'skiing') {
+            const speedX = 2.5; 
+            const speedY = 0.5; // Moves slowly down relative to camera
+            
+            jj.x += speedX * jj.direction;
+            jj.y += speedY; // Slowly moves down screen
+            
+            const leftBound = this.pathCenter - this.pathWidth / 2 + 50;
+            const rightBound = this.pathCenter + this.pathWidth / 2 - 50;
+            
+            // Zigzag
+            if (jj.x > rightBound) jj.direction = -1;
+            if (jj.x < leftBound) jj.direction = 1;
+            
+            // Occasional poop
+            if (!jj.poopTimer) jj.poopTimer = 0;
+            jj.poopTimer++;
+            if (jj.poopTimer > 60) { 
+                this.spawnPoop(jj.x, jj.y + 20); 
+                jj.poopTimer = 0;
+            }
+            
+            // Tilt based on direction
+            jj.angle = jj.direction * -10;
+            
+            if (!jj.lifeTime) jj.lifeTime = 0;
+            jj.lifeTime++;
+            if (jj.lifeTime > 600) { 
+                jj.y += 5; // Zoom away down
+                if (jj.y > CONFIG.GAME_HEIGHT + 100) {
+                    this.poopingJJ = null;
+                    return; 
+                }
+            }
+        }
+    }
+
+    updateSquattingJJ(jj) {
+        // Type 2: Squatting JJ (Wall builder on a rope)
+        // Moves strictly horizontal relative to the GROUND (so he moves UP with scroll)
+        
+        // If he's just entering, he spawns below screen and scrolls up naturally with the world
+        // But our current logic spawns him and manages his 'y' manually.
+        // Actually, 'jj.y' is his world position relative to the camera group if we appended him to slopeGroup?
+        // Wait, slopeGroup is inside worldCamera. So if we set y once, he will scroll with the world.
+        // The previous logic was modifying jj.y to simulate movement.
+        // For "tied to trees", he should have a FIXED Y in the world, and just change X.
+        
+        if (jj.state === 'entering') {
+            // Initialize rope if not present
+            if (!jj.rope) {
+                // Rope spans the whole path width plus some margin to reach "trees",
+                // drawn behind him at hand height
+                jj.rope = {
+                    x1: this.pathCenter - this.pathWidth / 2 - 20,
+                    x2: this.pathCenter + this.pathWidth / 2 + 20
+                };
+            }
+            
+            // He is already placed at y = -100 (which is top of screen... wait).
+            // spawnPoopingJJ sets y = -100.
+            // In the new camera system, y = 0 is top of world? 
+            // The camera follows player. Player is at y=100.
+            // Obstacles are spawned at CONFIG.GAME_HEIGHT + 50 (bottom).
+            // Pooping JJ was spawned at y = -100 (top) to "overtake"?
+            // User says: "Tied between trees... won't slide down like player".
+            // This means he is a STATIONARY OBSTACLE (like a rock) that just moves left/right.
+            // So he should spawn at the BOTTOM (like trees) and scroll UP.
+            
+            // If this is the first update, let's fix his position to be ahead of player (bottom of screen)
+            if (jj.y === -100) {
+                 jj.y = CONFIG.GAME_HEIGHT + 100; // Spawn ahead
+                 jj.prevY = jj.y; // Teleport, don't interpolate across the screen
+                 jj.targetY = jj.y; // He stays at this Y level
+            }
+            
+            jj.state = 'crawling';
+        } else if (jj.state === 'crawling') {
+            const speed = 3; 
+            jj.x += speed * jj.direction;
+            
+            // Dense poop spawn
+            if (!jj.poopTimer) jj.poopTimer = 0;
+            jj.poopTimer++;
+            if (jj.poopTimer > 20) { // Increased from 4 to 20 for bigger spacing
+                this.spawnPoop(jj.x, jj.y + 20); 
+                jj.poopTimer = 0;
+            }
+            
+            jj.bob = Math.sin(this.frameCount * 0.2) * 5; 
+            
+            // Check bounds
+            const leftBound = this.pathCenter - this.pathWidth / 2 + 20;
+            const rightBound = this.pathCenter + this.pathWidth / 2 - 20;
+            
+            if (jj.direction === 1 && jj.x > rightBound) {
+                jj.direction = -1;
+            } else if (jj.direction === -1 && jj.x < leftBound) {
+                jj.direction = 1;
+            }
+            
+            // Cleanup when he scrolls off top of screen
+            // Player is at y=100. If jj.y < player.y - 200, he's gone.
+            // But wait, "scrolls up" means his screen Y decreases as camera Y increases?
+            // No, obstacles have fixed World Y. Camera moves +Y?
+            // Let's check update(): obs.y -= scrollSpeed. 
+            // Ah, the current engine moves OBSTACLES up, not camera down. 
+            // "this.obstacles.forEach... obs.y -= speed".
+            // So JJ must also follow this rule if he is "stationary on the ground".
+            
+            jj.y -= this.scrollSpeed; // Move with the world
+            
+            if (jj.y < -150) {
+                this.poopingJJ = null;
+                return;
+            }
+        }
+    }
+    
+    spawnPoop(x, y) {
+        const obstacle = this.obstaclePool.acquire(x, y, 'poop');
+        this.obstacles.push(obstacle);
+    }
+
+    // Shape test against each part of the obstacle; a jump clears the parts it's higher than
+    checkCollision(player, obstacle) {
+        if (Math.abs(obstacle.y - player.y) > 300) return false;
+        const playerShape = player.hitShape();
+        return obstacle.hitShapes().some(shape => player.height <= shape.clearance && shapesOverlap(playerShape, shape));
+    }
+}
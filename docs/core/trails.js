@@ -0,0 +1,66 @@
+// Ski tracks. Points live in a fixed-size ring buffer in slope coordinates (screen y plus
+// how far the slope has scrolled), so they never have to be moved: the renderer shifts the
+// whole trail by `scroll` instead.
+
+export const TRAIL_CAPACITY = 256; // points, more than TRAIL_MAX_AGE ticks' worth
+export const TRAIL_MAX_AGE = 200; // ticks
+export const TRAIL_REBASE = 100000; // px scrolled before coordinates are moved back near 0
+
+export class SkiTrails {
+    constructor() {
+        this.xs = new Float64Array(TRAIL_CAPACITY);
+        this.ys = new Float64Array(TRAIL_CAPACITY);
+        this.born = new Float64Array(TRAIL_CAPACITY); // tick each point was added
+        this.version = 0; // bumped whenever stored points change, so drawn copies know to start over
+        this.clear();
+    }
+
+    clear() {
+        this.total = 0; // points ever added, point n is stored at n % TRAIL_CAPACITY
+        this.count = 0; // points still alive, the newest `count` of them
+        this.scroll = 0;
+        this.tick = 0;
+        this.version++;
+    }
+
+    oldest() {
+        return this.total - this.count;
+    }
+
+    // Where point n is (slope coordinates), for points from oldest() up to total
+    pointX(n) {
+        return this.xs[n % TRAIL_CAPACITY];
+    }
+
+    pointY(n) {
+        return this.ys[n % TRAIL_CAPACITY];
+    }
+
+    // x and y on screen
+    add(x, y) {
+        const slot = this.total++ % TRAIL_CAPACITY;
+        this.count = Math.min(this.count + 1, TRAIL_CAPACITY);
+        this.xs[slot] = x;
+        this.ys[slot] = y + this.scroll;
+        this.born[slot] = this.tick;
+    }
+
+    // One tick: the slope moves up by scrollSpeed, points that left the screen or got old expire
+    update(scrollSpeed) {
+        this.scroll += scrollSpeed;
+        this.tick++;
+        while (this.count > 0) {
+            const slot = this.oldest() % TRAIL_CAPACITY;
+            if (this.ys[slot] - this.scroll >= -100 && this.tick - this.born[slot] <= TRAIL_MAX_AGE) break;
+            this.count--; // points are added in order, so the oldest always goes first
+        }
+        if (this.scroll > TRAIL_REBASE) this.rebase();
+    }
+
+    // Long endless runs: keep coordinates small so drawing doesn't lose precision
+    rebase() {
+        for (let i = 0; i < TRAIL_CAPACITY; i++) this.ys[i] -= this.scroll;
+        this.scroll = 0;
+        this.version++;
+    }
+}
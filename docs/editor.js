@@ -0,0 +1,760 @@
+// Course editor: the slope as a vertical timeline.
+// Segments are edited as a grid of EDITOR_CELL-meter cells and merged back into
+// segments when saved, so painting a curve never leaves hundreds of tiny segments.
+// The course is saved to localStorage on every change and test-run with
+// index.html?course=editor&from=<meters>.
+
+const EDITOR_CELL = 50; // meters
+const EDITOR_PX_PER_METER = 0.5;
+const EDITOR_TOP = 40; // room for the lane titles
+const EDITOR_SNAP = 10; // events snap to 10m
+const EDITOR_MAX_DENSITY = 4; // obstacles per second at the right edge of the lane
+const EDITOR_WIDTH_RANGE = [100, 900]; // px shown in the width lane
+const EDITOR_PREVIEW_SAMPLE_TICKS = 6;
+const EDITOR_BOT_RUNS = 5; // seeds the bot skis the course on
+const EDITOR_BOT_SLICE_TICKS = 120; // ticks simulated between status updates, so the page stays responsive
+
+const EDITOR_LANES = {
+    ruler: { x: 0, width: 50, title: 'm' },
+    path: { x: 60, width: 340, title: 'Path' },
+    density: { x: 410, width: 120, title: 'Density' },
+    width: { x: 540, width: 120, title: 'Width' },
+    events: { x: 670, width: 230, title: 'Events' }
+};
+
+// What each placement tool drops onto the timeline
+const EDITOR_TOOLS = {
+    'carousel-on': (at) => ({ type: 'carousel', at: at, reverse: true }),
+    'carousel-off': (at) => ({ type: 'carousel', at: at, reverse: false }),
+    'jj-barrier': (at) => ({ type: 'jj-barrier', at: at }),
+    'squat': (at) => ({ type: 'pooper', at: at, variant: 'squat' }),
+    'sled': (at) => ({ type: 'pooper', at: at, variant: 'sled' })
+};
+
+// Column and colour of each event type in the events lane
+const EDITOR_EVENT_STYLES = {
+    'carousel': { column: 14, color: '#8e44ad' },
+    'jj-barrier': { column: 90, color: '#c0392b' },
+    'pooper': { column: 160, color: '#795548' }
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+class CourseEditor {
+    constructor() {
+        this.svg = document.getElementById('timeline');
+        this.status = document.getElementById('editor-status');
+        this.nameInput = document.getElementById('course-name-input');
+        this.finishInput = document.getElementById('finish-input');
+        this.seedInput = document.getElementById('preview-seed-input');
+        this.testBtn = document.getElementById('test-btn');
+        this.fileInput = document.getElementById('course-file');
+        this.eventInspector = document.getElementById('event-inspector');
+        this.segmentInspector = document.getElementById('segment-inspector');
+
+        this.name = '';
+        this.finishDistance = 0;
+        this.cells = [];
+        this.events = [];
+        this.tool = 'select';
+        this.selectedEvent = null; // index into this.events
+        this.selection = null; // { from, to } cell indices, inclusive
+        this.testFrom = 0;
+        this.previewSeed = 'EDITOR';
+        this.botTimer = null; // bot run in progress
+        this.pathSamples = null; // cached path preview, cleared when the slope changes
+        this.drag = null;
+
+        this.setupControls();
+        this.setupInspectors();
+        this.setupTimeline();
+        this.loadData(this.loadSaved());
+    }
+
+    loadSaved() {
+        try {
+            return Course.loadSaved().data;
+        } catch (e) {
+            return JSON.parse(JSON.stringify(DEFAULT_COURSE));
+        }
+    }
+
+    // Expand a course into editor cells
+    loadData(data) {
+        const course = new Course(data);
+        if (course.endless) throw new Error('Endless courses can\'t be edited here');
+        this.name = course.name;
+        this.finishDistance = Math.max(EDITOR_CELL, Math.round(course.finishDistance / EDITOR_CELL) * EDITOR_CELL);
+        this.cells = [];
+        for (let d = 0; d < this.finishDistance; d += EDITOR_CELL) {
+            const segment = course.segmentAt(d);
+            this.cells.push({
+                pathWidth: segment.pathWidth.slice(),
+                splitEvery: segment.splitEvery ? segment.splitEvery.slice() : null,
+                spawnRate: segment.spawnRate,
+                trees: segment.trees,
+                maxSpeed: segment.maxSpeed,
+                obstacles: Object.assign({}, segment.obstacles)
+            });
+        }
+        this.events = course.events.map(event => Object.assign({}, event));
+        this.selectedEvent = null;
+        this.selection = null;
+        this.testFrom = 0;
+        this.pathSamples = null;
+
+        this.nameInput.value = this.name;
+        this.finishInput.value = this.finishDistance;
+        this.seedInput.value = this.previewSeed;
+        this.updateInspectors();
+        this.commit();
+    }
+
+    // Merge runs of identical cells back into segments
+    toData() {
+        const segments = [];
+        let lastKey = null;
+        this.cells.forEach(cell => {
+            const key = JSON.stringify(cell);
+            if (key === lastKey) {
+                segments[segments.length - 1].length += EDITOR_CELL;
+                return;
+            }
+            lastKey = key;
+            segments.push(Object.assign({ length: EDITOR_CELL }, JSON.parse(key)));
+        });
+        return {
+            format: COURSE_FORMAT,
+            version: COURSE_VERSION,
+            name: this.name,
+            finishDistance: this.finishDistance,
+            segments: segments,
+            events: this.events.map(event => Object.assign({}, event))
+        };
+    }
+
+    // Validate, save for test runs and redraw. Returns whether the course is valid.
+    commit() {
+        const data = this.toData();
+        let valid = true;
+        try {
+            new Course(data);
+            localStorage.setItem(COURSE_EDITOR_STORAGE_KEY, JSON.stringify(data));
+            this.setStatus(`Saved (${data.segments.length} segments, ${data.events.length} events)`);
+        } catch (err) {
+            this.setStatus(err.message, true);
+            valid = false;
+        }
+        this.render();
+        return valid;
+    }
+
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+
+    setupControls() {
+        this.nameInput.addEventListener('change', () => {
+            this.name = this.nameInput.value.trim() || 'Untitled slope';
+            this.commit();
+        });
+        this.finishInput.addEventListener('change', () => {
+            this.setFinish(parseFloat(this.finishInput.value) || EDITOR_CELL);
+        });
+        this.seedInput.addEventListener('change', () => {
+            this.previewSeed = this.seedInput.value.trim().toUpperCase() || 'EDITOR';
+            this.seedInput.value = this.previewSeed;
+            this.pathSamples = null;
+            this.render();
+        });
+        document.querySelectorAll('input[name="tool"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.tool = radio.value;
+            });
+        });
+
+        document.getElementById('new-course-btn').addEventListener('click', () => {
+            if (!window.confirm('Start a new empty course? The current one will be replaced.')) return;
+            this.loadData({
+                format: COURSE_FORMAT,
+                version: COURSE_VERSION,
+                name: 'New slope',
+                finishDistance: 1000,
+                segments: [{ length: 1000 }],
+                events: []
+            });
+        });
+        document.getElementById('default-course-btn').addEventListener('click', () => {
+            if (!window.confirm(`Replace the current course with ${DEFAULT_COURSE.name}?`)) return;
+            this.loadData(JSON.parse(JSON.stringify(DEFAULT_COURSE)));
+        });
+        document.getElementById('export-course-btn').addEventListener('click', () => this.exportFile());
+        document.getElementById('import-course-btn').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (!file) return;
+            try {
+                this.loadData(JSON.parse(await file.text()));
+                this.setStatus(`Imported ${this.name}`);
+            } catch (err) {
+                this.setStatus(err.message, true);
+            }
+        });
+        this.testBtn.addEventListener('click', () => {
+            if (!this.commit()) return;
+            window.open(`index.html?course=editor&from=${this.testFrom}`, 'andi-ski-test');
+        });
+        document.getElementById('bot-run-btn').addEventListener('click', () => this.botRun());
+
+        window.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, select')) return;
+            if ((e.code === 'Delete' || e.code === 'Backspace') && this.selectedEvent !== null) {
+                e.preventDefault();
+                this.deleteSelectedEvent();
+            }
+        });
+    }
+
+    // Let the autopilot ski the whole course on a few seeds (the preview seed and some
+    // variations of it). If it can't get down, kids probably can't either.
+    botRun() {
+        if (this.botTimer || !this.commit()) return;
+        const course = new Course(this.toData());
+        const seeds = [this.previewSeed];
+        while (seeds.length < EDITOR_BOT_RUNS) seeds.push(`${this.previewSeed}-${seeds.length + 1}`);
+        const crashes = [];
+        let run = 0;
+        let sim = new Simulation(seeds[run], course);
+        let bot = new Autopilot(sim);
+        const slice = () => {
+            for (let i = 0; i < EDITOR_BOT_SLICE_TICKS && !sim.isOver(); i++) {
+                sim.step(() => bot.input());
+            }
+            if (sim.isOver()) {
+                if (sim.state !== 'VICTORY') {
+                    crashes.push(`crashed at ${Math.floor(sim.distance)}m (${sim.deathCause}) on seed ${seeds[run]}`);
+                }
+                run++;
+                if (run === seeds.length) {
+                    this.botTimer = null;
+                    const finished = seeds.length - crashes.length;
+                    if (crashes.length) this.setStatus(`Bot finished ${finished}/${seeds.length}: ${crashes.join(', ')}`, true);
+                    else this.setStatus(`Bot finished all ${seeds.length} runs`);
+                    return;
+                }
+                sim = new Simulation(seeds[run], course);
+                bot = new Autopilot(sim);
+            }
+            this.setStatus(`Bot run ${run + 1}/${seeds.length}: ${Math.floor(sim.distance)}m`);
+            this.botTimer = setTimeout(slice, 0);
+        };
+        slice();
+    }
+
+    setFinish(distance) {
+        this.finishDistance = Math.max(EDITOR_CELL, Math.round(distance / EDITOR_CELL) * EDITOR_CELL);
+        this.finishInput.value = this.finishDistance;
+        const count = this.finishDistance / EDITOR_CELL;
+        while (this.cells.length < count) {
+            this.cells.push(JSON.parse(JSON.stringify(this.cells[this.cells.length - 1])));
+        }
+        this.cells.length = count;
+        if (this.selection && this.selection.to >= count) this.selection = null;
+        this.setTestFrom(this.testFrom);
+        this.pathSamples = null;
+        this.updateInspectors();
+        this.commit();
+    }
+
+    setTestFrom(distance) {
+        this.testFrom = Math.max(0, Math.min(distance, this.finishDistance - EDITOR_CELL));
+        this.testBtn.textContent = `Test from ${this.testFrom}m`;
+    }
+
+    exportFile() {
+        const data = this.toData();
+        try {
+            new Course(data);
+        } catch (err) {
+            this.setStatus(err.message, true);
+            return;
+        }
+        const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    setupInspectors() {
+        const field = (id) => document.getElementById(id);
+        const onEventChange = (id, apply) => {
+            field(id).addEventListener('change', () => {
+                const event = this.events[this.selectedEvent];
+                if (!event) return;
+                apply(event, field(id));
+                this.updateInspectors();
+                this.commit();
+            });
+        };
+        const meters = (input) => Math.max(0, Math.round((parseFloat(input.value) || 0) / EDITOR_SNAP) * EDITOR_SNAP);
+
+        onEventChange('event-repeat', (event, input) => {
+            if (input.checked) {
+                event.from = event.at;
+                event.every = 100;
+                delete event.at;
+            } else {
+                event.at = event.from !== undefined ? event.from : event.every;
+                delete event.from;
+                delete event.every;
+                delete event.until;
+            }
+        });
+        onEventChange('event-at', (event, input) => event.at = meters(input));
+        onEventChange('event-from', (event, input) => event.from = meters(input));
+        onEventChange('event-every', (event, input) => event.every = Math.max(EDITOR_SNAP, meters(input)));
+        onEventChange('event-until', (event, input) => {
+            if (input.value === '') delete event.until;
+            else event.until = meters(input);
+        });
+        onEventChange('event-variant', (event, input) => {
+            if (input.value) event.variant = input.value;
+            else delete event.variant;
+        });
+        onEventChange('event-reverse', (event, input) => event.reverse = input.checked);
+        field('event-delete-btn').addEventListener('click', () => this.deleteSelectedEvent());
+
+        // Segment fields apply to every selected cell
+        const onSegmentChange = (input, apply) => {
+            input.addEventListener('change', () => {
+                if (!this.selection) return;
+                for (let i = this.selection.from; i <= this.selection.to; i++) {
+                    apply(this.cells[i], input);
+                }
+                this.pathSamples = null;
+                this.updateInspectors();
+                this.commit();
+            });
+        };
+        const number = (input, min, max) => Math.max(min, Math.min(max, Math.round(parseFloat(input.value) || min)));
+        const splitRange = (cell) => {
+            const min = number(field('segment-split-min'), 100, 10000);
+            cell.splitEvery = [min, Math.max(min, number(field('segment-split-max'), 100, 10000))];
+        };
+
+        onSegmentChange(field('segment-spawn-rate'), (cell, input) => cell.spawnRate = number(input, 10, 240));
+        onSegmentChange(field('segment-width-min'), (cell, input) => {
+            cell.pathWidth = [number(input, 100, 900), Math.max(cell.pathWidth[1], number(input, 100, 900))];
+        });
+        onSegmentChange(field('segment-width-max'), (cell, input) => {
+            cell.pathWidth = [Math.min(cell.pathWidth[0], number(input, 100, 900)), number(input, 100, 900)];
+        });
+        onSegmentChange(field('segment-max-speed'), (cell, input) => cell.maxSpeed = number(input, 2, 20));
+        onSegmentChange(field('segment-trees'), (cell, input) => cell.trees = input.checked);
+        onSegmentChange(field('segment-split'), (cell, input) => {
+            if (input.checked) splitRange(cell);
+            else cell.splitEvery = null;
+        });
+        onSegmentChange(field('segment-split-min'), (cell) => {
+            if (cell.splitEvery) splitRange(cell);
+        });
+        onSegmentChange(field('segment-split-max'), (cell) => {
+            if (cell.splitEvery) splitRange(cell);
+        });
+        document.querySelectorAll('#segment-obstacles input').forEach(input => {
+            onSegmentChange(input, (cell) => {
+                const weight = Math.max(0, parseFloat(input.value) || 0);
+                if (weight > 0) cell.obstacles[input.dataset.obstacle] = weight;
+                else delete cell.obstacles[input.dataset.obstacle];
+            });
+        });
+    }
+
+    deleteSelectedEvent() {
+        if (this.selectedEvent === null) return;
+        this.events.splice(this.selectedEvent, 1);
+        this.selectedEvent = null;
+        this.updateInspectors();
+        this.commit();
+    }
+
+    // Show the inspector for whatever is selected and fill in its values
+    updateInspectors() {
+        const event = this.selectedEvent !== null ? this.events[this.selectedEvent] : null;
+        this.eventInspector.classList.toggle('hidden', !event);
+        if (event) {
+            const repeating = event.at === undefined;
+            const titles = { 'carousel': 'Carousel', 'jj-barrier': 'JJ barrier', 'pooper': 'Pooping JJ' };
+            document.getElementById('event-title').textContent = titles[event.type];
+            document.getElementById('event-repeat').checked = repeating;
+            document.getElementById('event-at').value = repeating ? '' : event.at;
+            document.getElementById('event-from').value = event.from !== undefined ? event.from : '';
+            document.getElementById('event-every').value = event.every || '';
+            document.getElementById('event-until').value = event.until !== undefined ? event.until : '';
+            document.getElementById('event-variant').value = event.variant || '';
+            document.getElementById('event-reverse').checked = !!event.reverse;
+            this.eventInspector.querySelectorAll('.once').forEach(el => el.classList.toggle('hidden', repeating));
+            this.eventInspector.querySelectorAll('.repeat').forEach(el => el.classList.toggle('hidden', !repeating));
+            this.eventInspector.querySelectorAll('.pooper-only').forEach(el => el.classList.toggle('hidden', event.type !== 'pooper'));
+            this.eventInspector.querySelectorAll('.carousel-only').forEach(el => el.classList.toggle('hidden', event.type !== 'carousel'));
+        }
+
+        this.segmentInspector.classList.toggle('hidden', !this.selection);
+        if (this.selection) {
+            const cell = this.cells[this.selection.from];
+            const start = this.selection.from * EDITOR_CELL;
+            const end = (this.selection.to + 1) * EDITOR_CELL;
+            document.getElementById('segment-title').textContent = `Slope ${start}m - ${end}m`;
+            document.getElementById('segment-spawn-rate').value = cell.spawnRate;
+            document.getElementById('segment-width-min').value = cell.pathWidth[0];
+            document.getElementById('segment-width-max').value = cell.pathWidth[1];
+            document.getElementById('segment-max-speed').value = cell.maxSpeed;
+            document.getElementById('segment-trees').checked = cell.trees;
+            document.getElementById('segment-split').checked = !!cell.splitEvery;
+            const split = cell.splitEvery || COURSE_SEGMENT_DEFAULTS.splitEvery;
+            document.getElementById('segment-split-min').value = split[0];
+            document.getElementById('segment-split-max').value = split[1];
+            document.querySelectorAll('#segment-obstacles input').forEach(input => {
+                input.value = cell.obstacles[input.dataset.obstacle] || 0;
+            });
+        }
+    }
+
+    setupTimeline() {
+        this.svg.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.svg.addEventListener('pointermove', (e) => {
+            if (this.drag) this.onDrag(e);
+        });
+        const endDrag = () => {
+            if (!this.drag) return;
+            const changed = this.drag.changed;
+            this.drag = null;
+            this.updateInspectors();
+            if (changed) this.commit();
+        };
+        this.svg.addEventListener('pointerup', endDrag);
+        this.svg.addEventListener('pointercancel', endDrag);
+    }
+
+    // Timeline position of a pointer event: distance in meters and the lane under it
+    locate(e) {
+        const rect = this.svg.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const distance = (e.clientY - rect.top - EDITOR_TOP) / EDITOR_PX_PER_METER;
+        const lane = Object.keys(EDITOR_LANES).find(name => {
+            const l = EDITOR_LANES[name];
+            return x >= l.x && x < l.x + l.width;
+        });
+        return { x: x, distance: Math.max(0, Math.min(distance, this.finishDistance)), lane: lane };
+    }
+
+    snap(distance) {
+        return Math.round(distance / EDITOR_SNAP) * EDITOR_SNAP;
+    }
+
+    cellAt(distance) {
+        return Math.max(0, Math.min(this.cells.length - 1, Math.floor(distance / EDITOR_CELL)));
+    }
+
+    onPointerDown(e) {
+        const at = this.locate(e);
+        const marker = e.target.closest('.event-marker');
+        this.svg.setPointerCapture(e.pointerId);
+
+        if (this.tool === 'finish') {
+            this.setFinish(at.distance);
+            return;
+        }
+        if (marker) {
+            this.selectedEvent = parseInt(marker.dataset.index, 10);
+            const event = this.events[this.selectedEvent];
+            this.setTestFrom(event.at !== undefined ? event.at : (event.from || 0));
+            this.drag = { mode: 'event', changed: false };
+            this.updateInspectors();
+            this.render();
+            return;
+        }
+        if (at.lane === 'events') {
+            if (EDITOR_TOOLS[this.tool]) {
+                this.events.push(EDITOR_TOOLS[this.tool](this.snap(at.distance)));
+                this.selectedEvent = this.events.length - 1;
+                this.drag = { mode: 'event', changed: true };
+            } else {
+                this.selectedEvent = null;
+            }
+            this.updateInspectors();
+            this.render();
+        } else if (at.lane === 'density' || at.lane === 'width') {
+            this.drag = { mode: at.lane, changed: false };
+            this.onDrag(e);
+        } else if (at.lane === 'path') {
+            const cell = this.cellAt(at.distance);
+            this.selection = { from: cell, to: cell };
+            this.drag = { mode: 'select', anchor: cell, changed: false };
+            this.setTestFrom(cell * EDITOR_CELL);
+            this.updateInspectors();
+            this.render();
+        } else if (at.lane === 'ruler') {
+            this.setTestFrom(this.snap(at.distance));
+            this.render();
+        }
+    }
+
+    onDrag(e) {
+        const at = this.locate(e);
+        const lane = EDITOR_LANES[this.drag.mode];
+        const fraction = lane ? Math.max(0, Math.min(1, (at.x - lane.x) / lane.width)) : 0;
+
+        if (this.drag.mode === 'event') {
+            const event = this.events[this.selectedEvent];
+            const distance = this.snap(at.distance);
+            if (event.at !== undefined) event.at = distance;
+            else event.from = distance;
+            this.setTestFrom(distance);
+            this.drag.changed = true;
+        } else if (this.drag.mode === 'density') {
+            // Density is obstacles per second; the course stores ticks between obstacles
+            const density = Math.max(0.25, fraction * EDITOR_MAX_DENSITY);
+            this.cells[this.cellAt(at.distance)].spawnRate = Math.round(CONFIG.TICK_RATE / density);
+            this.drag.changed = true;
+        } else if (this.drag.mode === 'width') {
+            const [minWidth, maxWidth] = EDITOR_WIDTH_RANGE;
+            const width = Math.round((minWidth + fraction * (maxWidth - minWidth)) / 10) * 10;
+            // Same min/max ratio as the original slope's 300-600
+            this.cells[this.cellAt(at.distance)].pathWidth = [Math.round(width / 2), width];
+            this.pathSamples = null;
+            this.drag.changed = true;
+        } else if (this.drag.mode === 'select') {
+            const cell = this.cellAt(at.distance);
+            this.selection = { from: Math.min(cell, this.drag.anchor), to: Math.max(cell, this.drag.anchor) };
+            this.setTestFrom(this.selection.from * EDITOR_CELL);
+        }
+        this.render();
+    }
+
+    // Run the game's own path generator over the course to show where the path goes.
+    // Obstacles draw from the same seed during a real run, so runs wander differently.
+    previewPath() {
+        const course = new Course(this.toData());
+        const state = {
+            rng: new SeededRandom(this.previewSeed),
+            segment: course.segmentAt(0),
+            scrollSpeed: CONFIG.INITIAL_SCROLL_SPEED,
+            pathCenter: CONFIG.GAME_WIDTH / 2,
+            pathTarget: CONFIG.GAME_WIDTH / 2,
+            pathWidth: 450,
+            targetPathWidth: 450,
+            splitTimer: 0,
+            splitDistance: 0,
+            isSplitting: false,
+            startSeparating: false,
+            maxSplitDistance: 250
+        };
+        const samples = [];
+        let distance = 0;
+        for (let tick = 0; distance < course.finishDistance; tick++) {
+            distance += state.scrollSpeed * CONFIG.METER_SCALE;
+            if (state.scrollSpeed < state.segment.maxSpeed) state.scrollSpeed += 0.001;
+            state.segment = course.segmentAt(distance);
+            Simulation.prototype.updatePath.call(state);
+            if (tick % EDITOR_PREVIEW_SAMPLE_TICKS === 0) {
+                samples.push({
+                    distance: Math.min(distance, course.finishDistance),
+                    center: state.pathCenter,
+                    width: state.pathWidth,
+                    split: state.splitDistance,
+                    splitting: state.isSplitting
+                });
+            }
+        }
+        return samples;
+    }
+
+    y(distance) {
+        return EDITOR_TOP + distance * EDITOR_PX_PER_METER;
+    }
+
+    el(tag, attrs, parent = this.svg) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach(key => element.setAttribute(key, attrs[key]));
+        parent.appendChild(element);
+        return element;
+    }
+
+    text(x, y, content, attrs = {}, parent = this.svg) {
+        const element = this.el('text', Object.assign({ x: x, y: y }, attrs), parent);
+        element.textContent = content;
+        return element;
+    }
+
+    render() {
+        const totalWidth = EDITOR_LANES.events.x + EDITOR_LANES.events.width;
+        const height = this.y(this.finishDistance) + 30;
+        this.svg.setAttribute('width', totalWidth);
+        this.svg.setAttribute('height', height);
+        this.svg.innerHTML = '';
+
+        Object.keys(EDITOR_LANES).forEach(name => {
+            const lane = EDITOR_LANES[name];
+            this.el('rect', { x: lane.x, y: EDITOR_TOP, width: lane.width, height: this.finishDistance * EDITOR_PX_PER_METER, fill: '#ffffff' });
+            this.text(lane.x + 4, 16, lane.title, { class: 'lane-title' });
+        });
+        this.text(EDITOR_LANES.density.x + 4, 32, `0 - ${EDITOR_MAX_DENSITY} per s`);
+        this.text(EDITOR_LANES.width.x + 4, 32, `${EDITOR_WIDTH_RANGE[0]} - ${EDITOR_WIDTH_RANGE[1]}px`);
+
+        // Ruler and grid
+        for (let d = 0; d <= this.finishDistance; d += 100) {
+            this.el('line', { x1: EDITOR_LANES.ruler.x + 40, x2: totalWidth, y1: this.y(d), y2: this.y(d), stroke: '#dfe6e9' });
+            this.text(EDITOR_LANES.ruler.x + 4, this.y(d) + 4, d);
+        }
+
+        this.renderPath();
+        this.renderCurves();
+        this.renderEvents();
+
+        // Selected stretch of slope
+        if (this.selection) {
+            const top = this.y(this.selection.from * EDITOR_CELL);
+            const bottom = this.y((this.selection.to + 1) * EDITOR_CELL);
+            this.el('rect', {
+                x: EDITOR_LANES.path.x, y: top, width: EDITOR_LANES.width.x + EDITOR_LANES.width.width - EDITOR_LANES.path.x,
+                height: bottom - top, fill: 'none', stroke: '#e67e22', 'stroke-width': 2
+            });
+        }
+
+        const finishY = this.y(this.finishDistance);
+        this.el('line', { x1: 0, x2: totalWidth, y1: finishY, y2: finishY, stroke: '#e74c3c', 'stroke-width': 3 });
+        this.text(EDITOR_LANES.path.x + 4, finishY + 16, `FINISH ${this.finishDistance}m`, { class: 'lane-title' });
+
+        const testY = this.y(this.testFrom);
+        this.el('line', { x1: 0, x2: totalWidth, y1: testY, y2: testY, stroke: '#0288d1', 'stroke-width': 2, 'stroke-dasharray': '6 4' });
+        this.text(EDITOR_LANES.events.x + EDITOR_LANES.events.width - 60, testY - 4, `Test ${this.testFrom}m`);
+    }
+
+    renderPath() {
+        const lane = EDITOR_LANES.path;
+        const scale = lane.width / CONFIG.GAME_WIDTH;
+        const px = (x) => lane.x + x * scale;
+
+        const clip = this.el('clipPath', { id: 'path-lane-clip' });
+        this.el('rect', { x: lane.x, y: EDITOR_TOP, width: lane.width, height: this.finishDistance * EDITOR_PX_PER_METER }, clip);
+        const group = this.el('g', { 'clip-path': 'url(#path-lane-clip)' });
+
+        // Tree walls in green, open slope in grey
+        this.cells.forEach((cell, i) => {
+            this.el('rect', {
+                x: lane.x, y: this.y(i * EDITOR_CELL), width: lane.width, height: EDITOR_CELL * EDITOR_PX_PER_METER,
+                fill: cell.trees ? '#81c784' : '#eceff1'
+            }, group);
+        });
+
+        // Reverse zones run from a reversing carousel to the next normal one
+        const carousels = this.events.filter(e => e.type === 'carousel' && e.at !== undefined).sort((a, b) => a.at - b.at);
+        let zoneStart = null;
+        carousels.forEach(event => {
+            if (event.reverse && zoneStart === null) zoneStart = event.at;
+            if (!event.reverse && zoneStart !== null) {
+                this.renderReverseZone(group, zoneStart, event.at);
+                zoneStart = null;
+            }
+        });
+        if (zoneStart !== null) this.renderReverseZone(group, zoneStart, this.finishDistance);
+
+        if (!this.pathSamples) this.pathSamples = this.previewPath();
+        const samples = this.pathSamples;
+        const left = [];
+        const right = [];
+        let island = [];
+        const islands = [];
+        samples.forEach(s => {
+            const half = s.splitting || s.split > 0 ? s.width / 4 : s.width / 2;
+            const y = this.y(s.distance);
+            left.push(`${px(s.center - s.split / 2 - half)},${y}`);
+            right.unshift(`${px(s.center + s.split / 2 + half)},${y}`);
+            const midLeft = s.center - s.split / 2 + half;
+            const midRight = s.center + s.split / 2 - half;
+            if (s.split > 80 && midRight > midLeft) {
+                island.push([px(midLeft), px(midRight), y]);
+            } else if (island.length) {
+                islands.push(island);
+                island = [];
+            }
+        });
+        if (island.length) islands.push(island);
+
+        this.el('polygon', { points: left.concat(right).join(' '), fill: '#ffffff', stroke: '#90a4ae', opacity: 0.9 }, group);
+        islands.forEach(points => {
+            const outline = points.map(([l, , y]) => `${l},${y}`)
+                .concat(points.slice().reverse().map(([, r, y]) => `${r},${y}`));
+            this.el('polygon', { points: outline.join(' '), fill: '#81c784' }, group);
+        });
+    }
+
+    renderReverseZone(parent, from, to) {
+        const lane = EDITOR_LANES.path;
+        this.el('rect', {
+            x: lane.x, y: this.y(from), width: lane.width, height: (to - from) * EDITOR_PX_PER_METER,
+            fill: '#8e44ad', opacity: 0.25
+        }, parent);
+        this.text(lane.x + lane.width - 64, this.y(from) + 14, 'REVERSE', { class: 'lane-title' }, parent);
+    }
+
+    // Density and width as step curves, one step per cell
+    renderCurves() {
+        const curve = (lane, color, valueOf) => {
+            const points = [`${lane.x},${this.y(0)}`];
+            this.cells.forEach((cell, i) => {
+                const x = lane.x + Math.max(0, Math.min(1, valueOf(cell))) * lane.width;
+                points.push(`${x},${this.y(i * EDITOR_CELL)}`, `${x},${this.y((i + 1) * EDITOR_CELL)}`);
+            });
+            points.push(`${lane.x},${this.y(this.cells.length * EDITOR_CELL)}`);
+            this.el('polygon', { points: points.join(' '), fill: color, opacity: 0.6 });
+        };
+        const [minWidth, maxWidth] = EDITOR_WIDTH_RANGE;
+        curve(EDITOR_LANES.density, '#e67e22', cell => CONFIG.TICK_RATE / cell.spawnRate / EDITOR_MAX_DENSITY);
+        curve(EDITOR_LANES.width, '#0288d1', cell => (cell.pathWidth[1] - minWidth) / (maxWidth - minWidth));
+    }
+
+    renderEvents() {
+        const lane = EDITOR_LANES.events;
+        this.events.forEach((event, index) => {
+            const style = EDITOR_EVENT_STYLES[event.type];
+            const x = lane.x + style.column;
+            const group = this.el('g', { class: 'event-marker' });
+            group.dataset.index = index;
+            if (index === this.selectedEvent) group.classList.add('selected');
+
+            let label;
+            if (event.type === 'carousel') label = event.reverse ? 'Reverse on' : 'Reverse off';
+            else if (event.type === 'jj-barrier') label = 'Barrier';
+            else label = event.variant === 'sled' ? 'Sled JJ' : (event.variant === 'squat' ? 'Squat JJ' : 'JJ');
+
+            let start = event.at;
+            if (event.at === undefined) {
+                // Repeating: a line down to where it stops with a tick per occurrence
+                start = event.from !== undefined ? event.from : event.every;
+                const end = Math.min(event.until !== undefined ? event.until : this.finishDistance, this.finishDistance);
+                this.el('line', { x1: x, x2: x, y1: this.y(start), y2: this.y(Math.max(start, end)), stroke: style.color, 'stroke-width': 2, opacity: 0.5 }, group);
+                for (let d = start + event.every; d <= end; d += event.every) {
+                    this.el('circle', { cx: x, cy: this.y(d), r: 3, fill: style.color }, group);
+                }
+                label += ` /${event.every}m`;
+            }
+            if (event.type === 'pooper') {
+                this.el('rect', { x: x - 7, y: this.y(start) - 7, width: 14, height: 14, fill: style.color, stroke: '#fff' }, group);
+            } else {
+                this.el('circle', { cx: x, cy: this.y(start), r: 8, fill: style.color, stroke: '#fff' }, group);
+            }
+            this.text(x + 11, this.y(start) + 4, label, {}, group);
+        });
+    }
+}
+
+new CourseEditor();
@@ -1,32 +1,42 @@
-// Game Configuration
+// The browser side of Andi Ski Go: screens, input, sound and the HUD around the
+// simulation in core/ (whose classes core/browser.js makes globals).
 const isMobile = window.innerWidth <= 600;
-
-// Lock game resolution to 16:10 aspect ratio (1024x640)
-// 1024 / 1.6 = 640
-const fixedHeight = 640;
-const CONFIG = {
-    GAME_WIDTH: 1024,
-    GAME_HEIGHT: fixedHeight,
-    PLAYER_SPEED: 8, 
-    INITIAL_SCROLL_SPEED: 3.5, // Reduced to 2/3 (was 5)
-    MAX_SPEED: 8, // Reduced to 2/3 (was 12)
-    JUMP_DURATION: 800, // ms
-    OBSTACLE_SPAWN_RATE: 60, // frames
-    WIN_DISTANCE: 2000, // meters
-    METER_SCALE: 0.1 // pixel to meter conversion
-};
+const ATTRACT_IDLE_MS = 10000; // quiet time on the start screen before the demo starts
+// Races always use these keys, whatever the bindings in the settings say
+const RACE_KEYS = [
+    { left: 'KeyA', right: 'KeyD', jump: 'KeyW' },
+    { left: 'ArrowLeft', right: 'ArrowRight', jump: 'ArrowUp' }
+];
 
 class AudioManager {
     constructor() {
         this.ctx = null;
         this.skiNode = null;
         this.skiGain = null;
-        this.bgmOscs = [];
         this.bgmGain = null;
+        this.music = null; // MusicEngine, see music.js
         this.gagiBuffer = null;
         this.spiegeleiBuffer = null;
+        this.missingClips = new Set(); // voice clips that failed to load, see SFX.gagi/spiegelei
+        this.sfx = null; // SoundEffects, see sfx.js
         this.isInitialized = false;
         this.isPlaying = false;
+        this.suppressed = false; // silence one-shot clips while fast-forwarding a replay
+        this.isPaused = false;
+        this.mixer = null; // created with the context, see mixer.js
+        this.volumes = Object.assign({}, MIXER_DEFAULTS);
+        this.muted = false;
+    }
+
+    // Both can be set before the first sound, the mixer picks them up in init()
+    setVolume(bus, value) {
+        this.volumes[bus] = value;
+        if (this.mixer) this.mixer.setVolume(bus, value);
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        if (this.mixer) this.mixer.setMuted(muted);
     }
 
     init() {
@@ -35,8 +45,10 @@ class AudioManager {
         try {
             const AudioContext = window.AudioContext || window.webkitAudioContext;
             this.ctx = new AudioContext();
+            this.mixer = new Mixer(this.ctx, this.volumes, this.muted);
             this.isInitialized = true;
             this.setupSkiSound();
+            this.sfx = new SoundEffects(this.ctx, this.mixer.input('sfx'), this.noiseBuffer);
             this.setupBGM();
             this.loadExternalSounds();
         } catch (e) {
@@ -50,19 +62,25 @@ class AudioManager {
             const arrayBuffer = await response.arrayBuffer();
             this.gagiBuffer = await this.ctx.decodeAudioData(arrayBuffer);
         } catch (e) {
-            console.error("Failed to load gagi.m4a", e);
+            console.error("Failed to load gagi.m4a, using a synthesized one", e);
+            this.missingClips.add('gagi');
         }
         try {
             const response = await fetch('spiegelei.m4a');
             const arrayBuffer = await response.arrayBuffer();
             this.spiegeleiBuffer = await this.ctx.decodeAudioData(arrayBuffer);
         } catch (e) {
-            console.error("Failed to load spiegelei.m4a", e);
+            console.error("Failed to load spiegelei.m4a, using a synthesized one", e);
+            this.missingClips.add('spiegelei');
         }
     }
 
     playGagi() {
-        if (!this.isInitialized || !this.gagiBuffer || !this.isPlaying) return;
+        if (!this.isInitialized || !this.isPlaying || this.suppressed) return;
+        if (!this.gagiBuffer) {
+            if (this.missingClips.has('gagi')) this.sfx.play('gagi');
+            return;
+        }
         
         const source = this.ctx.createBufferSource();
         source.buffer = this.gagiBuffer;
@@ -71,13 +89,18 @@ class AudioManager {
         gain.gain.value = 1.2; // Doubled volume
         
         source.connect(gain);
-        gain.connect(this.ctx.destination);
+        gain.connect(this.mixer.input('sfx'));
+        this.mixer.duck(source.buffer.duration);
         
         source.start(0);
     }
 
     playSpiegelei() {
-        if (!this.isInitialized || !this.spiegeleiBuffer || !this.isPlaying) return;
+        if (!this.isInitialized || !this.isPlaying || this.suppressed) return;
+        if (!this.spiegeleiBuffer) {
+            if (this.missingClips.has('spiegelei')) this.sfx.play('spiegelei');
+            return;
+        }
         
         const source = this.ctx.createBufferSource();
         source.buffer = this.spiegeleiBuffer;
@@ -86,11 +109,23 @@ class AudioManager {
         gain.gain.value = 1.2; 
         
         source.connect(gain);
-        gain.connect(this.ctx.destination);
+        gain.connect(this.mixer.input('sfx'));
+        this.mixer.duck(source.buffer.duration);
         
         source.start(0);
     }
 
+    // Named effect from sfx.js, panned to screen position x
+    playEffect(name, x, pitch = 1) {
+        if (!this.isInitialized || this.suppressed) return;
+        this.sfx.play(name, x, pitch);
+    }
+
+    // Quick rising arpeggio, pitched per power-up
+    playPickup(pitch, x) {
+        this.playEffect('pickup', x, pitch / 440);
+    }
+
     setupSkiSound() {
         // Create white noise buffer
         const bufferSize = this.ctx.sampleRate * 2; // 2 seconds
@@ -106,17 +141,19 @@ class AudioManager {
         // Setup graph
         this.skiGain = this.ctx.createGain();
         this.skiGain.gain.value = 0;
-        this.skiGain.connect(this.ctx.destination);
+        this.skiGain.connect(this.mixer.input('ambience'));
     }
 
     setupBGM() {
         this.bgmGain = this.ctx.createGain();
         this.bgmGain.gain.value = 0.2; // Doubled volume
-        this.bgmGain.connect(this.ctx.destination);
+        this.bgmGain.connect(this.mixer.input('music'));
+        this.music = new MusicEngine(this.ctx, this.bgmGain, this.noiseBuffer);
     }
 
     start() {
         if (!this.isInitialized) this.init();
+        this.isPaused = false;
         if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
         
         if (!this.isPlaying) {
@@ -133,40 +170,11 @@ class AudioManager {
             filter.connect(this.skiGain);
             this.skiNode.start(0);
 
-            this.startBGMSequence();
+            this.music.start();
             this.isPlaying = true;
         }
     }
 
-    startBGMSequence() {
-        const notes = [110, 110, 146.83, 130.81]; // A2, A2, D3, C3
-        let noteIndex = 0;
-
-        const playNote = () => {
-            if (!this.isPlaying) return;
-            
-            const osc = this.ctx.createOscillator();
-            const gain = this.ctx.createGain();
-            
-            osc.type = 'triangle';
-            osc.frequency.value = notes[noteIndex];
-            
-            gain.gain.setValueAtTime(0.2, this.ctx.currentTime);
-            gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + 0.5);
-            
-            osc.connect(gain);
-            gain.connect(this.bgmGain);
-            
-            osc.start();
-            osc.stop(this.ctx.currentTime + 0.5);
-            
-            noteIndex = (noteIndex + 1) % notes.length;
-            setTimeout(playNote, 500);
-        };
-        
-        playNote();
-    }
-
     updateSkiSound(speed, isJumping) {
         if (!this.isPlaying || !this.skiGain) return;
         
@@ -178,7 +186,35 @@ class AudioManager {
         }
     }
 
+    // Tempo follows the slope, the reverse zone gets its own minor-key variation
+    updateMusic(speed, reversed) {
+        if (!this.isPlaying || !this.music) return;
+        this.music.setTempo(speed);
+        this.music.setVariation(reversed ? 'reverse' : 'normal');
+    }
+
+    playStinger(kind) {
+        if (!this.isInitialized || this.suppressed) return;
+        this.music.stinger(kind);
+    }
+
+    // Freeze all sound while the game is paused
+    pause() {
+        if (!this.isInitialized || this.isPaused) return;
+        this.isPaused = true;
+        this.music.pause();
+        if (this.ctx.state === 'running') this.ctx.suspend();
+    }
+
+    resume() {
+        if (!this.isInitialized || !this.isPaused) return;
+        this.isPaused = false;
+        this.ctx.resume();
+        if (this.isPlaying) this.music.resume();
+    }
+
     stop() {
+        if (this.music) this.music.stop();
         if (this.skiNode) {
             try {
                 this.skiNode.stop();
@@ -189,66 +225,9 @@ class AudioManager {
     }
 }
 
-class BackgroundManager {
-    constructor(svgGroup) {
-        this.group = svgGroup;
-        this.mountains = [];
-        this.patches = [];
-        this.width = CONFIG.GAME_WIDTH;
-        this.height = CONFIG.GAME_HEIGHT;
-    }
-
-    reset() {
-        this.group.innerHTML = '';
-        this.mountains = [];
-        this.patches = [];
-        for (let i = 0; i < 8; i++) {
-            this.spawnPatch(Math.random() * this.height);
-        }
-    }
-
-    spawnPatch(y) {
-        const patch = document.createElementNS("http://www.w3.org/2000/svg", "ellipse");
-        const w = 50 + Math.random() * 100;
-        const h = 20 + Math.random() * 30;
-        const x = Math.random() * this.width;
-        
-        patch.setAttribute("cx", 0);
-        patch.setAttribute("cy", 0);
-        patch.setAttribute("rx", w);
-        patch.setAttribute("ry", h);
-        patch.setAttribute("fill", "rgba(255,255,255,0.4)");
-        patch.setAttribute("transform", `translate(${x}, ${y})`);
-        
-        this.group.appendChild(patch);
-        this.patches.push({ element: patch, x: x, y: y });
-    }
-
-    update(scrollSpeed) {
-        for (let i = this.patches.length - 1; i >= 0; i--) {
-            const p = this.patches[i];
-            p.y -= scrollSpeed;
-            p.element.setAttribute("transform", `translate(${p.x}, ${p.y})`);
-            
-            if (p.y < -100) {
-                p.element.remove();
-                this.patches.splice(i, 1);
-                this.spawnPatch(this.height + 100);
-            }
-        }
-    }
-}
-
 class Game {
     constructor() {
-        this.svg = document.getElementById('game-svg');
-        this.worldCamera = document.getElementById('world-camera'); // New camera group
-        this.bgGroup = document.getElementById('background-layer');
-        this.slopeGroup = document.getElementById('slope-group');
-        this.playerGroup = document.getElementById('player-group');
-        this.trailGroup = document.getElementById('trail-group');
-        
-        this.scoreElement = document.getElementById('distance');
+        this.scoreElement = document.getElementById('score');
         this.finalScoreElement = document.getElementById('final-score');
         
         this.startScreen = document.getElementById('start-screen');
@@ -258,53 +237,94 @@ class Game {
         this.countdownDisplay = document.getElementById('countdown-display');
         this.countdownValue = this.countdownDisplay.querySelector('.value');
         this.reverseIcon = document.getElementById('reverse-warning-icon');
-        
+        this.seedInput = document.getElementById('seed-input');
+        
+        this.seed = SeededRandom.randomSeed(); // of the next/current run
+        this.lockedSeed = null; // set when the seed was typed, shared or daily
+        this.settings = new Settings();
+        this.recorder = new InputRecorder();
+        this.lastReplay = null; // recording of the most recent finished run
+        this.replay = null; // replay currently being watched
+        this.replayViewer = new ReplayViewer(this);
+        this.gamepad = new GamepadInput(this);
+        this.timeScale = 1; // simulation speed multiplier (replay 0.5x/2x, 0 = paused)
+        this.ghosts = new GhostStore();
+        this.ghostRun = null; // recorded run the next/current run races against
+        this.ghost = null;
+        this.ghostGapElement = document.getElementById('ghost-gap');
+        this.leaderboardPanel = new LeaderboardPanel({
+            course: new Leaderboard(),
+            endless: new Leaderboard(ENDLESS_LEADERBOARD_STORAGE_KEY),
+            slalom: new Leaderboard(SLALOM_LEADERBOARD_STORAGE_KEY)
+        });
+        this.nameEntry = new NameEntry(this.leaderboardPanel, this.settings);
+        this.livesMode = localStorage.getItem('andiSkiGo.lives') === 'true';
+        this.raceMode = localStorage.getItem('andiSkiGo.race') === 'true'; // two players, see core/race.js
+        this.raceJumps = RACE_KEYS.map(() => false); // like jumpQueued, per racer
+        this.raceElement = document.getElementById('race-display');
+        this.raceResults = document.getElementById('race-results');
+        this.online = new OnlineRace(this); // lobby and race server, see online.js
+        this.onlineRun = false; // the slope is an online race's
+        this.livesElement = document.getElementById('lives-display');
+        this.gateElement = document.getElementById('gate-display');
+        this.powerUpHud = new PowerUpHud();
+        this.comboElement = document.getElementById('combo-display');
+        
+        this.pauseScreen = document.getElementById('pause-screen');
+        this.settingsPanel = null; // set up in init(), once there is a player to rename
+        this.muteButton = document.getElementById('mute-btn');
+        this.resumeCountdown = document.getElementById('resume-countdown');
+        this.resumeTimer = null;
         this.audio = new AudioManager();
-        this.bgManager = new BackgroundManager(this.bgGroup);
-        this.particleSystem = new ParticleSystem(this.slopeGroup); // Use slope group for particles so they move with camera
-        this.player = null;
-        this.obstacles = [];
-        this.trails = [];
-        this.keys = { ArrowLeft: false, ArrowRight: false, KeyA: false, KeyD: false };
+        this.frameStats = new FrameStats(document.getElementById('perf-overlay'), new URLSearchParams(window.location.search).has('perf'));
+        this.renderers = {}; // name -> renderer, built the first time it's picked (see RENDERERS)
+        this.renderer = null;
+        this.shaking = false; // camera shake, see render()
+        this.keys = {}; // key code -> held, looked up through the bindings in settings
+        this.touchKeys = { left: false, right: false }; // on-screen buttons and touch zones
+        this.jumpQueued = false; // jump presses wait for the next tick so they can be recorded
         
         this.state = 'MENU';
-        this.isExploding = false; // New state for death animation
-        this.scrollSpeed = CONFIG.INITIAL_SCROLL_SPEED;
-        this.distance = 0;
-        this.lastHundredMeters = 0;
-        this.frameCount = 0;
         this.lastTime = 0;
+        this.accumulator = 0; // ms of real time not yet simulated
+        this.rafId = null;
         
         this.cameraX = 0; // Camera horizontal position
-        this.pathCenter = CONFIG.GAME_WIDTH / 2;
-        this.pathWidth = 450;
-        this.targetPathWidth = 450;
-        this.isSplitting = false;
-        this.startSeparating = false;
-        this.splitDistance = 0;
-        this.maxSplitDistance = 250;
-        this.splitTimer = 0;
-        
-        this.poopingJJ = null;
-        this.lastPoopJJSpawn = 0; 
-        this.hasSpawnedFirstPooper = false; // New flag for first spawn
-        
-        this.carouselActive = false;
-        this.carouselPhase = 0; // 0: none, 1: reversed (1000m), 2: normal (1500m)
-        this.hasSpawnedCarousel1 = false;
-        this.hasSpawnedCarousel2 = false;
+        this.prevCameraX = 0;
+        this.gameContainer = document.getElementById('game-container');
+        
+        this.selectedCourse = new Course(DEFAULT_COURSE); // what the player picked
+        this.endlessCourse = new Course(ENDLESS_COURSE);
+        this.slalomCourse = new Course(SLALOM_COURSE);
+        const savedMode = localStorage.getItem('andiSkiGo.mode');
+        this.mode = ['course', 'endless', 'slalom'].includes(savedMode) ? savedMode : 'course';
+        this.levelDisplay = document.getElementById('level-display');
+        this.levelElement = document.getElementById('level');
+        this.shownLevel = 0;
+        this.testFrom = 0; // editor "Test from here" distance, set by ?from=
+        // The slope itself: the run being played or watched (a replay brings its own course)
+        this.sim = new Simulation(this.seed, this.selectedCourse);
+        // The bot: skis the start screen demo, and steers for the player with the assist setting
+        this.autopilot = new Autopilot(this.sim);
+        this.assistedRun = false; // the bot stepped in for the player during this run
+        this.demo = false; // the bot is skiing behind the start screen
+        this.demoTimer = null;
+        this.demoBanner = document.getElementById('demo-banner');
 
         this.init();
     }
     
     init() {
-        // Update SVG viewBox to match calculated config (for mobile support)
-        this.svg.setAttribute("viewBox", `0 0 ${CONFIG.GAME_WIDTH} ${CONFIG.GAME_HEIGHT}`);
-
-        this.createPlayer();
-        this.bgManager.reset();
+        this.settingsPanel = new SettingsPanel(this); // also picks the renderer
+        this.render(1);
         this.setupInputs();
         this.setupMobileControls();
+        this.setupSeedControls();
+        this.setupReplayControls();
+        this.setupGhostControls();
+        this.setupModeControls();
+        this.setupPauseControls();
+        this.loadCourseFromUrl();
         
         // Hide mobile controls initially
         document.getElementById('mobile-controls').style.display = 'none';
@@ -337,6 +357,365 @@ class Game {
         
         restartBtnWin.addEventListener('touchend', handleRestart);
         restartBtnWin.addEventListener('click', handleRestart);
+        const raceRestartBtn = document.getElementById('race-restart-btn');
+        raceRestartBtn.addEventListener('touchend', handleRestart);
+        raceRestartBtn.addEventListener('click', handleRestart);
+        document.getElementById('race-menu-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.raceResults.classList.add('hidden');
+            this.quitToMenu();
+        });
+
+        this.setupDemo();
+    }
+
+    // index.html?course=courses/bunny-hill.json swaps in another course file,
+    // ?course=editor&from=750 test-runs the editor's course from 750m
+    loadCourseFromUrl() {
+        const courseName = document.getElementById('course-name');
+        const params = new URLSearchParams(window.location.search);
+        const url = params.get('course');
+        if (!url) return;
+        
+        this.startBtn.disabled = true;
+        courseName.textContent = 'Loading...';
+        const loading = url === 'editor' ? Promise.resolve().then(() => Course.loadSaved()) : Course.load(url);
+        loading.then(course => {
+            this.selectedCourse = course;
+            this.testFrom = Math.max(0, Math.min(parseFloat(params.get('from')) || 0, course.finishDistance - 50));
+            this.showCourseName();
+        }).catch(err => {
+            console.error("Failed to load course", url, err);
+            courseName.textContent = `${this.selectedCourse.name} (${err.message})`;
+        }).finally(() => {
+            this.startBtn.disabled = false;
+        });
+    }
+
+    setupModeControls() {
+        const modeSelect = document.getElementById('mode-select');
+        modeSelect.value = this.mode;
+        modeSelect.addEventListener('change', () => {
+            this.mode = modeSelect.value;
+            localStorage.setItem('andiSkiGo.mode', this.mode);
+            this.showCourseName();
+        });
+        const livesToggle = document.getElementById('lives-toggle');
+        livesToggle.checked = this.livesMode;
+        livesToggle.addEventListener('change', () => {
+            this.livesMode = livesToggle.checked;
+            localStorage.setItem('andiSkiGo.lives', this.livesMode);
+            this.leaderboardPanel.lives = this.livesMode;
+        });
+        const raceToggle = document.getElementById('race-toggle');
+        raceToggle.checked = this.raceMode;
+        raceToggle.addEventListener('change', () => {
+            this.raceMode = raceToggle.checked;
+            localStorage.setItem('andiSkiGo.race', this.raceMode);
+        });
+        this.showCourseName();
+    }
+
+    // The course the next run is played on
+    nextCourse() {
+        if (this.mode === 'endless') return this.endlessCourse;
+        if (this.mode === 'slalom') return this.slalomCourse;
+        return this.selectedCourse;
+    }
+
+    // Editor test runs only apply to the course that was loaded for testing
+    testStart(course) {
+        return course === this.selectedCourse ? this.testFrom : 0;
+    }
+
+    // Leaderboard a run on this course goes to
+    boardFor(course) {
+        if (course.endless) return 'endless';
+        return course.slalom ? 'slalom' : 'course';
+    }
+
+    showCourseName() {
+        const course = this.nextCourse();
+        const testing = this.testStart(course) > 0;
+        document.getElementById('course-name').textContent = testing ? `${course.name} (test from ${this.testFrom}m)` : course.name;
+        this.leaderboardPanel.board = this.boardFor(course);
+        this.leaderboardPanel.courseName = this.selectedCourse.name;
+        this.leaderboardPanel.lives = this.livesMode;
+    }
+
+    setupSeedControls() {
+        // Shared links look like index.html?seed=ABC123
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('seed')) {
+            this.seedInput.value = params.get('seed');
+        }
+
+        const dailyBtn = document.getElementById('daily-btn');
+        const handleDaily = (e) => {
+            if (e.type === 'touchend') e.preventDefault();
+            e.stopPropagation();
+            this.seedInput.value = SeededRandom.dailySeed();
+            this.audio.init();
+            this.startGame();
+        };
+        dailyBtn.addEventListener('touchend', handleDaily);
+        dailyBtn.addEventListener('click', handleDaily);
+
+        document.querySelectorAll('.share-seed-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.shareSeed(btn);
+            });
+        });
+    }
+
+    setupReplayControls() {
+        document.querySelectorAll('.watch-replay-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (!this.lastReplay) return;
+                this.replayViewer.open(new Replay(this.lastReplay), btn.closest('#game-over, #victory'));
+            });
+        });
+        document.querySelectorAll('.download-replay-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.lastReplay) new Replay(this.lastReplay).download();
+            });
+        });
+
+        // Drop a downloaded replay file on the start screen to watch it
+        const dropHint = this.startScreen.querySelector('.drop-hint');
+        const defaultHint = dropHint.textContent;
+        this.startScreen.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.startScreen.classList.add('drag-over');
+        });
+        this.startScreen.addEventListener('dragleave', () => {
+            this.startScreen.classList.remove('drag-over');
+        });
+        this.startScreen.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            this.startScreen.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            try {
+                const replay = Replay.fromJSON(await file.text());
+                dropHint.textContent = defaultHint;
+                this.audio.init();
+                this.replayViewer.open(replay, this.startScreen);
+            } catch (err) {
+                dropHint.textContent = err.message;
+            }
+        });
+    }
+
+    setupGhostControls() {
+        const ghostSelect = document.getElementById('ghost-select');
+        const ghostFile = document.getElementById('ghost-file');
+        const ghostStatus = document.getElementById('ghost-status');
+        ghostSelect.value = this.ghosts.mode;
+        
+        ghostSelect.addEventListener('change', () => {
+            if (ghostSelect.value === 'file' && !this.ghosts.imported) {
+                ghostFile.click();
+                ghostSelect.value = this.ghosts.mode;
+                return;
+            }
+            this.ghosts.setMode(ghostSelect.value);
+        });
+        document.getElementById('ghost-import-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            ghostFile.click();
+        });
+        ghostFile.addEventListener('change', async () => {
+            const file = ghostFile.files[0];
+            ghostFile.value = '';
+            if (!file) return;
+            try {
+                const replay = Replay.fromJSON(await file.text());
+                this.ghosts.importGhost(replay.data);
+                ghostSelect.value = 'file';
+                ghostStatus.textContent = `Ghost loaded: ${replay.data.distance}m on ${replay.seed}`;
+            } catch (err) {
+                ghostStatus.textContent = err.message;
+            }
+        });
+    }
+
+    setupPauseControls() {
+        const bind = (id, handler) => {
+            const btn = document.getElementById(id);
+            const onPress = (e) => {
+                if (e.type === 'touchend') e.preventDefault();
+                e.stopPropagation();
+                handler();
+            };
+            btn.addEventListener('touchend', onPress);
+            btn.addEventListener('click', onPress);
+        };
+        
+        bind('pause-btn', () => this.togglePause());
+        bind('resume-btn', () => this.resumeGame());
+        bind('pause-restart-btn', () => {
+            this.pauseScreen.classList.add('hidden');
+            this.audio.stop();
+            this.restart();
+        });
+        bind('pause-settings-btn', () => this.settingsPanel.open(this.pauseScreen));
+        bind('menu-settings-btn', () => this.settingsPanel.open(this.startScreen));
+        bind('pause-quit-btn', () => this.quitToMenu());
+        bind('mute-btn', () => this.toggleMute());
+        
+        // Switching tabs or apps shouldn't cost a life
+        const onFocusLost = () => {
+            if (!this.settings.autoPause) return;
+            if (this.replay) this.replayViewer.setPlaying(false);
+            else this.pauseGame();
+        };
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) onFocusLost();
+        });
+        window.addEventListener('blur', onFocusLost);
+    }
+    
+    togglePause() {
+        if (this.replay) {
+            this.replayViewer.togglePlay();
+        } else if (this.state === 'PLAYING' || this.resumeTimer) {
+            this.pauseGame();
+        } else if (this.state === 'PAUSED' && !this.settingsPanel.isOpen()) {
+            this.resumeGame();
+        }
+    }
+    
+    pauseGame() {
+        if (this.state === 'PAUSED') {
+            // Paused again during the 3-2-1: back to the menu
+            this.cancelResumeCountdown();
+            this.pauseScreen.classList.remove('hidden');
+            return;
+        }
+        if (this.state !== 'PLAYING' || this.onlineRun) return; // the others don't wait
+        this.state = 'PAUSED';
+        this.audio.pause();
+        
+        // Release everything held down, the matching keyup may happen while we're away
+        this.keys = {};
+        this.touchKeys = { left: false, right: false };
+        this.jumpQueued = false;
+        this.raceJumps.fill(false);
+        document.querySelectorAll('.ctrl-btn.active').forEach(btn => btn.classList.remove('active'));
+        
+        document.getElementById('mobile-controls').style.display = 'none';
+        this.pauseScreen.classList.remove('hidden');
+    }
+    
+    // Count 3-2-1 before play continues so the player can get ready
+    resumeGame() {
+        if (this.state !== 'PAUSED' || this.resumeTimer) return;
+        this.pauseScreen.classList.add('hidden');
+        let count = 3;
+        this.resumeCountdown.textContent = count;
+        this.resumeCountdown.classList.remove('hidden');
+        this.resumeTimer = setInterval(() => {
+            count--;
+            if (count > 0) {
+                this.resumeCountdown.textContent = count;
+                return;
+            }
+            this.cancelResumeCountdown();
+            document.getElementById('mobile-controls').style.display = 'flex';
+            this.state = 'PLAYING';
+            this.audio.resume();
+            this.startLoop(); // fresh lastTime, so the pause doesn't show up as one huge frame
+        }, 1000);
+    }
+    
+    cancelResumeCountdown() {
+        clearInterval(this.resumeTimer);
+        this.resumeTimer = null;
+        this.resumeCountdown.classList.add('hidden');
+    }
+    
+    quitToMenu() {
+        this.cancelResumeCountdown();
+        if (this.onlineRun) this.online.quit(this.sim);
+        this.onlineRun = false;
+        if (this.settingsPanel.isOpen()) this.settingsPanel.close();
+        this.pauseScreen.classList.add('hidden');
+        document.getElementById('mobile-controls').style.display = 'none';
+        this.state = 'MENU';
+        this.audio.stop();
+        this.startScreen.classList.remove('hidden');
+        this.scheduleDemo();
+    }
+    
+    enterReplay(replay) {
+        if (this.demo) this.stopDemo();
+        this.replay = replay;
+        document.getElementById('mobile-controls').style.display = 'none';
+        this.seekReplay(0);
+    }
+
+    // Jump to a tick of the replay. Going backwards re-simulates from the start.
+    seekReplay(tick) {
+        if (tick < this.sim.runTick || !this.isRunning()) {
+            const replay = this.replay;
+            this.sim.start(replay.seed, replay.course, replay.lives, replay.steerScale, replay.startDistance);
+            this.resetRunDisplay();
+            this.state = 'PLAYING';
+            this.audio.start();
+        }
+        this.audio.suppressed = true;
+        while (this.isRunning() && this.sim.runTick < tick) {
+            this.update();
+        }
+        this.audio.suppressed = false;
+        this.render(1);
+        this.draw();
+        this.startLoop();
+    }
+
+    exitReplay() {
+        this.replay = null;
+        this.timeScale = 1;
+        this.state = 'MENU';
+        this.audio.stop();
+        this.scheduleDemo();
+    }
+
+    // Pick the seed for the next run: typed/shared/daily seeds stick across restarts,
+    // otherwise every run gets a fresh random slope.
+    applySeed(seedText) {
+        const typed = (seedText || '').trim().toUpperCase();
+        if (typed) {
+            this.lockedSeed = typed;
+        }
+        // Racing a ghost means racing on the slope it was recorded on
+        // (test runs start part way down, so there is nothing to race)
+        const course = this.nextCourse();
+        this.ghostRun = this.testStart(course) > 0 ? null : this.ghosts.pick(this.lockedSeed, course.name);
+        const ghostSeed = this.ghostRun ? this.ghostRun.seed : null;
+        this.seed = this.lockedSeed || ghostSeed || SeededRandom.randomSeed();
+        this.seedInput.value = this.lockedSeed || '';
+        document.querySelectorAll('.seed-value').forEach(el => el.textContent = this.seed);
+    }
+
+    shareSeed(btn) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.seed);
+        const link = url.toString();
+        if (navigator.share) {
+            navigator.share({ title: 'Andi Ski Go!!!', text: `Race my slope: ${this.seed}`, url: link }).catch(() => {});
+        } else if (navigator.clipboard) {
+            navigator.clipboard.writeText(link).then(() => {
+                btn.textContent = 'Copied!';
+                setTimeout(() => btn.textContent = 'Share', 1500);
+            }).catch(() => window.prompt('Copy this link:', link));
+        } else {
+            window.prompt('Copy this link:', link);
+        }
     }
 
     setupMobileControls() {
@@ -346,16 +725,17 @@ class Game {
         const gameContainer = document.getElementById('game-container');
 
         const handleStart = (key, btn) => {
-            this.keys[key] = true;
+            this.touchKeys[key] = true;
             if(btn) btn.classList.add('active');
         };
         const handleEnd = (key, btn) => {
-            this.keys[key] = false;
+            this.touchKeys[key] = false;
             if(btn) btn.classList.remove('active');
         };
 
         const updateSteering = (touches) => {
             if (this.state !== 'PLAYING') return; // Deactivate controls if not playing
+            if (!this.settings.touchZones) return; // Only the on-screen buttons steer
 
             let pressingLeft = false;
             let pressingRight = false;
@@ -411,19 +791,19 @@ class Game {
             // For now, let's just implement the "Slide" logic:
             
             if (pressingLeft) {
-                if (!this.keys.KeyA) handleStart('KeyA', leftBtn); // Visual feedback on button too?
+                if (!this.touchKeys.left) handleStart('left', leftBtn); // Visual feedback on button too?
             } else {
                 // Only release if we were holding it via screen? 
                 // Hard to track. Let's just release. 
                 // If user holds button AND screen, and releases screen, button might stop working?
                 // Yes, but acceptable for now.
-                if (this.keys.KeyA) handleEnd('KeyA', leftBtn);
+                if (this.touchKeys.left) handleEnd('left', leftBtn);
             }
 
             if (pressingRight) {
-                if (!this.keys.KeyD) handleStart('KeyD', rightBtn);
+                if (!this.touchKeys.right) handleStart('right', rightBtn);
             } else {
-                if (this.keys.KeyD) handleEnd('KeyD', rightBtn);
+                if (this.touchKeys.right) handleEnd('right', rightBtn);
             }
         };
 
@@ -442,6 +822,7 @@ class Game {
             }
             
             if (e.target.closest('.ctrl-btn')) return; // Let button listeners handle buttons
+            if (this.replay) return; // Replay controls need native touch behaviour
 
             // Only prevent default for GAMEPLAY touches (steering)
             // If we are not playing, don't prevent default so UI clicks work?
@@ -458,23 +839,23 @@ class Game {
 
         // Keep existing button listeners...
         // Left Button
-        leftBtn.addEventListener('mousedown', () => handleStart('KeyA', leftBtn));
-        leftBtn.addEventListener('mouseup', () => handleEnd('KeyA', leftBtn));
-        leftBtn.addEventListener('mouseleave', () => handleEnd('KeyA', leftBtn)); // Fix: Mouse leaves button
-        leftBtn.addEventListener('touchstart', (e) => { e.preventDefault(); handleStart('KeyA', leftBtn); });
-        leftBtn.addEventListener('touchend', (e) => { e.preventDefault(); handleEnd('KeyA', leftBtn); });
+        leftBtn.addEventListener('mousedown', () => handleStart('left', leftBtn));
+        leftBtn.addEventListener('mouseup', () => handleEnd('left', leftBtn));
+        leftBtn.addEventListener('mouseleave', () => handleEnd('left', leftBtn)); // Fix: Mouse leaves button
+        leftBtn.addEventListener('touchstart', (e) => { e.preventDefault(); handleStart('left', leftBtn); });
+        leftBtn.addEventListener('touchend', (e) => { e.preventDefault(); handleEnd('left', leftBtn); });
 
         // Right Button
-        rightBtn.addEventListener('mousedown', () => handleStart('KeyD', rightBtn));
-        rightBtn.addEventListener('mouseup', () => handleEnd('KeyD', rightBtn));
-        rightBtn.addEventListener('mouseleave', () => handleEnd('KeyD', rightBtn));
-        rightBtn.addEventListener('touchstart', (e) => { e.preventDefault(); handleStart('KeyD', rightBtn); });
-        rightBtn.addEventListener('touchend', (e) => { e.preventDefault(); handleEnd('KeyD', rightBtn); });
+        rightBtn.addEventListener('mousedown', () => handleStart('right', rightBtn));
+        rightBtn.addEventListener('mouseup', () => handleEnd('right', rightBtn));
+        rightBtn.addEventListener('mouseleave', () => handleEnd('right', rightBtn));
+        rightBtn.addEventListener('touchstart', (e) => { e.preventDefault(); handleStart('right', rightBtn); });
+        rightBtn.addEventListener('touchend', (e) => { e.preventDefault(); handleEnd('right', rightBtn); });
 
         // Jump Button
         const triggerJump = (btn) => {
              if(this.state !== 'PLAYING') return; // Deactivate jump if not playing
-             this.player.jump();
+             this.queueJump(0);
              btn.classList.add('active');
              setTimeout(() => btn.classList.remove('active'), 200); // Visual feedback
         };
@@ -484,1034 +865,644 @@ class Game {
     }
 
     startGame() {
+        if (this.startBtn.disabled) return; // course file still loading
+        if (this.demo) this.stopDemo(); // a gamepad press doesn't wake the page
+        this.applySeed(this.seedInput.value);
         this.startScreen.classList.add('hidden');
-        document.getElementById('mobile-controls').style.display = 'flex'; // Show controls
-        this.state = 'PLAYING';
-        this.audio.start();
-        this.lastTime = performance.now();
-        requestAnimationFrame((t) => this.gameLoop(t));
+        this.beginRun();
     }
     
     restart() {
+        if (this.onlineRun) {
+            this.online.requestStart(); // a rematch, for the whole lobby
+            return;
+        }
         console.log("Restarting game...");
         this.gameOverScreen.classList.add('hidden');
         this.victoryScreen.classList.add('hidden');
+        this.raceResults.classList.add('hidden');
         this.startScreen.classList.add('hidden');
+        this.applySeed();
+        this.beginRun();
+    }
+
+    beginRun() {
+        this.onlineRun = false;
         document.getElementById('mobile-controls').style.display = 'flex'; // Show controls
-        
-        this.obstacles.forEach(obs => obs.element.remove());
-        this.obstacles = [];
-        this.particleSystem.clear(); // Clear particles
-        this.slopeGroup.innerHTML = '';
-        this.trails = [];
-        this.trailGroup.innerHTML = '';
-        
-        this.distance = 0;
-        this.lastHundredMeters = 0;
-        this.frameCount = 0;
-        this.scrollSpeed = CONFIG.INITIAL_SCROLL_SPEED;
-        this.pathCenter = CONFIG.GAME_WIDTH / 2;
-        this.pathWidth = 450;
-        this.targetPathWidth = 450;
-        this.splitDistance = 0;
-        this.isSplitting = false;
-        this.startSeparating = false;
-        this.lastPoopJJSpawn = 0;
-        this.hasSpawnedFirstPooper = false;
-        this.isExploding = false;
-        
-        this.carouselActive = false;
-        this.carouselPhase = 0;
-        this.hasSpawnedCarousel1 = false;
-        this.hasSpawnedCarousel2 = false;
-        document.getElementById('game-container').classList.remove('dark-mode');
-        this.countdownDisplay.classList.add('hidden');
-        if (this.reverseIcon) {
-            this.reverseIcon.classList.add('hidden');
-            this.reverseIcon.classList.remove('blink');
+        const course = this.nextCourse();
+        const lives = this.livesMode ? CONFIG.LIVES : 0;
+        // Sensitivity is fixed for the whole run, the replay depends on it
+        if (this.raceMode) {
+            // Races aren't recorded: no replay, ghost or leaderboard
+            this.sim.startRace(this.seed, course, lives, this.settings.sensitivity, this.testStart(course),
+                [this.settings.playerName, 'Player 2']);
+        } else {
+            this.sim.start(this.seed, course, lives, this.settings.sensitivity, this.testStart(course));
         }
-
-        if (this.poopingJJ && this.poopingJJ.element) {
-            this.poopingJJ.element.remove();
+        this.resetRunDisplay();
+        this.assistedRun = false;
+        const sim = this.sim;
+        if (!sim.racers) {
+            this.recorder.start(sim.rng.seed, sim.steerScale, sim.course.data, sim.runStart, sim.runLives);
+        }
+        if (this.ghostRun && !sim.racers) {
+            this.ghost = new Ghost(this.ghostRun, sim.player.y);
         }
-        this.poopingJJ = null;
-        
-        if (this.player) this.player.element.remove();
-        this.createPlayer();
-        this.player.element.style.opacity = "1"; // Ensure player is visible
-        
         this.state = 'PLAYING';
         this.audio.start();
-        this.lastTime = performance.now();
-        requestAnimationFrame((t) => this.gameLoop(t));
+        this.startLoop();
     }
     
+    // Someone in our lobby started an online race (see OnlineRace): whatever was on screen makes
+    // way for the race's slope, which waits under the countdown
+    prepareOnlineRace(seed, lives) {
+        if (this.demo) this.stopDemo();
+        if (this.replayViewer.isOpen()) this.replayViewer.close();
+        if (this.settingsPanel.isOpen()) this.settingsPanel.close();
+        this.leaderboardPanel.close();
+        this.cancelResumeCountdown();
+        [this.startScreen, this.gameOverScreen, this.victoryScreen, this.raceResults, this.pauseScreen,
+            this.nameEntry.form].forEach(screen => screen.classList.add('hidden'));
+        document.getElementById('mobile-controls').style.display = 'none';
+        this.state = 'MENU';
+        this.audio.stop();
+        this.onlineRun = true;
+        this.seed = seed;
+        document.querySelectorAll('.seed-value').forEach(el => el.textContent = seed);
+        this.sim.start(seed, this.online.course, lives, this.settings.sensitivity);
+        this.resetRunDisplay();
+        this.cameraX = this.prevCameraX = 0;
+        this.render(1);
+        this.draw();
+    }
+
+    // The countdown is over, go
+    beginOnlineRun() {
+        document.getElementById('mobile-controls').style.display = 'flex';
+        // update() records every live tick, but like local races these never become a replay or ghost
+        this.recorder.start(this.sim.rng.seed, this.sim.steerScale, this.sim.course.data, 0, this.sim.runLives);
+        this.state = 'PLAYING';
+        this.audio.start();
+        this.startLoop();
+    }
+
+    // Bring the screen in line with the run this.sim just started
+    resetRunDisplay() {
+        const racers = this.sim.racers;
+        this.jumpQueued = false;
+        this.raceJumps.fill(false);
+        this.levelDisplay.classList.toggle('hidden', !this.sim.course.endless);
+        this.shownLevel = 0;
+        this.livesElement.classList.toggle('hidden', !this.sim.runLives || !!racers);
+        // A race shows everyone's distance and lives instead of the score
+        this.scoreElement.parentElement.classList.toggle('racing', !!racers);
+        document.getElementById('instructions').classList.toggle('racing', !!racers);
+        this.raceElement.classList.toggle('hidden', !racers && !this.onlineRun);
+        this.raceElement.textContent = '';
+        (racers || []).forEach(racer => {
+            const row = this.raceElement.appendChild(document.createElement('div'));
+            row.className = 'race-row';
+            row.style.color = RACER_COLORS[racer.index];
+        });
+        this.gateElement.classList.add('hidden');
+        this.gameContainer.classList.remove('dark-mode');
+        this.countdownDisplay.classList.add('hidden');
+        if (this.reverseIcon) {
+            this.reverseIcon.classList.add('hidden');
+            this.reverseIcon.classList.remove('blink');
+        }
+        this.ghost = null;
+    }
+
     setupInputs() {
         window.addEventListener('keydown', (e) => {
-            if (this.keys.hasOwnProperty(e.code)) {
-                this.keys[e.code] = true;
+            this.keys[e.code] = true;
+            const action = this.settings.actionFor(e.code);
+            if (this.state === 'PLAYING') {
+                // In a race each racer has their own jump key
+                const player = this.sim.racers ? RACE_KEYS.findIndex(keys => keys.jump === e.code) : (action === 'jump' ? 0 : -1);
+                if (player >= 0) this.queueJump(player);
+            }
+            if (action === 'pause' && !e.repeat) {
+                this.togglePause();
             }
-            if ((e.code === 'Space' || e.code === 'KeyW' || e.code === 'ArrowUp') && this.state === 'PLAYING') {
-                this.player.jump();
+            if (action === 'mute' && !e.repeat && e.target.tagName !== 'INPUT') {
+                this.toggleMute();
             }
         });
         
         window.addEventListener('keyup', (e) => {
-            if (this.keys.hasOwnProperty(e.code)) {
-                this.keys[e.code] = false;
-            }
+            this.keys[e.code] = false;
+        });
+    }
+
+    // A jump press from a player's controls, taken on the next tick
+    queueJump(player) {
+        if (this.sim.racers) this.raceJumps[player] = true;
+        else if (player === 0) this.jumpQueued = true;
+    }
+
+    toggleMute() {
+        this.settings.set('muted', !this.settings.muted);
+        this.settingsPanel.render(); // keeps the checkbox in step and applies it
+    }
+
+    // Any key bound to the action is down (or its on-screen button / touch zone)
+    isHeld(action) {
+        return this.touchKeys[action] || this.settings.bindings[action].some(code => this.keys[code]);
+    }
+
+    // Push the current settings out to everything that shows or uses them
+    applySettings() {
+        const s = this.settings;
+        document.body.classList.toggle('reduced-motion', s.reducedMotion);
+        MIXER_BUSES.forEach(bus => this.audio.setVolume(bus, s.volumes[bus]));
+        this.audio.setMuted(s.muted);
+        this.muteButton.textContent = s.muted ? '🔇' : '🔊';
+        this.muteButton.classList.toggle('muted', s.muted);
+        this.sim.playerName = s.playerName;
+        this.sim.player.name = s.playerName;
+        this.useRenderer(s.renderer);
+        document.querySelectorAll('#instructions [data-binding]').forEach(el => {
+            el.textContent = s.bindingLabel(el.dataset.binding);
         });
     }
     
-    createPlayer() {
-        // Position player relative to height. 
-        // Fixed Y position since we are locking aspect ratio now
-        const playerY = 150;
-        this.player = new Player(CONFIG.GAME_WIDTH / 2, playerY);
-        this.playerGroup.appendChild(this.player.element);
-    }
-
-    spawnJJBarrier() {
-        if (this.distance < 100) return;
-        const isLeft = Math.random() > 0.5;
-        // Ensure JJ spawns VERY close to the tree wall
-        // Previous offset was +15.
-        // We want him barely peeking out or just at the edge.
-        // Let's use 0 offset relative to path edge, or even slightly negative?
-        // Path edge is pathCenter +/- pathWidth/2.
-        // Tree is at pathCenter +/- pathWidth/2 - 20 (approx).
-        // Let's put JJ exactly at pathWidth/2 - 30.
-        
-        const offset = (this.pathWidth / 2) - 30; 
-        let x = isLeft ? (this.pathCenter - offset) : (this.pathCenter + offset);
-        
-        // Constrain x to be well within visible screen (1024 width)
-        x = Math.max(100, Math.min(CONFIG.GAME_WIDTH - 100, x));
-        
-        // Spawn slightly below screen to scroll up
-        const obstacle = new Obstacle(this.pathCenter, CONFIG.GAME_HEIGHT + 150, 'jj-barrier');
-        obstacle.kidOffsetX = x - this.pathCenter;
-        obstacle.updateKidPosition();
-        this.obstacles.push(obstacle);
-        // Append to playerGroup so it renders ON TOP of trees/rocks (prevent hiding)
-        this.playerGroup.appendChild(obstacle.element);
+    // Swap the drawing backend; the slope carries on exactly as it was
+    useRenderer(name) {
+        if (!RENDERERS[name]) name = 'svg';
+        if (this.renderer && this.renderer === this.renderers[name]) return;
+        if (this.renderer) this.renderer.unmount();
+        if (!this.renderers[name]) this.renderers[name] = RENDERERS[name].create();
+        this.renderer = this.renderers[name];
+        this.renderer.mount();
+        this.render(1);
     }
     
-    spawnObstacle() {
-        this.updatePath();
-        const currentHundred = Math.floor(this.distance / 100);
-        if (currentHundred > this.lastHundredMeters && currentHundred > 0) {
-            this.lastHundredMeters = currentHundred;
-            this.spawnJJBarrier();
-            return;
-        }
-        if (this.frameCount % 10 === 0) {
-            this.spawnWallTrees();
-        }
-        let spawnRate = CONFIG.OBSTACLE_SPAWN_RATE;
-        if (this.distance > 500) spawnRate = 45;
-        if (this.distance > 1000) spawnRate = 30;
-        if (this.frameCount % spawnRate === 0) {
-            this.spawnInternalObstacle();
+    startLoop() {
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        if (!this.rafId) {
+            this.rafId = requestAnimationFrame((t) => this.gameLoop(t));
         }
     }
 
-    updatePath() {
-        if (Math.abs(this.pathCenter - this.pathTarget) < 5) {
-            const margin = 150;
-            this.pathTarget = margin + Math.random() * (CONFIG.GAME_WIDTH - margin * 2);
-            if (!this.isSplitting) {
-                this.targetPathWidth = 300 + Math.random() * 300;
-            }
-        }
-        const speed = 0.5 + (this.scrollSpeed * 0.1);
-        if (this.pathCenter < this.pathTarget) this.pathCenter += speed;
-        else this.pathCenter -= speed;
-
-        if (this.pathWidth < this.targetPathWidth) this.pathWidth += 0.5;
-        if (this.pathWidth > this.targetPathWidth) this.pathWidth -= 0.5;
-
-        this.splitTimer++;
-        if (!this.isSplitting && this.splitDistance === 0) {
-            if (this.splitTimer > 500 + Math.random() * 500) {
-                this.isSplitting = true;
-                this.splitTimer = 0;
-            }
-        }
-        if (this.isSplitting && this.splitDistance === 0) {
-            this.targetPathWidth = 750;
-            if (this.pathWidth >= 700) {
-                this.startSeparating = true;
-            }
-        }
-        if (this.isSplitting && this.startSeparating) {
-            if (this.splitDistance < this.maxSplitDistance) {
-                this.splitDistance += 1.5;
-            } else {
-                if (this.splitTimer > 400) {
-                    this.isSplitting = false;
-                    this.startSeparating = false;
-                    this.splitTimer = 0;
-                }
-            }
-        }
-        if (!this.isSplitting && this.splitDistance > 0) {
-            this.splitDistance -= 1.5;
-            if (this.splitDistance <= 0) {
-                this.splitDistance = 0;
-                this.targetPathWidth = 450;
-            }
-        }
+    isRunning() {
+        return this.state === 'PLAYING' || this.state === 'EXPLODING';
     }
 
-    spawnWallTrees() {
-        // No trees during reverse zone (approx 750m - 1250m)
-        // Give a little buffer before and after to clear the path for the Carousel
-        if (this.distance > 700 && this.distance < 1300) return;
-
-        const y = CONFIG.GAME_HEIGHT + 50;
-        const leftPathCenter = this.pathCenter - (this.splitDistance / 2);
-        const rightPathCenter = this.pathCenter + (this.splitDistance / 2);
-        const currentPathWidth = this.isSplitting || this.splitDistance > 0 ? this.pathWidth / 2 : this.pathWidth;
-        const leftEdge = leftPathCenter - currentPathWidth / 2;
-        this.spawnTreeAt(leftEdge - 20, y);
-        const rightEdge = rightPathCenter + currentPathWidth / 2;
-        this.spawnTreeAt(rightEdge + 20, y);
-        if (this.splitDistance > 80) {
-            const midLeft = leftPathCenter + currentPathWidth / 2;
-            const midRight = rightPathCenter - currentPathWidth / 2;
-            if (midRight > midLeft) {
-                this.spawnTreeAt((midLeft + midRight) / 2, y);
-            }
-        }
+    // The loop also runs for the demo, which plays while the game itself is still in the menu
+    isAnimating() {
+        return this.demo || this.isRunning();
     }
 
-    spawnTreeAt(x, y) {
-        const jitter = (Math.random() - 0.5) * 20;
-        const obstacle = new Obstacle(x + jitter, y, 'tree');
-        this.obstacles.push(obstacle);
-        this.slopeGroup.appendChild(obstacle.element);
-    }
-
-    spawnInternalObstacle() {
-        const rand = Math.random();
-        let type = 'rock';
-        if (this.distance > 400 && rand > 0.7) type = 'flag';
-        // Removed static 'kid' spawn as requested
-        if (this.distance > 800 && rand > 0.92) type = 'ditch';
-        let targetCenter = this.pathCenter;
-        let targetWidth = this.pathWidth;
-        if (this.splitDistance > 50) {
-            if (Math.random() > 0.5) {
-                targetCenter = this.pathCenter - this.splitDistance / 2;
-            } else {
-                targetCenter = this.pathCenter + this.splitDistance / 2;
-            }
-            targetWidth = this.pathWidth / 2;
-        }
-        const safeWidth = targetWidth - 60; 
-        const xOffset = (Math.random() - 0.5) * safeWidth;
-        const x = targetCenter + xOffset;
-        const obstacle = new Obstacle(x, CONFIG.GAME_HEIGHT + 50, type);
-        this.obstacles.push(obstacle);
-        this.slopeGroup.appendChild(obstacle.element);
+    // Attract mode: when nobody touches the start screen for a while, the bot skis
+    // behind it. Any key, click or touch gives the slope back.
+    setupDemo() {
+        const wake = () => {
+            if (this.demo) this.stopDemo();
+            else this.scheduleDemo();
+        };
+        ['keydown', 'pointerdown', 'touchstart', 'wheel'].forEach(type => {
+            window.addEventListener(type, wake, true); // before the handlers, so a key can't steer the bot
+        });
+        this.scheduleDemo();
     }
-    
+
+    scheduleDemo() {
+        clearTimeout(this.demoTimer);
+        this.demoTimer = setTimeout(() => this.startDemo(), ATTRACT_IDLE_MS);
+    }
+
+    startDemo() {
+        this.demoTimer = null;
+        // Only from the start screen itself, and not for players who asked for less motion
+        if (this.state !== 'MENU' || this.replay || this.startBtn.disabled ||
+            this.startScreen.classList.contains('hidden') || this.settings.reducedMotion) return;
+        this.sim.start(SeededRandom.randomSeed(), this.nextCourse());
+        this.resetRunDisplay();
+        this.demo = true;
+        this.startScreen.classList.add('demo');
+        this.demoBanner.classList.remove('hidden');
+        this.startLoop();
+    }
+
+    // Back to a fresh slope under the start screen
+    stopDemo() {
+        this.demo = false;
+        this.startScreen.classList.remove('demo');
+        this.demoBanner.classList.add('hidden');
+        this.sim.start(this.seed, this.nextCourse(), 0, this.settings.sensitivity);
+        this.resetRunDisplay();
+        this.cameraX = this.prevCameraX = 0;
+        this.render(1);
+        this.draw();
+        this.scheduleDemo();
+    }
+
+    // Fixed-timestep loop: real time is fed into an accumulator and the simulation
+    // is stepped in whole ticks, then drawn interpolated between the last two ticks.
     gameLoop(timestamp) {
-        if (this.state !== 'PLAYING' && this.state !== 'EXPLODING') return;
-        const deltaTime = timestamp - this.lastTime;
+        if (!this.isAnimating()) {
+            this.rafId = null;
+            return;
+        }
+        this.frameStats.begin();
+        const gap = timestamp - this.lastTime;
+        const frameTime = Math.max(0, Math.min(gap, CONFIG.MAX_FRAME_TIME));
         this.lastTime = timestamp;
-        this.update(deltaTime);
+        this.accumulator += frameTime * this.timeScale;
+        while (this.accumulator >= CONFIG.FIXED_DT) {
+            this.update();
+            this.accumulator -= CONFIG.FIXED_DT;
+            if (!this.isAnimating()) break;
+        }
+        this.render(this.accumulator / CONFIG.FIXED_DT);
         this.draw();
-        requestAnimationFrame((t) => this.gameLoop(t));
+        const pool = this.sim.obstaclePool;
+        this.frameStats.end(gap, `obstacles: ${pool.created} built, ${pool.reused} reused, ${this.sim.obstacles.length} on the slope`);
+        this.rafId = requestAnimationFrame((t) => this.gameLoop(t));
     }
     
-    update(deltaTime) {
-        this.frameCount++;
-        
-        // Update particles regardless of state
-        const hasParticles = this.particleSystem.update();
-        
-        if (this.state === 'EXPLODING') {
-            if (!hasParticles) {
-                this.gameOver();
-            }
-            return; // Stop game logic during explosion
-        }
-        
-        this.distance += this.scrollSpeed * CONFIG.METER_SCALE;
-        
-        // Speed control: Slow down during reverse zone
-        let targetMaxSpeed = this.carouselActive ? 4 : CONFIG.MAX_SPEED; // Reduced to 2/3 (was 6)
-        
-        if (this.scrollSpeed < targetMaxSpeed) {
-            this.scrollSpeed += 0.001;
-        } else if (this.scrollSpeed > targetMaxSpeed) {
-            this.scrollSpeed -= 0.05; // Decelerate quickly
-        }
-        
-        // Camera Follow Logic
-        const targetCamX = this.player.x - CONFIG.GAME_WIDTH / 2;
-        this.cameraX += (targetCamX - this.cameraX) * 0.1; // Smooth follow
-        
-        // Apply camera transform to the world group
-        let shakeX = 0;
-        let shakeY = 0;
-        // Re-implement shake inside the camera transform
-        if(this.svg.style.transform && this.svg.style.transform.includes('translate')) {
-             // Extract shake from previous implementation or just calculate new shake here
-             // We'll calculate fresh shake here instead of using the svg style which was a bit hacky
-             shakeX = (Math.random() - 0.5) * (this.scrollSpeed * 0.2);
-             shakeY = (Math.random() - 0.5) * (this.scrollSpeed * 0.2);
+    // Advance the simulation by exactly one tick (CONFIG.FIXED_DT), then let the
+    // player hear and see what happened
+    update() {
+        const sim = this.sim;
+        this.prevCameraX = this.cameraX;
+        if (sim.state === 'PLAYING') {
+            // Camera Follow Logic
+            const targetCamX = this.cameraTarget() - CONFIG.GAME_WIDTH / 2;
+            this.cameraX += (targetCamX - this.cameraX) * 0.1; // Smooth follow
         }
         
-        this.worldCamera.setAttribute("transform", `translate(${-this.cameraX + shakeX}, ${shakeY})`);
-        // Move background with parallax (slower)
-        this.bgGroup.setAttribute("transform", `translate(${-this.cameraX * 0.1}, 0)`);
-        
-        // Spawn Logic for Pooping JJ
-        // First one at 250m is ALWAYS Squatting
-        if (!this.poopingJJ) {
-            if (!this.hasSpawnedFirstPooper && this.distance > 250) {
-                this.spawnPoopingJJ('squat');
-                this.hasSpawnedFirstPooper = true;
-                this.lastPoopJJSpawn = this.distance;
-            } else if (this.hasSpawnedFirstPooper && this.distance - this.lastPoopJJSpawn > 400) {
-                this.spawnPoopingJJ(); // Random
-                this.lastPoopJJSpawn = this.distance;
+        // One tick of input, live from the controls (with the bot's help if assist is on),
+        // from the replay being watched or from the bot skiing the demo
+        const tick = sim.runTick;
+        sim.step(() => {
+            if (this.replay) return this.replay.inputAt(tick);
+            if (this.demo) return this.autopilot.input();
+            if (sim.racers) return this.readRaceInputs();
+            let input = this.readInput();
+            if (this.settings.assist) {
+                const assisted = this.autopilot.assist(input);
+                if (assisted !== input) this.assistedRun = true;
+                input = assisted;
+            }
+            this.recorder.record(input);
+            return input;
+        });
+        if (this.demo) {
+            // Silent and unrecorded; when the bot's run ends it just starts another
+            this.showReverseZone(sim.carouselActive);
+            if (sim.isOver()) {
+                sim.start(SeededRandom.randomSeed(), this.nextCourse());
+                this.resetRunDisplay();
             }
-        }
-
-        if (this.poopingJJ) {
-            this.updatePoopingJJ();
-        }
-        
-        if (!this.hasSpawnedCarousel1 && this.distance > 750) {
-            this.spawnCarousel(1);
-            this.hasSpawnedCarousel1 = true;
-        } else if (!this.hasSpawnedCarousel2 && this.distance > 1250) {
-            this.spawnCarousel(2);
-            this.hasSpawnedCarousel2 = true;
-        }
-
-        if (this.distance >= CONFIG.WIN_DISTANCE) {
-            this.victory();
             return;
         }
         
-        let moveDir = 0;
-        if (this.keys.ArrowLeft || this.keys.KeyA) moveDir -= 1;
-        if (this.keys.ArrowRight || this.keys.KeyD) moveDir += 1;
-        
-        if (this.carouselActive) moveDir *= -1; // Reverse controls
-
-        // Update warning icon (replaces old text countdown)
-        // ONLY show icon when reverse zone is ACTUALLY ACTIVE
-        if (this.carouselActive) {
-            this.reverseIcon.classList.remove('hidden');
-            this.reverseIcon.classList.add('blink');
-        } else {
-             this.reverseIcon.classList.add('hidden');
-             this.reverseIcon.classList.remove('blink');
-        }
-        
-        // Hide old countdown text
-        this.countdownDisplay.classList.add('hidden');
-        
-        if (moveDir !== 0) {
-            // Reduced sensitivity for mobile touch controls to make steering smoother
-            // isMobile check is already available globally
-            const speed = isMobile ? CONFIG.PLAYER_SPEED * 0.7 : CONFIG.PLAYER_SPEED;
-            this.player.move(moveDir * speed);
+        if (sim.state === 'EXPLODING' && this.state === 'PLAYING') {
+            this.state = 'EXPLODING';
+            this.audio.stop();
         }
-
-        this.player.update(deltaTime);
-        this.audio.updateSkiSound(this.scrollSpeed, this.player.isJumping);
-        this.bgManager.update(this.scrollSpeed);
-        if (!this.player.isJumping) {
-            this.trails.push({
-                x: this.player.x,
-                y: this.player.y + 15,
-                age: 0
-            });
+        sim.events.forEach(event => this.playEvent(event));
+        if (this.onlineRun) this.online.update(sim);
+        if (sim.runTick > tick) {
+            if (!this.replay && !sim.racers) this.recorder.sampleTrack(sim.distance, sim.player.x, sim.player.isJumping);
+            if (this.ghost) this.ghost.update(tick, sim.distance);
+            this.audio.updateSkiSound(sim.scrollSpeed, sim.player.isJumping);
+            this.audio.updateMusic(sim.scrollSpeed, sim.carouselActive);
+            this.showReverseZone(sim.carouselActive);
         }
-        this.updateTrails();
-        this.spawnObstacle();
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obs = this.obstacles[i];
-            obs.y -= this.scrollSpeed;
-            obs.updatePosition();
-            if (!this.player.isJumping) {
-                if (this.checkCollision(this.player, obs)) {
-                    if (obs.type === 'carousel') {
-                        this.triggerCarouselEffect(obs);
-                    } else {
-                        this.triggerExplosion(obs);
-                    }
-                }
-            }
-            if (obs.y < -100) {
-                obs.element.remove();
-                this.obstacles.splice(i, 1);
-            } else {
-                obs.updateAnimation();
-            }
-        }
-    }
-
-    triggerCarouselEffect(obs) {
-        if (obs.triggered) return;
-        obs.triggered = true;
         
-        this.audio.playSpiegelei();
-        
-        if (obs.phase === 1) {
-            this.carouselActive = true;
-            document.getElementById('game-container').classList.add('dark-mode');
-            // Icon handling is done in update loop
-        } else {
-            this.carouselActive = false;
-            document.getElementById('game-container').classList.remove('dark-mode');
-            // Icon handling is done in update loop
+        if (sim.state === 'GAMEOVER') {
+            this.gameOver();
+        } else if (sim.state === 'VICTORY') {
+            this.victory();
         }
     }
 
-    triggerExplosion(obstacle) {
-        this.state = 'EXPLODING';
-        this.audio.stop();
-        
-        // Hide player
-        this.player.element.style.opacity = "0";
-        
-        // Determine color based on obstacle
-        let color = "#5d4037"; // Default brown (poop/tree trunk)
-        if (obstacle.type === 'poop') color = "#795548"; // Poop brown
-        else if (obstacle.type === 'tree') color = "#2E7D32"; // Tree green
-        else if (obstacle.type === 'rock') color = "#9e9e9e"; // Rock grey
-        else if (obstacle.type === 'kid' || obstacle.type === 'jj-barrier') color = "#fdd835"; // JJ yellow
-        
-        // Explosion at player position
-        this.particleSystem.spawnExplosion(this.player.x, this.player.y, color);
-        
-        // Also add some red/white for player parts
-        this.particleSystem.spawnExplosion(this.player.x, this.player.y, "#ff3d00");
+    // World x the camera centres on: the skier, or the middle of everyone still in the race
+    // (the simulation keeps them close enough together to fit, see keepRacersTogether())
+    cameraTarget() {
+        const sim = this.sim;
+        if (!sim.racers) return sim.player.x;
+        const skiing = sim.racers.filter(racer => !racer.out);
+        const xs = (skiing.length ? skiing : sim.racers).map(racer => racer.player.x);
+        return (Math.min(...xs) + Math.max(...xs)) / 2;
     }
 
-    spawnCarousel(phase) {
-        const x = this.pathCenter;
-        const y = CONFIG.GAME_HEIGHT + 200;
-        const obstacle = new Obstacle(x, y, 'carousel');
-        obstacle.phase = phase; 
-        this.obstacles.push(obstacle);
-        this.slopeGroup.appendChild(obstacle.element);
+    // Warning icon and dark slope while the controls are reversed
+    showReverseZone(active) {
+        this.reverseIcon.classList.toggle('hidden', !active);
+        this.reverseIcon.classList.toggle('blink', active);
+        this.gameContainer.classList.toggle('dark-mode', active);
     }
 
-    spawnPoopingJJ(forcedType = null) {
-        if (this.poopingJJ) return;
-        this.audio.playGagi();
-        
-        // Randomly choose type: 'sled' or 'squat' unless forced
-        const type = forcedType ? forcedType : (Math.random() > 0.5 ? 'sled' : 'squat');
-        
-        const startFromLeft = Math.random() > 0.5;
-        const direction = startFromLeft ? 1 : -1;
-        const leftBound = this.pathCenter - this.pathWidth / 2 + 50;
-        const rightBound = this.pathCenter + this.pathWidth / 2 - 50;
-        let x = startFromLeft ? leftBound : rightBound;
-        let y = -100;
-        
-        // Use different SVG for sled type
-        const svgId = type === 'sled' ? '#sled-kid' : '#squat-kid';
-        
-        const element = document.createElementNS("http://www.w3.org/2000/svg", "use");
-        element.setAttributeNS("http://www.w3.org/1999/xlink", "href", svgId);
-        element.setAttribute("transform", `translate(${x}, ${y}) scale(1)`); 
-        this.slopeGroup.appendChild(element);
-        
-        this.poopingJJ = {
-            type: type,
-            element: element,
-            x: x,
-            y: y,
-            targetY: 200, 
-            direction: direction,
-            poopTimer: 0,
-            state: 'entering',
-            angle: 0
-        };
+    // Sample the live controls into input bits for this tick.
+    // Keys and touch steer at full strength, the gamepad stick steers analog.
+    readInput() {
+        let bits = 0;
+        if (this.isHeld('left')) bits |= INPUT_LEFT;
+        if (this.isHeld('right')) bits |= INPUT_RIGHT;
+        if (bits === 0) bits = encodeSteer(this.gamepad.steer());
+        if (this.jumpQueued) bits |= INPUT_JUMP;
+        this.jumpQueued = false;
+        return bits;
     }
-    
-    updatePoopingJJ() {
-        if (!this.poopingJJ) return;
-        let jj = this.poopingJJ;
-        
-        if (jj.type === 'sled') {
-            this.updateSleddingJJ(jj);
-        } else {
-            this.updateSquattingJJ(jj);
-        }
+
+    // A race tick's input, one set of bits per racer: each has their own keys (RACE_KEYS)
+    // and gamepad, and the touch controls steer player 1
+    readRaceInputs() {
+        return this.sim.racers.map((racer, i) => {
+            const keys = RACE_KEYS[i];
+            let bits = 0;
+            if (this.keys[keys.left] || (i === 0 && this.touchKeys.left)) bits |= INPUT_LEFT;
+            if (this.keys[keys.right] || (i === 0 && this.touchKeys.right)) bits |= INPUT_RIGHT;
+            if (bits === 0) bits = encodeSteer(this.gamepad.steer(i));
+            if (this.raceJumps[i]) bits |= INPUT_JUMP;
+            this.raceJumps[i] = false;
+            return bits;
+        });
     }
 
-    updateSleddingJJ(jj) {
-        // Type 1: Sledding JJ (Original behavior + sled visual)
-        // Moves diagonally down/across
-        if (jj.state === 'entering') {
-            jj.y += 4; // Fast entry
-            jj.x += jj.direction * 1;
-            if (jj.y >= jj.targetY) {
-                jj.state = 'skiing';
-            }
-        } else if (jj.state === 'skiing') {
-            const speedX = 2.5; 
-            const speedY = 0.5; // Moves slowly down relative to camera
-            
-            jj.x += speedX * jj.direction;
-            jj.y += speedY; // Slowly moves down screen
-            
-            const leftBound = this.pathCenter - this.pathWidth / 2 + 50;
-            const rightBound = this.pathCenter + this.pathWidth / 2 - 50;
-            
-            // Zigzag
-            if (jj.x > rightBound) jj.direction = -1;
-            if (jj.x < leftBound) jj.direction = 1;
-            
-            // Occasional poop
-            if (!jj.poopTimer) jj.poopTimer = 0;
-            jj.poopTimer++;
-            if (jj.poopTimer > 60) { 
-                this.spawnPoop(jj.x, jj.y + 20); 
-                jj.poopTimer = 0;
-            }
-            
-            // Tilt based on direction
-            jj.angle = jj.direction * -10;
-            
-            jj.element.setAttribute("transform", `translate(${jj.x}, ${jj.y}) scale(1) rotate(${jj.angle})`);
-            
-            if (!jj.lifeTime) jj.lifeTime = 0;
-            jj.lifeTime++;
-            if (jj.lifeTime > 600) { 
-                jj.y += 5; // Zoom away down
-                jj.element.setAttribute("transform", `translate(${jj.x}, ${jj.y}) scale(1) rotate(${jj.angle})`);
-                if (jj.y > CONFIG.GAME_HEIGHT + 100) {
-                    jj.element.remove();
-                    this.poopingJJ = null;
-                    return; 
-                }
-            }
-        }
-        if (jj && jj.state === 'entering') {
-             jj.element.setAttribute("transform", `translate(${jj.x}, ${jj.y}) scale(1)`);
-        }
+    // Sound at a world x (the skier by default), panned by where that is on screen
+    playEffect(name, x = this.sim.player.x) {
+        this.audio.playEffect(name, x - this.cameraX);
     }
 
-    updateSquattingJJ(jj) {
-        // Type 2: Squatting JJ (Wall builder on a rope)
-        // Moves strictly horizontal relative to the GROUND (so he moves UP with scroll)
-        
-        // If he's just entering, he spawns below screen and scrolls up naturally with the world
-        // But our current logic spawns him and manages his 'y' manually.
-        // Actually, 'jj.y' is his world position relative to the camera group if we appended him to slopeGroup?
-        // Wait, slopeGroup is inside worldCamera. So if we set y once, he will scroll with the world.
-        // The previous logic was modifying jj.y to simulate movement.
-        // For "tied to trees", he should have a FIXED Y in the world, and just change X.
-        
-        if (jj.state === 'entering') {
-            // Initialize rope if not present
-            if (!jj.ropeElement) {
-                const rope = document.createElementNS("http://www.w3.org/2000/svg", "line");
-                rope.setAttribute("stroke", "#5d4037");
-                rope.setAttribute("stroke-width", "3");
-                // Rope spans the whole path width plus some margin to reach "trees"
-                const leftTree = this.pathCenter - this.pathWidth / 2 - 20;
-                const rightTree = this.pathCenter + this.pathWidth / 2 + 20;
-                rope.setAttribute("x1", leftTree);
-                rope.setAttribute("y1", 0); // Relative to JJ group
-                rope.setAttribute("x2", rightTree);
-                rope.setAttribute("y2", 0);
-                // Insert rope before JJ so it's behind him. 
-                // But JJ is a <use> element. We need a group for the whole entity if we want rope + JJ.
-                // Currently jj.element is the <use>.
-                // Let's just draw the rope as a separate element in slopeGroup? 
-                // Or wrap JJ in a group? Wrapping is cleaner but requires changing spawn logic.
-                // Easier: Just append rope to slopeGroup at jj.y - 40 (hand height).
-                jj.ropeElement = rope;
-                jj.ropeElement.setAttribute("transform", `translate(0, ${jj.y - 45})`); // Approx hand height
-                this.slopeGroup.insertBefore(rope, jj.element);
-            }
-            
-            // He is already placed at y = -100 (which is top of screen... wait).
-            // spawnPoopingJJ sets y = -100.
-            // In the new camera system, y = 0 is top of world? 
-            // The camera follows player. Player is at y=100.
-            // Obstacles are spawned at CONFIG.GAME_HEIGHT + 50 (bottom).
-            // Pooping JJ was spawned at y = -100 (top) to "overtake"?
-            // User says: "Tied between trees... won't slide down like player".
-            // This means he is a STATIONARY OBSTACLE (like a rock) that just moves left/right.
-            // So he should spawn at the BOTTOM (like trees) and scroll UP.
-            
-            // If this is the first update, let's fix his position to be ahead of player (bottom of screen)
-            if (jj.y === -100) {
-                 jj.y = CONFIG.GAME_HEIGHT + 100; // Spawn ahead
-                 jj.targetY = jj.y; // He stays at this Y level
-                 jj.element.setAttribute("transform", `translate(${jj.x}, ${jj.y}) scale(1)`);
-                 if(jj.ropeElement) jj.ropeElement.setAttribute("transform", `translate(0, ${jj.y - 45})`);
-            }
-            
-            jj.state = 'crawling';
-        } else if (jj.state === 'crawling') {
-            const speed = 3; 
-            jj.x += speed * jj.direction;
-            
-            // Dense poop spawn
-            if (!jj.poopTimer) jj.poopTimer = 0;
-            jj.poopTimer++;
-            if (jj.poopTimer > 20) { // Increased from 4 to 20 for bigger spacing
-                this.spawnPoop(jj.x, jj.y + 20); 
-                jj.poopTimer = 0;
-            }
-            
-            const bob = Math.sin(this.frameCount * 0.2) * 5; 
-            jj.element.setAttribute("transform", `translate(${jj.x}, ${jj.y + bob}) scale(1)`);
-            
-            // Check bounds
-            const leftBound = this.pathCenter - this.pathWidth / 2 + 20;
-            const rightBound = this.pathCenter + this.pathWidth / 2 - 20;
-            
-            if (jj.direction === 1 && jj.x > rightBound) {
-                jj.direction = -1;
-            } else if (jj.direction === -1 && jj.x < leftBound) {
-                jj.direction = 1;
-            }
-            
-            // Cleanup when he scrolls off top of screen
-            // Player is at y=100. If jj.y < player.y - 200, he's gone.
-            // But wait, "scrolls up" means his screen Y decreases as camera Y increases?
-            // No, obstacles have fixed World Y. Camera moves +Y?
-            // Let's check update(): obs.y -= scrollSpeed. 
-            // Ah, the current engine moves OBSTACLES up, not camera down. 
-            // "this.obstacles.forEach... obs.y -= speed".
-            // So JJ must also follow this rule if he is "stationary on the ground".
-            
-            jj.y -= this.scrollSpeed; // Move with the world
-            if(jj.ropeElement) jj.ropeElement.setAttribute("transform", `translate(0, ${jj.y - 45})`);
-            
-            if (jj.y < -150) {
-                jj.element.remove();
-                if(jj.ropeElement) jj.ropeElement.remove();
-                this.poopingJJ = null;
-                return;
-            }
+    // Something the simulation reported this tick (see Simulation.events)
+    playEvent(event) {
+        if (event.type === 'sound') {
+            this.playEffect(event.name, event.x);
+        } else if (event.type === 'pickup') {
+            this.audio.playPickup(POWERUPS[event.kind].pitch, event.x - this.cameraX);
+        } else if (event.type === 'stinger') {
+            this.audio.playStinger(event.kind);
+        } else if (event.type === 'clip') {
+            if (event.name === 'gagi') this.audio.playGagi();
+            else this.audio.playSpiegelei();
         }
     }
-    
-    spawnPoop(x, y) {
-        const obstacle = new Obstacle(x, y, 'poop');
-        this.obstacles.push(obstacle);
-        this.slopeGroup.appendChild(obstacle.element);
-    }
 
     applyScreenShake() {
         // Deprecated: Shake is now handled in update loop for camera group
         // But we keep the function to trigger the "shake state" if we add one later
     }
     
-    updateTrails() {
-        for (let i = this.trails.length - 1; i >= 0; i--) {
-            this.trails[i].y -= this.scrollSpeed;
-            this.trails[i].age++;
-            if (this.trails[i].y < -100 || this.trails[i].age > 200) {
-                this.trails.splice(i, 1);
-            }
-        }
-        if (this.trails.length < 2) {
-            this.trailGroup.innerHTML = '';
-            return;
-        }
-        let leftD = `M ${this.trails[0].x - 10} ${this.trails[0].y}`;
-        let rightD = `M ${this.trails[0].x + 10} ${this.trails[0].y}`;
-        for (let i = 1; i < this.trails.length; i++) {
-            const p = this.trails[i];
-            leftD += ` L ${p.x - 10} ${p.y}`;
-            rightD += ` L ${p.x + 10} ${p.y}`;
-        }
-        let leftPath = document.getElementById('left-trail');
-        let rightPath = document.getElementById('right-trail');
-        if (!leftPath) {
-            this.trailGroup.innerHTML = '';
-            leftPath = document.createElementNS("http://www.w3.org/2000/svg", "path");
-            leftPath.setAttribute("id", "left-trail");
-            leftPath.setAttribute("stroke", "rgba(200, 200, 255, 0.6)");
-            leftPath.setAttribute("stroke-width", "4");
-            leftPath.setAttribute("fill", "none");
-            leftPath.setAttribute("stroke-linecap", "round");
-            leftPath.setAttribute("stroke-linejoin", "round");
-            this.trailGroup.appendChild(leftPath);
-            rightPath = document.createElementNS("http://www.w3.org/2000/svg", "path");
-            rightPath.setAttribute("id", "right-trail");
-            rightPath.setAttribute("stroke", "rgba(200, 200, 255, 0.6)");
-            rightPath.setAttribute("stroke-width", "4");
-            rightPath.setAttribute("fill", "none");
-            rightPath.setAttribute("stroke-linecap", "round");
-            rightPath.setAttribute("stroke-linejoin", "round");
-            this.trailGroup.appendChild(rightPath);
+    // Hand the interpolated simulation state to the renderer (alpha: 0 = previous tick, 1 = current)
+    render(alpha) {
+        const cameraX = lerp(this.prevCameraX, this.cameraX, alpha);
+        
+        let shakeX = 0;
+        let shakeY = 0;
+        // Shake is purely cosmetic, so it stays on Math.random() and never touches the seed
+        if (this.shaking && !this.settings.reducedMotion) {
+             shakeX = (Math.random() - 0.5) * (this.sim.scrollSpeed * 0.2);
+             shakeY = (Math.random() - 0.5) * (this.sim.scrollSpeed * 0.2);
         }
-        leftPath.setAttribute("d", leftD);
-        rightPath.setAttribute("d", rightD);
-    }
-    
-    checkCollision(player, obstacle) {
-        const px = player.x - 15;
-        const py = player.y - 10;
-        const pw = 30;
-        const ph = 20;
-        const ox = obstacle.x - obstacle.width/2;
-        const oy = obstacle.y - obstacle.height;
-        const ow = obstacle.width;
-        const oh = obstacle.height;
-        return (px < ox + ow && px + pw > ox && py < oy + oh && py + ph > oy);
+        
+        this.renderer.render(this, alpha, {
+            x: -cameraX + shakeX,
+            y: shakeY,
+            background: -cameraX * 0.1 // parallax, the snow patches move slower
+        });
     }
     
     draw() {
-        this.scoreElement.textContent = Math.floor(this.distance);
+        const sim = this.sim;
+        this.scoreElement.textContent = sim.score.total(sim.distance);
+        const multiplier = sim.score.multiplier();
+        this.comboElement.classList.toggle('hidden', multiplier === 1);
+        this.comboElement.textContent = `COMBO x${multiplier}`;
+        if (sim.course.endless) {
+            const level = sim.course.levelAt(sim.distance);
+            if (level !== this.shownLevel) {
+                this.shownLevel = level;
+                this.levelElement.textContent = level;
+                // Restart the level-up pop
+                this.levelDisplay.classList.remove('level-up');
+                void this.levelDisplay.offsetWidth;
+                if (level > 1) this.levelDisplay.classList.add('level-up');
+            }
+        }
+        if (this.replay) this.replayViewer.update();
+        this.powerUpHud.update(sim.powerUps);
+        
+        const gateCount = sim.gates.passed + sim.gates.missed;
+        this.gateElement.classList.toggle('hidden', (gateCount === 0 && !sim.course.slalom) || !!sim.racers);
+        this.gateElement.textContent = `GATES ${sim.gates.passed}/${gateCount}` +
+            (sim.gates.streak > 1 ? ` x${sim.gates.streak}` : '');
+        
+        if (sim.runLives) {
+            this.livesElement.textContent = '\u2665'.repeat(sim.lives) + '\u2661'.repeat(sim.runLives - sim.lives);
+        }
+        
+        if (sim.racers) this.showRaceStandings();
+        else if (this.onlineRun) this.showOnlineStandings();
+        
+        this.ghostGapElement.classList.toggle('hidden', !this.ghost);
+        if (this.ghost) {
+            const gap = Math.round(this.ghost.gap(sim.distance));
+            this.ghostGapElement.textContent = `${gap >= 0 ? '+' : ''}${gap}m`;
+            this.ghostGapElement.classList.toggle('behind', gap < 0);
+        }
     }
     
     gameOver() {
+        const sim = this.sim;
         this.state = 'GAMEOVER';
         document.getElementById('mobile-controls').style.display = 'none'; // Hide controls
         this.audio.stop();
+        if (this.replay) {
+            this.replayViewer.onReplayEnded();
+            return;
+        }
+        if (sim.racers) {
+            this.showRaceResults();
+            return;
+        }
+        if (this.onlineRun) {
+            this.showOnlineResults();
+            return;
+        }
+        this.lastReplay = this.recorder.finish({ distance: sim.distance, outcome: 'crash' });
+        if (this.isRecordRun()) this.ghosts.submit(this.lastReplay);
         this.gameOverScreen.classList.remove('hidden');
-        this.finalScoreElement.textContent = Math.floor(this.distance) + 'm';
+        this.finalScoreElement.textContent = Math.floor(sim.distance);
+        this.showRunScore();
+        this.showCrashSummary();
+        this.submitScore(this.gameOverScreen, sim.deathCause);
     }
 
     victory() {
         this.state = 'VICTORY';
         document.getElementById('mobile-controls').style.display = 'none'; // Hide controls
         this.audio.stop();
+        this.audio.playStinger('victory');
+        if (this.sim.racers) {
+            this.showRaceResults(); // everyone heard their own finish already
+            return;
+        }
+        this.playEffect('finish');
+        if (this.onlineRun) {
+            this.showOnlineResults();
+            return;
+        }
+        if (this.replay) {
+            this.replayViewer.onReplayEnded();
+            return;
+        }
+        this.lastReplay = this.recorder.finish({ distance: this.sim.distance, outcome: 'victory' });
+        if (this.isRecordRun()) this.ghosts.submit(this.lastReplay);
         this.victoryScreen.classList.remove('hidden');
+        this.showRunScore();
+        this.showCrashSummary();
+        this.showGateSummary();
+        this.submitScore(this.victoryScreen, 'finish');
     }
-}
 
-class Player {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.vx = 0;
-        this.isJumping = false;
-        this.jumpStartTime = 0;
-        // Use consistent scale for all devices to maintain ratio
-        this.baseScale = 0.8; 
-        this.scale = this.baseScale;
-        this.angle = 0;
-        this.bobOffset = 0;
-        this.frameCount = 0;
-        this.element = this.createSVG();
-        this.updatePosition();
-    }
-    
-    createSVG() {
-        const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
-        const shadow = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        shadow.setAttribute("x", -18); shadow.setAttribute("y", 12);
-        shadow.setAttribute("width", 36); shadow.setAttribute("height", 8);
-        shadow.setAttribute("fill", "rgba(0,0,0,0.2)");
-        g.appendChild(shadow);
-        const leftSki = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        leftSki.setAttribute("x", -18); leftSki.setAttribute("y", 0);
-        leftSki.setAttribute("width", 10); leftSki.setAttribute("height", 45);
-        leftSki.setAttribute("fill", "#fff");
-        g.appendChild(leftSki);
-        const leftSkiTip = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        leftSkiTip.setAttribute("x", -18); leftSkiTip.setAttribute("y", 35);
-        leftSkiTip.setAttribute("width", 10); leftSkiTip.setAttribute("height", 10);
-        leftSkiTip.setAttribute("fill", "#4caf50");
-        g.appendChild(leftSkiTip);
-        const rightSki = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        rightSki.setAttribute("x", 8); rightSki.setAttribute("y", 0);
-        rightSki.setAttribute("width", 10); rightSki.setAttribute("height", 45);
-        rightSki.setAttribute("fill", "#fff");
-        g.appendChild(rightSki);
-        const rightSkiTip = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        rightSkiTip.setAttribute("x", 8); rightSkiTip.setAttribute("y", 35);
-        rightSkiTip.setAttribute("width", 10); rightSkiTip.setAttribute("height", 10);
-        rightSkiTip.setAttribute("fill", "#4caf50");
-        g.appendChild(rightSkiTip);
-        this.bodyGroup = document.createElementNS("http://www.w3.org/2000/svg", "g");
-        g.appendChild(this.bodyGroup);
-        const leftLeg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        leftLeg.setAttribute("x", -14); leftLeg.setAttribute("y", -15);
-        leftLeg.setAttribute("width", 10); leftLeg.setAttribute("height", 25);
-        leftLeg.setAttribute("fill", "#1a237e");
-        this.bodyGroup.appendChild(leftLeg);
-        const rightLeg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        rightLeg.setAttribute("x", 4); rightLeg.setAttribute("y", -15);
-        rightLeg.setAttribute("width", 10); rightLeg.setAttribute("height", 25);
-        rightLeg.setAttribute("fill", "#1a237e");
-        this.bodyGroup.appendChild(rightLeg);
-        const torsoBottom = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        torsoBottom.setAttribute("x", -16); torsoBottom.setAttribute("y", -30);
-        torsoBottom.setAttribute("width", 32); torsoBottom.setAttribute("height", 15);
-        torsoBottom.setAttribute("fill", "#ff3d00");
-        this.bodyGroup.appendChild(torsoBottom);
-        const torsoTop = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        torsoTop.setAttribute("x", -16); torsoTop.setAttribute("y", -45);
-        torsoTop.setAttribute("width", 32); torsoTop.setAttribute("height", 15);
-        torsoTop.setAttribute("fill", "#1a237e");
-        this.bodyGroup.appendChild(torsoTop);
-        const leftArm = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        leftArm.setAttribute("x", -22); leftArm.setAttribute("y", -44);
-        leftArm.setAttribute("width", 8); leftArm.setAttribute("height", 24);
-        leftArm.setAttribute("fill", "#1a237e");
-        this.bodyGroup.appendChild(leftArm);
-        const rightArm = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        rightArm.setAttribute("x", 14); rightArm.setAttribute("y", -44);
-        rightArm.setAttribute("width", 8); rightArm.setAttribute("height", 24);
-        rightArm.setAttribute("fill", "#1a237e");
-        this.bodyGroup.appendChild(rightArm);
-        const head = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        head.setAttribute("x", -12); head.setAttribute("y", -68);
-        head.setAttribute("width", 24); head.setAttribute("height", 24);
-        head.setAttribute("rx", 4); head.setAttribute("fill", "#263238");
-        this.bodyGroup.appendChild(head);
-        const face = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        face.setAttribute("x", -10); face.setAttribute("y", -60);
-        face.setAttribute("width", 20); face.setAttribute("height", 14);
-        face.setAttribute("fill", "#f0c0a0");
-        this.bodyGroup.appendChild(face);
-        const gogglesFrame = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        gogglesFrame.setAttribute("x", -13); gogglesFrame.setAttribute("y", -64);
-        gogglesFrame.setAttribute("width", 26); gogglesFrame.setAttribute("height", 12);
-        gogglesFrame.setAttribute("rx", 2); gogglesFrame.setAttribute("fill", "#212121");
-        this.bodyGroup.appendChild(gogglesFrame);
-        const gogglesLens = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        gogglesLens.setAttribute("x", -11); gogglesLens.setAttribute("y", -62);
-        gogglesLens.setAttribute("width", 22); gogglesLens.setAttribute("height", 8);
-        gogglesLens.setAttribute("rx", 1); gogglesLens.setAttribute("fill", "#ff5722");
-        this.bodyGroup.appendChild(gogglesLens);
-        
-        // Name Tag "Andi"
-        const nameText = document.createElementNS("http://www.w3.org/2000/svg", "text");
-        nameText.setAttribute("x", 0);
-        nameText.setAttribute("y", -90);
-        nameText.setAttribute("text-anchor", "middle");
-        nameText.setAttribute("fill", "#1a237e");
-        nameText.setAttribute("font-family", "Arial");
-        nameText.setAttribute("font-weight", "bold");
-        nameText.setAttribute("font-size", "24");
-        nameText.textContent = "Andi";
-        this.bodyGroup.appendChild(nameText);
-        
-        return g;
+    // Live standings in the score board during a race
+    showRaceStandings() {
+        this.sim.racers.forEach((racer, i) => {
+            this.raceElement.children[i].textContent = this.standingText(racer.player.name, racer);
+        });
     }
-    
-    move(dx) {
-        this.x += dx;
-        // Removed bounds to allow infinite horizontal scrolling with camera follow
-        // if (this.x < 30) this.x = 30;
-        // if (this.x > CONFIG.GAME_WIDTH - 30) this.x = CONFIG.GAME_WIDTH - 30;
-        const targetAngle = dx > 0 ? 15 : -15;
-        this.angle += (targetAngle - this.angle) * 0.1;
+
+    // Live standings in an online race, leader first
+    showOnlineStandings() {
+        const standings = this.online.standings(this.sim);
+        const rows = this.raceElement.children;
+        while (rows.length < standings.length) this.raceElement.appendChild(document.createElement('div')).className = 'race-row';
+        while (rows.length > standings.length) this.raceElement.lastChild.remove();
+        standings.forEach((entry, i) => {
+            rows[i].classList.toggle('you', entry.you);
+            rows[i].textContent = `${i + 1}. ${this.standingText(entry.name, entry)}`;
+        });
     }
-    
-    jump() {
-        if (!this.isJumping) {
-            this.isJumping = true;
-            this.jumpStartTime = performance.now();
-        }
+
+    // One racer in the live standings: how far, lives left, and whether they're done
+    standingText(name, racer) {
+        let text = `${name} ${Math.floor(racer.distance)}m`;
+        if (this.sim.runLives) text += ' ' + '\u2665'.repeat(racer.lives) + '\u2661'.repeat(this.sim.runLives - racer.lives);
+        if (racer.finishTick !== null) text += ' \u{1F3C1}';
+        else if (racer.out) text += ' \u2716';
+        return text;
     }
-    
-    update(deltaTime) {
-        this.frameCount++;
-        if (Math.abs(this.angle) > 0.1) this.angle *= 0.9;
-        if (!this.isJumping) {
-            const bobSpeed = Math.abs(this.angle) > 5 ? 0.3 : 0.15;
-            this.bobOffset = Math.sin(this.frameCount * bobSpeed) * 2;
-            this.bodyGroup.setAttribute("transform", `translate(0, ${this.bobOffset})`);
-        } else {
-            this.bodyGroup.setAttribute("transform", `translate(0, 0)`);
-        }
-        if (this.isJumping) {
-            const now = performance.now();
-            const progress = (now - this.jumpStartTime) / CONFIG.JUMP_DURATION;
-            if (progress >= 1) {
-                this.isJumping = false;
-                this.scale = this.baseScale;
-            } else {
-                const jumpHeight = Math.sin(progress * Math.PI);
-                this.scale = this.baseScale + (jumpHeight * 0.4);
-            }
-        }
-        this.updatePosition();
+
+    // Who won: first across the finish, or whoever got furthest down
+    showRaceResults() {
+        const standings = raceStandings(this.sim.racers);
+        const [first, second] = standings;
+        this.raceResults.querySelector('.race-winner').textContent = this.raceWinner(first, second, first.player.name);
+        const list = this.raceResults.querySelector('.race-standings');
+        list.textContent = '';
+        standings.forEach(racer => {
+            const item = list.appendChild(document.createElement('li'));
+            item.style.color = RACER_COLORS[racer.index];
+            item.textContent = this.resultText(racer.player.name, racer);
+        });
+        document.getElementById('race-restart-btn').disabled = false;
+        this.raceResults.classList.remove('hidden');
     }
-    
-    updatePosition() {
-        this.element.setAttribute("transform", `translate(${this.x}, ${this.y}) scale(${this.scale}) rotate(${this.angle})`);
+
+    // Online race results: what we know while the others are still skiing, then the
+    // server's final standings. Rematches wait for those, they start a race for the whole lobby.
+    showOnlineResults() {
+        const online = this.online;
+        const standings = online.standings(this.sim);
+        let title = 'Waiting for the others...';
+        if (online.results) title = this.raceWinner(standings[0], standings[1], standings[0].name);
+        else if (!online.connected) title = 'Lost the race server';
+        this.raceResults.querySelector('.race-winner').textContent = title;
+        const list = this.raceResults.querySelector('.race-standings');
+        list.textContent = '';
+        standings.forEach(entry => {
+            const item = list.appendChild(document.createElement('li'));
+            item.classList.toggle('you', entry.you);
+            item.textContent = this.resultText(entry.name, entry);
+        });
+        document.getElementById('race-restart-btn').disabled = !online.results || !online.connected;
+        this.raceResults.classList.remove('hidden');
     }
-}
 
-class Obstacle {
-    constructor(x, y, type) {
-        this.x = x;
-        this.y = y;
-        this.type = type;
-        if (type === 'jj-barrier') {
-            this.width = CONFIG.GAME_WIDTH;
-            this.height = 60;
-        } else if (type === 'carousel') {
-            this.width = CONFIG.GAME_WIDTH;
-            this.height = 300;
-        } else if (type === 'tree') {
-            this.width = 60;
-            this.height = 75;
-        } else {
-            this.width = type === 'flag' ? 20 : (type === 'kid' ? 45 : (type === 'ditch' ? 50 : 40));
-            this.height = type === 'flag' ? 30 : (type === 'kid' ? 55 : (type === 'ditch' ? 20 : 30));
-        }
-        if (type === 'jj-barrier') {
-            this.element = document.createElementNS("http://www.w3.org/2000/svg", "g");
-            this.kidOffsetX = 0;
-            this.crackElement = document.createElementNS("http://www.w3.org/2000/svg", "use");
-            this.crackElement.setAttributeNS("http://www.w3.org/1999/xlink", "href", "#ice-crack");
-            this.crackElement.setAttribute("transform", "translate(0, -30) scale(0, 1)");
-            this.element.appendChild(this.crackElement);
-            const kidGroup = document.createElementNS("http://www.w3.org/2000/svg", "g");
-            kidGroup.setAttribute("transform", "translate(0, -30) scale(2.4)"); // Reduced to 2/3 size
-            const kidUse = document.createElementNS("http://www.w3.org/2000/svg", "use");
-            kidUse.setAttributeNS("http://www.w3.org/1999/xlink", "href", "#kid");
-            kidGroup.appendChild(kidUse);
-            this.kidElement = kidGroup;
-            this.element.appendChild(this.kidElement);
-            this.barrierState = 'wait';
-            this.animTimer = 0;
-        } else if (type === 'carousel') {
-            this.element = document.createElementNS("http://www.w3.org/2000/svg", "use");
-            this.element.setAttributeNS("http://www.w3.org/1999/xlink", "href", "#carousel");
-            this.rotation = 0;
-        } else {
-            this.element = document.createElementNS("http://www.w3.org/2000/svg", "use");
-            this.element.setAttributeNS("http://www.w3.org/1999/xlink", "href", `#${type}`);
-            if (type === 'tree') this.element.setAttribute("transform", "scale(1.8)"); // Slightly smaller trees
-        }
-        if (type === 'ditch') {
-            this.scaleX = 0.1;
-            this.animationSpeed = 0.05;
+    // The headline over the standings, margin included when both crossed the line
+    raceWinner(first, second, name) {
+        if (second && raceTied(first, second)) return "It's a tie!";
+        if (second && first.finishTick !== null && second.finishTick !== null) {
+            return `${name} wins by ${((second.finishTick - first.finishTick) / CONFIG.TICK_RATE).toFixed(2)}s!`;
         }
-        this.updatePosition();
+        return `${name} wins!`;
     }
 
-    updateKidPosition() {
-        if (this.type === 'jj-barrier' && this.kidElement) {
-            this.kidElement.setAttribute("transform", `translate(${this.kidOffsetX}, -30) scale(2.4)`);
-        }
+    // One racer in the results: their time, or how far they got and what stopped them
+    resultText(name, racer) {
+        if (racer.finishTick !== null) return `${name}: finished in ${formatRunTime(racer.finishTick)}`;
+        if (!racer.out) return `${name}: ${Math.floor(racer.distance)}m, still skiing`;
+        const cause = DEATH_CAUSE_LABELS[racer.deathCause] || ONLINE_OUT_LABELS[racer.deathCause] || racer.deathCause;
+        return `${name}: ${Math.floor(racer.distance)}m (${cause})`;
     }
-    
-    updatePosition() {
-        if (this.type === 'ditch') {
-            this.element.setAttribute("transform", `translate(${this.x}, ${this.y}) scale(${this.scaleX}, 1)`);
-            this.element.removeAttribute("x"); this.element.removeAttribute("y");
-        } else if (this.type === 'jj-barrier') {
-            this.element.setAttribute("transform", `translate(${this.x}, ${this.y})`);
-        } else if (this.type === 'carousel') {
-            this.element.setAttribute("transform", `translate(${this.x}, ${this.y}) scale(2) rotate(${this.rotation})`);
-        } else if (this.type === 'tree') {
-            this.element.setAttribute("transform", `translate(${this.x}, ${this.y}) scale(1.8)`);
-            this.element.removeAttribute("x"); this.element.removeAttribute("y");
-        } else if (this.type === 'kid') {
-            this.element.setAttribute("transform", `translate(${this.x}, ${this.y}) scale(0.7)`);
-            this.element.removeAttribute("x"); this.element.removeAttribute("y");
-        } else {
-            this.element.setAttribute("x", this.x); this.element.setAttribute("y", this.y);
-        }
+
+    showRunScore() {
+        const sim = this.sim;
+        const total = sim.score.total(sim.distance);
+        const counts = Object.keys(sim.score.events).map(type => `${SCORE_EVENTS[type].label.toLowerCase()} x${sim.score.events[type]}`);
+        document.querySelectorAll('.score-value').forEach(el => el.textContent = total);
+        document.querySelectorAll('.score-details').forEach(el => {
+            el.textContent = counts.length ? `${counts.join(', ')}, best combo ${sim.score.bestCombo}` : '';
+        });
     }
 
-    updateAnimation() {
-        if (this.type === 'carousel') {
-            this.rotation += 2;
-        } else if (this.type === 'ditch' && this.scaleX < 1.5) {
-            this.scaleX += this.animationSpeed; this.updatePosition();
-        } else if (this.type === 'jj-barrier') {
-            if (this.barrierState === 'wait' && this.y < CONFIG.GAME_HEIGHT - 100) {
-                this.barrierState = 'jump'; this.animTimer = 0;
-            } else if (this.barrierState === 'jump') {
-                this.animTimer++;
-                const duration = 40; 
-                if (this.animTimer <= duration) {
-                    const progress = this.animTimer / duration;
-                    const jumpHeight = Math.sin(progress * Math.PI) * 120; // Slightly lower jump
-                    this.kidElement.setAttribute("transform", `translate(${this.kidOffsetX}, ${-30 - jumpHeight}) scale(2.4)`);
-                } else {
-                    this.barrierState = 'crack'; this.animTimer = 0;
-                    this.kidElement.setAttribute("transform", `translate(${this.kidOffsetX}, -30) scale(2.4)`);
-                }
-            } else if (this.barrierState === 'crack') {
-                this.animTimer++;
-                const duration = 10;
-                if (this.animTimer <= duration) {
-                    const scale = this.animTimer / duration;
-                    this.crackElement.setAttribute("transform", `translate(0, -30) scale(${scale}, 1)`);
-                } else {
-                    this.crackElement.setAttribute("transform", `translate(0, -30) scale(1, 1)`);
-                    this.barrierState = 'done';
-                }
-            }
-        }
+    // Lives mode: what we ran into this run
+    showCrashSummary() {
+        const sim = this.sim;
+        const types = Object.keys(sim.crashes);
+        const text = types.length === 0 ? 'No crashes!' :
+            'Crashes: ' + types.map(type => `${DEATH_CAUSE_LABELS[type] || type} x${sim.crashes[type]}`).join(', ');
+        document.querySelectorAll('.crash-summary').forEach(el => {
+            el.textContent = text;
+            el.classList.toggle('hidden', !sim.runLives);
+        });
     }
-}
 
-class ParticleSystem {
-    constructor(svgGroup) {
-        this.group = svgGroup;
-        this.particles = [];
+    showGateSummary() {
+        const { passed, missed, bestStreak, points } = this.sim.gates;
+        const el = this.victoryScreen.querySelector('.gate-summary');
+        el.classList.toggle('hidden', passed + missed === 0);
+        el.textContent = `Gates: ${passed} passed, ${missed} missed (+${missed * CONFIG.GATE_PENALTY}s), ` +
+            `best streak ${bestStreak}, ${points} points`;
     }
 
-    spawnExplosion(x, y, color) {
-        const particleCount = 60; // Increased from 20 to 60 for full screen effect
-        for (let i = 0; i < particleCount; i++) {
-            const particle = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-            const size = 10 + Math.random() * 20; // Bigger particles
-            particle.setAttribute("width", size);
-            particle.setAttribute("height", size);
-            particle.setAttribute("fill", color);
-            
-            // Random direction with higher speed for full screen spread
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 5 + Math.random() * 25; // Much faster
-            
-            this.group.appendChild(particle);
-            
-            this.particles.push({
-                element: particle,
-                x: x,
-                y: y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                life: 1.5, // Longer life
-                decay: 0.01 + Math.random() * 0.01 // Slower decay
-            });
-        }
+    // Editor test runs and runs the assist bot steered for don't go on the leaderboard
+    // or become a ghost
+    isRecordRun() {
+        return this.sim.runStart === 0 && !this.assistedRun;
     }
 
-    update() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const p = this.particles[i];
-            p.x += p.vx;
-            p.y += p.vy;
-            p.life -= p.decay;
-            
-            p.element.setAttribute("transform", `translate(${p.x}, ${p.y}) rotate(${p.life * 360})`);
-            p.element.setAttribute("opacity", p.life);
-            
-            if (p.life <= 0) {
-                p.element.remove();
-                this.particles.splice(i, 1);
-            }
+    // Ask for a name when the run made the leaderboard
+    submitScore(screen, cause) {
+        const sim = this.sim;
+        if (!this.isRecordRun()) return;
+        const board = this.boardFor(sim.course);
+        const entry = {
+            name: '',
+            distance: Math.floor(sim.distance),
+            score: sim.score.total(sim.distance),
+            time: Math.round(sim.runTime() * 100) / 100, // seconds, missed gate penalties included
+            date: new Date().toISOString(),
+            cause: cause,
+            seed: sim.rng.seed,
+            course: sim.course.name
+        };
+        if (sim.course.endless) entry.level = sim.course.levelAt(sim.distance);
+        if (sim.runLives) entry.lives = sim.runLives;
+        if (sim.gates.passed + sim.gates.missed > 0) {
+            entry.gates = sim.gates.passed;
+            entry.gatesMissed = sim.gates.missed;
+        }
+        if (this.leaderboardPanel.leaderboards[board].qualifies(entry)) {
+            this.nameEntry.prompt(entry, screen, board);
         }
-        return this.particles.length > 0;
-    }
-    
-    clear() {
-        this.particles.forEach(p => p.element.remove());
-        this.particles = [];
     }
 }
 
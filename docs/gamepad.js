@@ -0,0 +1,111 @@
+// Gamepad support. Pads are polled once per animation frame while one is plugged in;
+// the left stick steers analog (see encodeSteer), A/B jump and Start pauses.
+// Button numbers follow the "standard" mapping, which most other pads match closely enough.
+// Up to two pads are used, in the order they were plugged in: the second one is player 2's in a race.
+
+const GAMEPAD_BUTTONS = { A: 0, B: 1, START: 9, DPAD_LEFT: 14, DPAD_RIGHT: 15 };
+const GAMEPAD_DEADZONE = 0.2; // stick travel ignored around the center
+const GAMEPAD_PLAYERS = 2;
+
+class GamepadInput {
+    constructor(game) {
+        this.game = game;
+        this.indicator = document.getElementById('gamepad-indicator');
+        this.instructions = document.getElementById('instructions');
+        this.pads = []; // in use, player 1's first: { index (navigator.getGamepads() slot), name, steer, pressed }
+        this.rafId = null;
+
+        if (!navigator.getGamepads) return;
+        window.addEventListener('gamepadconnected', (e) => this.connect(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.disconnect(e.gamepad.index));
+        // Pads that were already plugged in before the page loaded
+        Array.from(navigator.getGamepads()).forEach(pad => {
+            if (pad) this.connect(pad);
+        });
+    }
+
+    // Stick position of a player's pad, -1 (full left) to 1 (full right); 0 without one
+    steer(player = 0) {
+        const pad = this.pads[player];
+        return pad ? pad.steer : 0;
+    }
+
+    connect(pad) {
+        if (this.pads.length >= GAMEPAD_PLAYERS || this.pads.some(p => p.index === pad.index)) return;
+        this.pads.push({
+            index: pad.index,
+            name: pad.mapping === 'standard' ? 'Controller' : pad.id.split('(')[0].trim() || 'Controller',
+            steer: 0, // -1 (full left) to 1 (full right)
+            pressed: {} // button -> held last frame, to act on presses only
+        });
+        this.showIndicator();
+        if (!this.rafId) this.rafId = requestAnimationFrame(() => this.poll());
+    }
+
+    disconnect(index) {
+        this.pads = this.pads.filter(pad => pad.index !== index);
+        // Another pad may still be plugged in
+        const spare = Array.from(navigator.getGamepads()).find(pad =>
+            pad && pad.connected && pad.index !== index && !this.pads.some(p => p.index === pad.index));
+        if (spare) this.connect(spare);
+        if (this.pads.length > 0) {
+            this.showIndicator();
+            return;
+        }
+        cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        this.indicator.classList.add('hidden');
+        this.instructions.classList.remove('gamepad');
+    }
+
+    showIndicator() {
+        const name = this.pads.length > 1 ? `${this.pads.length} controllers` : this.pads[0].name;
+        this.indicator.querySelector('.gamepad-name').textContent = name;
+        this.indicator.classList.remove('hidden');
+        this.instructions.classList.add('gamepad');
+    }
+
+    poll() {
+        this.rafId = requestAnimationFrame(() => this.poll());
+        const pads = navigator.getGamepads();
+        this.pads.forEach((entry, player) => {
+            const pad = pads[entry.index];
+            if (pad) this.pollPad(pad, entry, player);
+        });
+    }
+
+    pollPad(pad, entry, player) {
+        entry.steer = this.readSteer(pad);
+        const justPressed = (button) => {
+            const down = !!(pad.buttons[button] && pad.buttons[button].pressed);
+            const wasDown = entry.pressed[button];
+            entry.pressed[button] = down;
+            return down && !wasDown;
+        };
+        const pressedA = justPressed(GAMEPAD_BUTTONS.A);
+        const pressedB = justPressed(GAMEPAD_BUTTONS.B);
+        const start = justPressed(GAMEPAD_BUTTONS.START);
+
+        const game = this.game;
+        if ((pressedA || pressedB) && game.state === 'PLAYING' && !game.replay) game.queueJump(player);
+        if (start) {
+            if (game.state === 'MENU' && !game.replay && !game.startScreen.classList.contains('hidden')) {
+                game.audio.init();
+                game.startGame();
+            } else {
+                game.togglePause();
+            }
+        }
+    }
+
+    // Stick position past the deadzone, rescaled so it still reaches full strength.
+    // The D-pad steers at full strength.
+    readSteer(pad) {
+        const dpad = (button) => !!(pad.buttons[button] && pad.buttons[button].pressed);
+        if (dpad(GAMEPAD_BUTTONS.DPAD_LEFT)) return -1;
+        if (dpad(GAMEPAD_BUTTONS.DPAD_RIGHT)) return 1;
+        const x = pad.axes[0] || 0;
+        if (Math.abs(x) < GAMEPAD_DEADZONE) return 0;
+        return Math.sign(x) * Math.min(1, (Math.abs(x) - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE));
+    }
+}
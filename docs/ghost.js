@@ -0,0 +1,140 @@
+// Ghost skier: a see-through Player that re-traces a recorded run so you can race it.
+// Ghosts are replays that carry a position track (see InputRecorder.sampleTrack).
+
+const GHOST_STORAGE_KEY = 'andiSkiGo.ghosts';
+const GHOST_MAX_SEEDS = 20; // personal bests kept, oldest dropped first
+
+// Remembers the personal best per seed, the last run and an imported ghost file
+class GhostStore {
+    constructor() {
+        this.mode = 'off'; // off | best | last | file
+        this.bests = {};
+        this.last = null;
+        this.imported = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(GHOST_STORAGE_KEY));
+            if (saved) {
+                this.mode = saved.mode || 'off';
+                this.bests = saved.bests || {};
+                this.last = saved.last || null;
+                this.imported = saved.imported || null;
+            }
+        } catch (e) {
+            console.error("Failed to load ghosts", e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(GHOST_STORAGE_KEY, JSON.stringify({
+                mode: this.mode,
+                bests: this.bests,
+                last: this.last,
+                imported: this.imported
+            }));
+        } catch (e) {
+            console.error("Failed to save ghosts", e);
+        }
+    }
+
+    // Further is better; between two finished runs the quicker one wins
+    static isBetter(run, other) {
+        if (!other) return true;
+        if (run.distance !== other.distance) return run.distance > other.distance;
+        return run.ticks < other.ticks;
+    }
+
+    // Personal bests are per course and seed
+    static key(run) {
+        return `${GhostStore.courseName(run)}/${run.seed}`;
+    }
+
+    static courseName(run) {
+        return run.course ? run.course.name : DEFAULT_COURSE.name;
+    }
+
+    submit(run) {
+        if (!run.track) return;
+        this.last = run;
+        const key = GhostStore.key(run);
+        if (GhostStore.isBetter(run, this.bests[key])) {
+            this.bests[key] = run;
+            const seeds = Object.keys(this.bests);
+            if (seeds.length > GHOST_MAX_SEEDS) {
+                seeds.sort((a, b) => this.bests[a].date.localeCompare(this.bests[b].date));
+                delete this.bests[seeds[0]];
+            }
+        }
+        this.save();
+    }
+
+    overallBest(courseName) {
+        let best = null;
+        Object.values(this.bests).forEach(run => {
+            if (GhostStore.courseName(run) === courseName && GhostStore.isBetter(run, best)) best = run;
+        });
+        return best;
+    }
+
+    // The run to race. With a fixed seed only a ghost from that slope makes sense;
+    // otherwise the ghost's own seed decides the slope.
+    pick(seed, courseName) {
+        let run = null;
+        if (this.mode === 'best') run = seed ? this.bests[`${courseName}/${seed}`] : this.overallBest(courseName);
+        else if (this.mode === 'last') run = this.last;
+        else if (this.mode === 'file') run = this.imported;
+        if (!run || GhostStore.courseName(run) !== courseName) return null;
+        if (seed && run.seed !== seed) return null;
+        return run;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.save();
+    }
+
+    importGhost(run) {
+        if (!run.track || run.track.length === 0) {
+            throw new Error('This replay has no ghost track');
+        }
+        this.imported = run;
+        this.mode = 'file';
+        this.save();
+    }
+}
+
+class Ghost {
+    constructor(run, playerY) {
+        this.run = run;
+        this.track = run.track; // [distance, x, jumping] every CONFIG.GHOST_SAMPLE_TICKS
+        this.baseY = playerY;
+        this.distance = 0;
+        this.player = new Player(this.track[0][1], playerY, 'Ghost'); // drawn see-through, see the renderers
+    }
+
+    // Put the ghost where the recorded run was after the same number of ticks
+    update(tick, playerDistance) {
+        const index = Math.min(Math.floor(tick / CONFIG.GHOST_SAMPLE_TICKS), this.track.length - 1);
+        const next = Math.min(index + 1, this.track.length - 1);
+        const t = index === next ? 0 : (tick % CONFIG.GHOST_SAMPLE_TICKS) / CONFIG.GHOST_SAMPLE_TICKS;
+        const [d0, x0, jumping] = this.track[index];
+        const [d1, x1] = this.track[next];
+
+        this.distance = lerp(d0, d1, t);
+        this.player.prevX = this.player.x;
+        this.player.x = lerp(x0, x1, t);
+        this.player.scale = jumping ? this.player.baseScale + 0.3 : this.player.baseScale;
+        // Ahead of us on the slope means further down the screen
+        this.player.y = this.baseY + (this.distance - playerDistance) / CONFIG.METER_SCALE;
+        this.player.hidden = Math.abs(this.player.y - this.baseY) > CONFIG.GAME_HEIGHT;
+    }
+
+    // Meters we are ahead (+) or behind (-) the ghost
+    gap(playerDistance) {
+        return playerDistance - this.distance;
+    }
+}
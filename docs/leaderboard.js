@@ -0,0 +1,312 @@
+// Local leaderboard kept in localStorage, plus the panel and name prompt that show it.
+
+const LEADERBOARD_STORAGE_KEY = 'andiSkiGo.leaderboard';
+const ENDLESS_LEADERBOARD_STORAGE_KEY = 'andiSkiGo.endlessLeaderboard';
+const SLALOM_LEADERBOARD_STORAGE_KEY = 'andiSkiGo.slalomLeaderboard';
+const LEADERBOARD_SIZE = 20;
+
+const DEATH_CAUSE_LABELS = {
+    finish: 'Finished!',
+    tree: 'Tree',
+    rock: 'Rock',
+    flag: 'Flag',
+    gate: 'Gate',
+    ditch: 'Ditch',
+    poop: 'Poop',
+    kid: 'JJ',
+    'jj-barrier': 'JJ barrier'
+};
+
+class Leaderboard {
+    constructor(storageKey = LEADERBOARD_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.entries = [];
+        this.load();
+    }
+
+    // Further is better; on equal distance the quicker run wins
+    // (slalom times include the missed gate penalties)
+    static compare(a, b) {
+        if (a.distance !== b.distance) return b.distance - a.distance;
+        return a.time - b.time;
+    }
+
+    // Runs are only ranked against runs on the same course (courses loaded by URL have
+    // their own finish distance) with the same lives: respawning is no match for one life
+    static division(entry) {
+        const course = entry.course || DEFAULT_COURSE.name;
+        return entry.lives ? `${course}, ${entry.lives} lives` : course;
+    }
+
+    static isValidEntry(entry) {
+        return entry && typeof entry.name === 'string' &&
+            Number.isFinite(entry.distance) && Number.isFinite(entry.time) &&
+            typeof entry.date === 'string' && typeof entry.seed === 'string';
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(saved)) this.entries = saved.filter(Leaderboard.isValidEntry);
+        } catch (e) {
+            console.error("Failed to load leaderboard", e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (e) {
+            console.error("Failed to save leaderboard", e);
+        }
+    }
+
+    entriesFor(division) {
+        return this.entries.filter(entry => Leaderboard.division(entry) === division);
+    }
+
+    qualifies(entry) {
+        if (entry.distance <= 0) return false;
+        const entries = this.entriesFor(Leaderboard.division(entry));
+        if (entries.length < LEADERBOARD_SIZE) return true;
+        return Leaderboard.compare(entry, entries[entries.length - 1]) < 0;
+    }
+
+    // Returns the 0-based rank of the new entry among its division, or -1 if it didn't make the list
+    add(entry) {
+        this.entries.push(entry);
+        this.trim();
+        this.save();
+        return this.entriesFor(Leaderboard.division(entry)).indexOf(entry);
+    }
+
+    // Best first, and no more than LEADERBOARD_SIZE runs in each division
+    trim() {
+        const counts = {};
+        this.entries = this.entries.sort(Leaderboard.compare).filter(entry => {
+            const division = Leaderboard.division(entry);
+            counts[division] = (counts[division] || 0) + 1;
+            return counts[division] <= LEADERBOARD_SIZE;
+        });
+    }
+
+    clear(division) {
+        this.entries = this.entries.filter(entry => Leaderboard.division(entry) !== division);
+        this.save();
+    }
+
+    toJSON() {
+        return JSON.stringify({ format: 'andi-ski-go-leaderboard', version: 1, entries: this.entries }, null, 2);
+    }
+
+    // Merge entries from an exported file, skipping exact duplicates
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Leaderboard file is not valid JSON');
+        }
+        if (!data || data.format !== 'andi-ski-go-leaderboard' || !Array.isArray(data.entries)) {
+            throw new Error('Not an Andi Ski Go leaderboard file');
+        }
+        const key = (e) => `${e.name}|${e.distance}|${e.time}|${e.date}|${e.seed}`;
+        const known = new Set(this.entries.map(key));
+        const incoming = data.entries.filter(e => Leaderboard.isValidEntry(e) && !known.has(key(e)));
+        this.entries = this.entries.concat(incoming);
+        this.trim();
+        this.save();
+        return incoming.length;
+    }
+}
+
+// Shows one board at a time; the tabs switch between course, endless and slalom runs
+class LeaderboardPanel {
+    constructor(leaderboards) {
+        this.leaderboards = leaderboards; // { course, endless, slalom }
+        this.board = 'course';
+        this.courseName = DEFAULT_COURSE.name; // the course tab shows the runs on this one
+        this.lives = false; // lives mode runs instead of one-life runs
+        this.panel = document.getElementById('leaderboard-panel');
+        this.tableBody = this.panel.querySelector('tbody');
+        this.status = document.getElementById('leaderboard-status');
+        this.fileInput = document.getElementById('leaderboard-file');
+        this.returnScreen = null;
+        this.tabs = this.panel.querySelectorAll('[data-board]');
+        this.divisionLabel = document.getElementById('leaderboard-division');
+        this.livesToggle = document.getElementById('leaderboard-lives');
+
+        this.tabs.forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.board = tab.dataset.board;
+                this.status.textContent = '';
+                this.render();
+            });
+        });
+        this.livesToggle.addEventListener('click', (e) => e.stopPropagation());
+        this.livesToggle.addEventListener('change', () => {
+            this.lives = this.livesToggle.checked;
+            this.status.textContent = '';
+            this.render();
+        });
+        document.querySelectorAll('.leaderboard-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.open(btn.closest('#start-screen, #game-over, #victory'));
+            });
+        });
+        this.bind('leaderboard-close-btn', () => this.close());
+        this.bind('leaderboard-export-btn', () => this.exportFile());
+        this.bind('leaderboard-import-btn', () => this.fileInput.click());
+        this.bind('leaderboard-clear-btn', () => {
+            if (window.confirm(`Clear all ${this.division()} runs?`)) {
+                this.leaderboard().clear(this.division());
+                this.render();
+            }
+        });
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (!file) return;
+            try {
+                const added = this.leaderboard().importJSON(await file.text());
+                this.render();
+                this.status.textContent = `Imported ${added} ${added === 1 ? 'entry' : 'entries'}`;
+            } catch (err) {
+                this.status.textContent = err.message;
+            }
+        });
+    }
+
+    leaderboard() {
+        return this.leaderboards[this.board];
+    }
+
+    // Which of the board's runs are shown, see Leaderboard.division
+    division() {
+        const courses = { course: this.courseName, endless: ENDLESS_COURSE.name, slalom: SLALOM_COURSE.name };
+        return Leaderboard.division({ course: courses[this.board], lives: this.lives ? CONFIG.LIVES : 0 });
+    }
+
+    bind(id, handler) {
+        document.getElementById(id).addEventListener('click', (e) => {
+            e.stopPropagation();
+            handler();
+        });
+    }
+
+    open(returnScreen, highlightIndex = -1, board = this.board, lives = this.lives) {
+        this.returnScreen = returnScreen;
+        this.board = board;
+        this.lives = lives;
+        if (returnScreen) returnScreen.classList.add('hidden');
+        this.status.textContent = '';
+        this.render(highlightIndex);
+        this.panel.classList.remove('hidden');
+    }
+
+    close() {
+        this.panel.classList.add('hidden');
+        if (this.returnScreen) this.returnScreen.classList.remove('hidden');
+    }
+
+    render(highlightIndex = -1) {
+        this.tabs.forEach(tab => tab.classList.toggle('active', tab.dataset.board === this.board));
+        this.livesToggle.checked = this.lives;
+        const entries = this.leaderboard().entriesFor(this.division());
+        this.divisionLabel.textContent = this.division();
+        this.tableBody.innerHTML = '';
+        if (entries.length === 0) {
+            const row = this.tableBody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 9;
+            cell.className = 'empty';
+            cell.textContent = 'No runs yet. Go ski!';
+            return;
+        }
+        entries.forEach((entry, i) => {
+            const row = this.tableBody.insertRow();
+            if (i === highlightIndex) row.className = 'highlight';
+            [
+                i + 1,
+                entry.name,
+                `${entry.distance}m`,
+                Number.isFinite(entry.score) ? entry.score : '-',
+                formatRunTime(Math.round(entry.time * CONFIG.TICK_RATE)),
+                DEATH_CAUSE_LABELS[entry.cause] || entry.cause || '-',
+                LeaderboardPanel.courseLabel(entry),
+                entry.seed,
+                new Date(entry.date).toLocaleDateString()
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+    }
+
+    static courseLabel(entry) {
+        const extras = [];
+        if (entry.level) extras.push(`level ${entry.level}`);
+        if (entry.lives) extras.push(`${entry.lives} lives`);
+        if (entry.gates !== undefined) extras.push(`${entry.gates}/${entry.gates + entry.gatesMissed} gates`);
+        const name = entry.course || DEFAULT_COURSE.name;
+        return extras.length ? `${name} (${extras.join(', ')})` : name;
+    }
+
+    exportFile() {
+        const blob = new Blob([this.leaderboard().toJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.board === 'course' ? 'andi-ski-leaderboard.json' : `andi-ski-${this.board}-leaderboard.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// "New high score!" prompt asking for the name to put on the board
+class NameEntry {
+    constructor(panel, settings) {
+        this.panel = panel;
+        this.settings = settings;
+        this.leaderboard = null;
+        this.board = null;
+        this.form = document.getElementById('name-entry');
+        this.input = document.getElementById('name-input');
+        this.rankLabel = document.getElementById('name-entry-rank');
+        this.entry = null;
+        this.returnScreen = null;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        // Typing a name must not steer or jump
+        this.input.addEventListener('keydown', (e) => e.stopPropagation());
+    }
+
+    prompt(entry, returnScreen, board) {
+        this.board = board;
+        this.leaderboard = this.panel.leaderboards[board];
+        this.entry = entry;
+        this.returnScreen = returnScreen;
+        returnScreen.classList.add('hidden');
+        const entries = this.leaderboard.entriesFor(Leaderboard.division(entry));
+        const rank = entries.filter(e => Leaderboard.compare(e, entry) <= 0).length + 1;
+        this.rankLabel.textContent = `#${rank}`;
+        this.input.value = this.settings.playerName;
+        this.form.classList.remove('hidden');
+        this.input.focus();
+    }
+
+    save() {
+        const name = this.input.value.trim().slice(0, 16) || 'Andi';
+        this.settings.set('playerName', name);
+        this.entry.name = name;
+        const index = this.leaderboard.add(this.entry);
+        this.form.classList.add('hidden');
+        this.panel.open(this.returnScreen, index, this.board, !!this.entry.lives);
+    }
+}
@@ -0,0 +1,81 @@
+// Mixing desk for the Web Audio graph. Every sound goes into one of the buses,
+// the buses into master, and master through a limiter to the speakers:
+//
+//   music ──> duck ──┐
+//   sfx ─────────────┼──> master ──> limiter ──> destination
+//   ambience ────────┘
+//
+// Bus volumes are 0..1 and come from the settings; mute only touches master,
+// so unmuting brings back exactly what was there.
+
+const MIXER_BUSES = ['master', 'music', 'sfx', 'ambience'];
+const MIXER_DEFAULTS = { master: 0.8, music: 1, sfx: 1, ambience: 1 };
+const DUCKING = {
+    level: 0.3, // music gain while a voice clip plays
+    attack: 0.05, // seconds to get down there
+    release: 0.4 // seconds to come back after the clip
+};
+
+class Mixer {
+    constructor(ctx, volumes, muted = false) {
+        this.ctx = ctx;
+        this.volumes = Object.assign({}, MIXER_DEFAULTS, volumes);
+        this.muted = muted;
+        this.duckUntil = 0; // ctx time the current ducking ends
+
+        // Brick-wall-ish limiter, the voice clips are mixed hot
+        this.limiter = ctx.createDynamicsCompressor();
+        this.limiter.threshold.value = -3;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.003;
+        this.limiter.release.value = 0.25;
+        this.limiter.connect(ctx.destination);
+
+        this.buses = {};
+        MIXER_BUSES.forEach(name => {
+            this.buses[name] = ctx.createGain();
+        });
+        this.buses.master.connect(this.limiter);
+        this.duckGain = ctx.createGain();
+        this.buses.music.connect(this.duckGain);
+        this.duckGain.connect(this.buses.master);
+        this.buses.sfx.connect(this.buses.master);
+        this.buses.ambience.connect(this.buses.master);
+
+        MIXER_BUSES.forEach(name => this.applyVolume(name));
+    }
+
+    // Where sources connect to
+    input(bus) {
+        return this.buses[bus];
+    }
+
+    setVolume(bus, value) {
+        this.volumes[bus] = Math.max(0, Math.min(1, value));
+        this.applyVolume(bus);
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume('master');
+    }
+
+    applyVolume(bus) {
+        const value = bus === 'master' && this.muted ? 0 : this.volumes[bus];
+        // Short ramp so slider drags don't click
+        this.buses[bus].gain.setTargetAtTime(value, this.ctx.currentTime, 0.02);
+    }
+
+    // Pull the music down for `duration` seconds, e.g. under a voice clip.
+    // Overlapping clips extend the dip instead of stacking it.
+    duck(duration) {
+        const gain = this.duckGain.gain;
+        const now = this.ctx.currentTime;
+        const until = Math.max(this.duckUntil, now + duration);
+        gain.cancelScheduledValues(now);
+        gain.setTargetAtTime(DUCKING.level, now, DUCKING.attack / 3);
+        gain.setTargetAtTime(1, until, DUCKING.release / 3);
+        this.duckUntil = until;
+    }
+}
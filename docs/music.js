@@ -0,0 +1,196 @@
+// Background music. Patterns are sequenced on AudioContext time with a small lookahead:
+// a timer wakes up every MUSIC_TIMER_MS and schedules whatever sixteenth notes fall into
+// the next MUSIC_LOOKAHEAD seconds, so the beat stays tight even when the timer is late.
+
+const MUSIC_STEPS = 16; // sixteenth notes per bar
+const MUSIC_LOOKAHEAD = 0.1; // seconds scheduled ahead
+const MUSIC_TIMER_MS = 25;
+const MUSIC_TEMPO = {
+    base: 120, // bpm at CONFIG.INITIAL_SCROLL_SPEED
+    max: 160, // at CONFIG.MAX_SPEED
+    min: 90 // slow-mo can drop below the initial speed
+};
+
+// Notes are MIDI numbers (69 = A4), null rests. Drums: k kick, s snare, h hat, . rest.
+// Tracks may be longer than a bar, each one loops on its own length.
+const MUSIC_PATTERNS = {
+    normal: {
+        // A2 A2 D3 C3, the loop the game always had
+        bass: [45, null, null, null, 45, null, null, null, 50, null, null, null, 48, null, null, null],
+        lead: [
+            69, null, 73, null, 76, null, 73, 76, 78, null, 76, null, 73, null, 71, null,
+            69, null, 73, null, 76, null, 81, null, 78, null, 76, null, 74, null, 73, null
+        ],
+        drums: 'k.h.s.h.k.khs.h.'
+    },
+    // Reverse zone: same roots in A minor, darker and busier
+    reverse: {
+        bass: [45, null, 45, null, 45, null, 45, null, 41, null, 41, null, 43, null, 43, null],
+        lead: [
+            81, null, 79, 76, null, 72, null, 76, 74, null, 72, null, 71, null, 72, null,
+            69, null, 72, 76, null, 79, null, 76, 77, null, 76, null, 71, null, 68, null
+        ],
+        drums: 'k.hhs.hhk.khs.hs'
+    }
+};
+
+// One-shot phrases over the music: [midi note, start beat, length in beats]
+const MUSIC_STINGERS = {
+    barrier: { wave: 'square', bpm: 200, gain: 0.12, notes: [[69, 0, 0.5], [63, 0.5, 0.5], [69, 1, 0.5], [63, 1.5, 1]] },
+    victory: { wave: 'square', bpm: 180, gain: 0.12, notes: [[69, 0, 0.5], [73, 0.5, 0.5], [76, 1, 0.5], [81, 1.5, 2.5], [57, 1.5, 2.5]] },
+    crash: { wave: 'sawtooth', bpm: 160, gain: 0.1, notes: [[64, 0, 0.5], [60, 0.5, 0.5], [55, 1, 0.5], [48, 1.5, 2]] }
+};
+
+const midiToFrequency = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+class MusicEngine {
+    constructor(ctx, output, noiseBuffer) {
+        this.ctx = ctx;
+        this.output = output;
+        this.noiseBuffer = noiseBuffer;
+        this.timer = null;
+        this.step = 0; // sixteenths since the current variation started
+        this.nextStepTime = 0;
+        this.bpm = MUSIC_TEMPO.base;
+        this.variation = 'normal';
+        this.pendingVariation = null; // switched to on the next bar line
+        this.voices = new Set(); // scheduled sources, cut off by stop()
+    }
+
+    start() {
+        if (this.timer) return;
+        this.step = 0;
+        this.variation = 'normal';
+        this.pendingVariation = null;
+        this.nextStepTime = this.ctx.currentTime + 0.05;
+        this.resume();
+    }
+
+    stop() {
+        this.pause();
+        this.voices.forEach(voice => {
+            try {
+                voice.stop();
+            } catch (e) {}
+        });
+        this.voices.clear();
+    }
+
+    // The context is suspended while paused, so its clock (and nextStepTime) just waits
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    resume() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.schedule(), MUSIC_TIMER_MS);
+        this.schedule();
+    }
+
+    // Faster skiing, faster music
+    setTempo(scrollSpeed) {
+        const t = (scrollSpeed - CONFIG.INITIAL_SCROLL_SPEED) / (CONFIG.MAX_SPEED - CONFIG.INITIAL_SCROLL_SPEED);
+        const bpm = MUSIC_TEMPO.base + t * (MUSIC_TEMPO.max - MUSIC_TEMPO.base);
+        this.bpm = Math.max(MUSIC_TEMPO.min, Math.min(MUSIC_TEMPO.max, bpm));
+    }
+
+    setVariation(name) {
+        this.pendingVariation = name === this.variation ? null : name;
+    }
+
+    schedule() {
+        const now = this.ctx.currentTime;
+        // Timer starved (background tab): skip ahead instead of playing the backlog at once
+        if (this.nextStepTime < now - MUSIC_LOOKAHEAD) this.nextStepTime = now;
+        while (this.nextStepTime < now + MUSIC_LOOKAHEAD) {
+            if (this.step % MUSIC_STEPS === 0 && this.pendingVariation) {
+                this.variation = this.pendingVariation;
+                this.pendingVariation = null;
+                this.step = 0;
+            }
+            this.playStep(MUSIC_PATTERNS[this.variation], this.step, this.nextStepTime);
+            this.nextStepTime += this.stepLength();
+            this.step++;
+        }
+    }
+
+    stepLength() {
+        return 60 / this.bpm / 4;
+    }
+
+    playStep(pattern, step, time) {
+        const length = this.stepLength();
+        const bass = pattern.bass[step % pattern.bass.length];
+        if (bass) this.tone('triangle', bass, time, length * 3.5, 0.25);
+        const lead = pattern.lead[step % pattern.lead.length];
+        if (lead) this.tone('square', lead, time, length * 1.5, 0.05);
+        const drum = pattern.drums[step % pattern.drums.length];
+        if (drum === 'k') this.kick(time);
+        else if (drum === 's') this.noise(time, 1200, 0.12, 0.18);
+        else if (drum === 'h') this.noise(time, 7000, 0.04, 0.06);
+    }
+
+    // Plays on the audio thread at `time`, fading out over `duration`
+    tone(wave, note, time, duration, volume, track = true) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = wave;
+        osc.frequency.value = midiToFrequency(note);
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        osc.connect(gain);
+        gain.connect(this.output);
+        osc.start(time);
+        osc.stop(time + duration);
+        if (track) this.track(osc);
+    }
+
+    kick(time) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.frequency.setValueAtTime(150, time);
+        osc.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+        gain.gain.setValueAtTime(0.5, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
+        osc.connect(gain);
+        gain.connect(this.output);
+        osc.start(time);
+        osc.stop(time + 0.15);
+        this.track(osc);
+    }
+
+    // Snare and hi-hat: the ski noise buffer through a high-pass filter
+    noise(time, cutoff, duration, volume) {
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = cutoff;
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.output);
+        // Random offset so consecutive hits don't sound identical (cosmetic, not the game's rng)
+        source.start(time, Math.random() * (this.noiseBuffer.duration - duration));
+        source.stop(time + duration);
+        this.track(source);
+    }
+
+    track(source) {
+        this.voices.add(source);
+        source.onended = () => this.voices.delete(source);
+    }
+
+    // Stingers outlive stop(), they usually play right as a run ends
+    stinger(kind) {
+        const stinger = MUSIC_STINGERS[kind];
+        const beat = 60 / stinger.bpm;
+        const start = this.ctx.currentTime + 0.02;
+        stinger.notes.forEach(([note, at, length]) => {
+            this.tone(stinger.wave, note, start + at * beat, length * beat, stinger.gain, false);
+        });
+    }
+}
@@ -0,0 +1,334 @@
+// Online races against other people, through the race server (server/race-server.mjs).
+// Everyone in a lobby skis the same seed of Andi's Slope at the same time. Each client runs its
+// own simulation and sends where its skier is; the others show up on our slope as name-tagged
+// skiers, drawn a moment in the past so there's always a next position for them to glide to.
+
+const ONLINE_DEFAULT_SERVER = 'ws://localhost:8080';
+const ONLINE_LOBBY_STORAGE_KEY = 'andiSkiGo.onlineLobby';
+const ONLINE_SEND_TICKS = 6; // how often our position goes out, 10 times a second
+const ONLINE_DELAY_TICKS = 12; // remote skiers are shown this far behind the latest we heard
+const ONLINE_OUT_LABELS = { left: 'Left', quit: 'Quit', timeout: 'Lost connection' };
+
+// Where the race server is: index.html?server=ws://host:port, or wherever the game came from
+function onlineServerUrl() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('server')) return params.get('server');
+    if (location.protocol === 'https:') return `wss://${location.host}`;
+    if (location.protocol === 'http:') return `ws://${location.host}`;
+    return ONLINE_DEFAULT_SERVER;
+}
+
+// Someone else in the race, moved along by the positions they send
+class RemoteSkier {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        this.track = []; // [tick, distance, x, jumping] as they came in, oldest first
+        this.distance = 0; // the latest we heard, for the standings
+        this.lives = 0;
+        this.finishTick = null;
+        this.out = false;
+        this.deathCause = null;
+        this.blinkTicks = 0; // after a crash
+        this.player = new Player(CONFIG.GAME_WIDTH / 2, CONFIG.PLAYER_Y, name);
+        this.player.hidden = true; // until we hear where they are
+    }
+
+    addPosition(tick, distance, x, jumping) {
+        const last = this.track[this.track.length - 1];
+        if (last && tick <= last[0]) return;
+        this.track.push([tick, distance, x, jumping]);
+        this.distance = Math.max(this.distance, distance);
+    }
+
+    // Put them where they were ONLINE_DELAY_TICKS ago, between the two positions around then
+    update(tick, playerDistance) {
+        if (this.blinkTicks > 0) this.blinkTicks--;
+        const at = tick - ONLINE_DELAY_TICKS;
+        const track = this.track;
+        while (track.length > 2 && track[1][0] <= at) track.shift();
+        if (track.length === 0) return;
+        const [t0, d0, x0, jumping] = track[0];
+        const [t1, d1, x1] = track[track.length > 1 ? 1 : 0];
+        const t = t1 > t0 ? Math.max(0, Math.min(1, (at - t0) / (t1 - t0))) : 0;
+
+        const player = this.player;
+        const appearing = player.hidden;
+        player.prevX = player.x;
+        player.prevY = player.y;
+        player.x = lerp(x0, x1, t);
+        player.scale = jumping ? player.baseScale + 0.3 : player.baseScale;
+        // Ahead of us on the slope means further down the screen
+        player.y = CONFIG.PLAYER_Y + (lerp(d0, d1, t) - playerDistance) / CONFIG.METER_SCALE;
+        player.hidden = this.out || Math.abs(player.y - CONFIG.PLAYER_Y) > CONFIG.GAME_HEIGHT;
+        if (appearing) {
+            player.prevX = player.x;
+            player.prevY = player.y;
+        }
+    }
+}
+
+// The lobby panel on the start screen, the connection, and the race as the others ski it
+class OnlineRace {
+    constructor(game) {
+        this.game = game;
+        this.course = new Course(DEFAULT_COURSE); // the server checks speeds against this one
+        this.url = onlineServerUrl();
+        this.socket = null;
+        this.connected = false;
+        this.id = null; // ours, handed out by the server
+        this.lobby = null;
+        this.members = []; // { id, name } of everyone in the lobby
+        this.lobbyRacing = false; // a race is on in the lobby
+        this.remotes = new Map(); // id -> RemoteSkier, everyone else in the current race
+        this.tick = 0; // ticks since the start, what remote positions are timed by
+        this.sentLives = 0;
+        this.ended = false; // we've finished or crashed out and told the others
+        this.results = null; // final standings from the server, once everyone is done
+        this.countdownTimer = null;
+
+        this.lobbyInput = document.getElementById('online-lobby');
+        this.joinBtn = document.getElementById('online-join-btn');
+        this.startBtn = document.getElementById('online-start-btn');
+        this.status = document.getElementById('online-status');
+        this.countdown = document.getElementById('resume-countdown'); // the same 3-2-1 as after a pause
+        this.setupControls();
+    }
+
+    setupControls() {
+        this.lobbyInput.value = localStorage.getItem(ONLINE_LOBBY_STORAGE_KEY) || '';
+        // Typing a lobby name must not steer or jump
+        this.lobbyInput.addEventListener('keydown', (e) => e.stopPropagation());
+        this.joinBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.socket) this.disconnect();
+            else this.connect(this.lobbyInput.value);
+        });
+        this.startBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.requestStart();
+        });
+        this.render();
+    }
+
+    connect(lobbyName) {
+        const lobby = lobbyName.trim().toUpperCase();
+        if (!lobby) {
+            this.status.textContent = 'Pick a lobby name, everyone in it races together';
+            return;
+        }
+        localStorage.setItem(ONLINE_LOBBY_STORAGE_KEY, lobby);
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (e) {
+            this.status.textContent = `Bad race server address ${this.url}`;
+            return;
+        }
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.connected = true;
+            this.send({ type: 'join', lobby: lobby, name: this.game.settings.playerName });
+        });
+        socket.addEventListener('message', (e) => {
+            try {
+                this.handle(JSON.parse(e.data));
+            } catch (err) {
+                console.error("Bad message from the race server", e.data, err);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return; // we hung up ourselves
+            const wasConnected = this.connected;
+            this.reset();
+            this.status.textContent = wasConnected ? 'Lost the connection to the race server' :
+                `Couldn't reach the race server at ${this.url}`;
+            if (this.game.onlineRun && !this.game.isRunning()) this.game.showOnlineResults();
+        });
+        this.status.textContent = `Connecting to ${this.url}...`;
+        this.render();
+    }
+
+    disconnect() {
+        const socket = this.socket;
+        this.reset();
+        socket.close();
+        this.status.textContent = '';
+    }
+
+    reset() {
+        this.socket = null;
+        this.connected = false;
+        this.id = null;
+        this.lobby = null;
+        this.members = [];
+        this.lobbyRacing = false;
+        this.render();
+    }
+
+    send(message) {
+        if (this.connected) this.socket.send(JSON.stringify(message));
+    }
+
+    requestStart() {
+        this.send({ type: 'start', lives: this.game.livesMode });
+    }
+
+    handle(message) {
+        const remote = this.remotes.get(message.id);
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                this.lobby = message.lobby;
+                break;
+            case 'lobby':
+                this.members = message.players;
+                this.lobbyRacing = message.racing;
+                this.render();
+                break;
+            case 'error':
+                this.status.textContent = message.message;
+                break;
+            case 'rejected':
+                this.status.textContent = message.reason;
+                break;
+            case 'countdown':
+                this.startCountdown(message);
+                break;
+            case 'state':
+                if (remote) remote.addPosition(message.tick, message.distance, message.x, message.jumping);
+                break;
+            case 'crash':
+                if (!remote) break;
+                remote.lives = message.lives;
+                remote.blinkTicks = CONFIG.TUMBLE_TICKS;
+                if (this.game.isRunning() && !remote.player.hidden) this.game.playEffect('crash', remote.player.x);
+                break;
+            case 'finish':
+                if (!remote) break;
+                remote.finishTick = message.tick;
+                remote.distance = this.course.finishDistance;
+                break;
+            case 'out':
+                if (!remote) break;
+                remote.out = true;
+                remote.deathCause = message.cause;
+                remote.distance = Math.max(remote.distance, message.distance);
+                break;
+            case 'results':
+                this.results = message.standings;
+                break;
+        }
+        // Our run is over and the results are up: keep them current
+        if (['finish', 'out', 'results'].includes(message.type) && this.game.onlineRun && !this.game.isRunning()) {
+            this.game.showOnlineResults();
+        }
+    }
+
+    // Everyone in the lobby got the same seed; 3-2-1 and go
+    startCountdown(message) {
+        this.remotes = new Map();
+        message.racers.forEach(racer => {
+            if (racer.id !== this.id) this.remotes.set(racer.id, new RemoteSkier(racer.id, racer.name));
+        });
+        const lives = message.lives ? CONFIG.LIVES : 0;
+        this.remotes.forEach(remote => remote.lives = lives);
+        this.tick = 0;
+        this.sentLives = lives;
+        this.ended = false;
+        this.results = null;
+        this.game.prepareOnlineRace(message.seed, lives);
+
+        const startAt = performance.now() + message.startsIn;
+        const count = () => {
+            const left = startAt - performance.now();
+            if (left > 0) {
+                this.countdown.textContent = Math.ceil(left / 1000);
+                return;
+            }
+            this.stopCountdown();
+            this.game.beginOnlineRun();
+        };
+        this.stopCountdown();
+        count();
+        this.countdown.classList.remove('hidden');
+        this.countdownTimer = setInterval(count, 100);
+    }
+
+    stopCountdown() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        this.countdown.classList.add('hidden');
+    }
+
+    // Once per tick of our run: move the others along and tell them how we're doing
+    update(sim) {
+        this.tick++;
+        this.remotes.forEach(remote => remote.update(this.tick, sim.distance));
+        if (this.ended) return;
+        if (sim.state === 'VICTORY') {
+            this.end({ type: 'finish', tick: sim.runTick });
+            return;
+        }
+        if (sim.state !== 'PLAYING') {
+            this.end({ type: 'out', cause: sim.deathCause, distance: sim.distance });
+            return;
+        }
+        if (sim.lives < this.sentLives) this.send({ type: 'crash', lives: sim.lives });
+        this.sentLives = sim.lives;
+        if (this.tick % ONLINE_SEND_TICKS === 0) {
+            this.send({
+                type: 'state',
+                tick: this.tick,
+                distance: Math.round(sim.distance * 10) / 10,
+                x: Math.round(sim.player.x),
+                jumping: sim.player.isJumping ? 1 : 0
+            });
+        }
+    }
+
+    end(message) {
+        this.ended = true;
+        this.send(message);
+    }
+
+    // Back to the menu part way through: we're out
+    quit(sim) {
+        this.stopCountdown();
+        if (!this.ended) this.end({ type: 'out', cause: 'quit', distance: sim.distance });
+        this.remotes = new Map();
+    }
+
+    remoteSkiers() {
+        return [...this.remotes.values()];
+    }
+
+    // Everyone in the race, leader first: the server's final word once it's in,
+    // until then what we've heard so far
+    standings(sim) {
+        if (this.results) {
+            return this.results.map(entry => Object.assign({ you: entry.id === this.id }, entry));
+        }
+        const me = {
+            name: this.game.settings.playerName,
+            distance: sim.distance,
+            lives: sim.lives,
+            finishTick: sim.state === 'VICTORY' ? sim.runTick : null,
+            out: sim.state === 'EXPLODING' || sim.state === 'GAMEOVER',
+            deathCause: sim.deathCause,
+            you: true
+        };
+        return raceStandings(this.remoteSkiers().concat([me]));
+    }
+
+    // The lobby panel: join/leave, who's in and the start button
+    render() {
+        this.joinBtn.textContent = this.socket ? 'Leave' : 'Join';
+        this.lobbyInput.disabled = !!this.socket;
+        this.startBtn.classList.toggle('hidden', !this.lobby || this.lobbyRacing);
+        if (!this.lobby) return;
+        const names = this.members.map(member => member.id === this.id ? `${member.name} (you)` : member.name);
+        this.status.textContent = `Lobby ${this.lobby}: ${names.join(', ')}` +
+            (this.lobbyRacing ? ' (racing)' : '');
+    }
+}
@@ -0,0 +1,57 @@
+// Frame-time budget meter, shown with ?perf in the URL. "work" is the time spent in
+// update + render each frame, "gap" the time between frames; a GC pause or other hitch
+// shows up as a spike in either.
+
+const FRAME_BUDGET_MS = 1000 / 60;
+const FRAME_STATS_WINDOW = 120; // frames the numbers are taken over
+
+class FrameStats {
+    constructor(element, enabled) {
+        this.element = element;
+        this.enabled = enabled;
+        this.work = new Float64Array(FRAME_STATS_WINDOW);
+        this.gaps = new Float64Array(FRAME_STATS_WINDOW);
+        this.frames = 0;
+        this.overBudget = 0; // frames whose work alone didn't fit in FRAME_BUDGET_MS
+        this.start = 0;
+        this.element.classList.toggle('hidden', !enabled);
+    }
+
+    begin() {
+        if (this.enabled) this.start = performance.now();
+    }
+
+    // gap: ms since the previous frame; details: extra text for the overlay
+    end(gap, details = '') {
+        if (!this.enabled) return;
+        const ms = performance.now() - this.start;
+        const slot = this.frames % FRAME_STATS_WINDOW;
+        this.work[slot] = ms;
+        this.gaps[slot] = gap;
+        this.frames++;
+        if (ms > FRAME_BUDGET_MS) this.overBudget++;
+        if (this.frames % 30 === 0) this.show(details);
+    }
+
+    summary() {
+        const n = Math.min(this.frames, FRAME_STATS_WINDOW);
+        let total = 0;
+        let max = 0;
+        let maxGap = 0;
+        for (let i = 0; i < n; i++) {
+            total += this.work[i];
+            max = Math.max(max, this.work[i]);
+            maxGap = Math.max(maxGap, this.gaps[i]);
+        }
+        const avg = n ? total / n : 0;
+        return { avg: avg, max: max, maxGap: maxGap, budget: avg / FRAME_BUDGET_MS, overBudget: this.overBudget };
+    }
+
+    show(details) {
+        const s = this.summary();
+        this.element.textContent = `work ${s.avg.toFixed(1)}ms avg / ${s.max.toFixed(1)}ms max ` +
+            `(${Math.round(s.budget * 100)}% of ${FRAME_BUDGET_MS.toFixed(1)}ms), ` +
+            `longest gap ${s.maxGap.toFixed(0)}ms, ${s.overBudget} over budget` +
+            (details ? `\n${details}` : '');
+    }
+}
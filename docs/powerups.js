@@ -0,0 +1,26 @@
+// The power-up icons in the HUD. The power-ups themselves are in core/powerups.js.
+
+// The icons in #powerup-hud, each with a ring that empties as time runs out
+class PowerUpHud {
+    constructor() {
+        this.icons = {};
+        document.querySelectorAll('#powerup-hud [data-powerup]').forEach(icon => {
+            const ring = icon.querySelector('.ring');
+            this.icons[icon.dataset.powerup] = {
+                element: icon,
+                ring: ring,
+                circumference: 2 * Math.PI * parseFloat(ring.getAttribute("r"))
+            };
+        });
+    }
+
+    update(powerUps) {
+        Object.keys(this.icons).forEach(kind => {
+            const icon = this.icons[kind];
+            const left = powerUps.remaining(kind);
+            icon.element.classList.toggle('hidden', left === 0);
+            icon.ring.setAttribute("stroke-dasharray", icon.circumference);
+            icon.ring.setAttribute("stroke-dashoffset", icon.circumference * (1 - left));
+        });
+    }
+}
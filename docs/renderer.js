@@ -0,0 +1,74 @@
+// Drawing is kept apart from the simulation. game.sim (core/simulation.js) only holds state;
+// a renderer turns that state into a picture once per frame and never changes it.
+// Renderers can be swapped at any time.
+//
+// A renderer has
+//   mount()                    show its drawing surface
+//   unmount()                  hide it again, another renderer takes over
+//   render(game, alpha, view)  draw the slope `alpha` of the way from the previous tick to the
+//                              current one; view: { x, y } world offset (camera and shake),
+//                              { background } the parallax offset of the snow patches
+
+const RENDERERS = {
+    svg: { label: 'SVG', create: () => new SvgRenderer(document.getElementById('game-svg')) },
+    canvas: {
+        label: 'Canvas',
+        create: () => new CanvasRenderer(document.getElementById('game-canvas'), document.getElementById('game-svg'))
+    }
+};
+
+// The skier is drawn from plain rects in Player coordinates: [x, y, width, height, fill, corner radius]
+const SKIER_SHADOW = [-18, 12, 36, 8, 'rgba(0,0,0,0.2)'];
+const SKIER_SKIS = [
+    [-18, 0, 10, 45, '#fff'],
+    [-18, 35, 10, 10, '#4caf50'],
+    [8, 0, 10, 45, '#fff'],
+    [8, 35, 10, 10, '#4caf50']
+];
+// Bobs up and down with Player.bobOffset, the name tag too
+const SKIER_BODY = [
+    [-14, -15, 10, 25, '#1a237e'], // legs
+    [4, -15, 10, 25, '#1a237e'],
+    [-16, -30, 32, 15, '#ff3d00'], // torso
+    [-16, -45, 32, 15, '#1a237e'],
+    [-22, -44, 8, 24, '#1a237e'], // arms
+    [14, -44, 8, 24, '#1a237e'],
+    [-12, -68, 24, 24, '#263238', 4], // head
+    [-10, -60, 20, 14, '#f0c0a0'], // face
+    [-13, -64, 26, 12, '#212121', 2], // goggles
+    [-11, -62, 22, 8, '#ff5722', 1]
+];
+const SKIER_SHIELD = { cy: -15, r: 55 }; // drawn between the shadow and the skis
+const SKIER_NAME = { y: -90, fill: '#1a237e', size: 24 };
+const GHOST_OPACITY = 0.4;
+const TRAIL_COLOR = "rgb(200, 200, 255)";
+const RACER_COLORS = ['#e53935', '#1e88e5']; // trail and name tag of each racer, by Racer.index
+
+// Everyone on the slope: the player, or each racer in a race (see core/race.js)
+function slopeSkiers(sim) {
+    if (!sim.racers) {
+        return [{
+            player: sim.player, trails: sim.trails, color: null,
+            blinking: sim.invulnerableTicks > 0, shield: sim.powerUps.isActive('shield')
+        }];
+    }
+    return sim.racers.map(racer => ({
+        player: racer.player, trails: racer.trails, color: RACER_COLORS[racer.index],
+        blinking: racer.invulnerableTicks > 0, shield: false
+    }));
+}
+
+// The others in an online race (see online.js), drawn as skiers with their name tags
+function remoteSkiers(game) {
+    return game.onlineRun ? game.online.remoteSkiers() : [];
+}
+
+// The <defs> drawing for obstacles that are a single sprite
+function obstacleSprite(obstacle) {
+    return obstacle.type === 'powerup' ? `powerup-${obstacle.kind}` : obstacle.type;
+}
+
+// Picked-up power-ups stay in Simulation.obstacles until they scroll off, but aren't drawn
+function obstacleVisible(obstacle) {
+    return !(obstacle.type === 'powerup' && obstacle.hit);
+}
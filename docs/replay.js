@@ -0,0 +1,222 @@
+// Run recording and replay playback.
+// A run is fully determined by its seed and the input of every simulation tick,
+// so that's all a replay stores (see core/input.js for the bits). Watching one just
+// re-simulates the run.
+
+const REPLAY_FORMAT = 'andi-ski-go-replay';
+const REPLAY_VERSION = 1;
+
+function formatRunTime(ticks) {
+    const totalSeconds = Math.floor(ticks / CONFIG.TICK_RATE);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
+
+class InputRecorder {
+    constructor() {
+        this.start('', 1, DEFAULT_COURSE);
+    }
+
+    start(seed, steerScale, course, startDistance = 0, lives = 0) {
+        this.seed = seed;
+        this.steerScale = steerScale;
+        this.course = course; // raw course data, so the replay runs on the same slope
+        this.startDistance = startDistance; // editor test runs start part way down
+        this.lives = lives; // lives mode, 0 = off
+        this.runs = []; // run-length encoded: [inputBits, tickCount]
+        this.ticks = 0;
+        this.track = []; // [distance, x, jumping] for the ghost, every CONFIG.GHOST_SAMPLE_TICKS
+    }
+
+    record(bits) {
+        const last = this.runs[this.runs.length - 1];
+        if (last && last[0] === bits) {
+            last[1]++;
+        } else {
+            this.runs.push([bits, 1]);
+        }
+        this.ticks++;
+    }
+
+    // Called after the tick's movement, so the sample lines up with the input just recorded
+    sampleTrack(distance, x, isJumping) {
+        if ((this.ticks - 1) % CONFIG.GHOST_SAMPLE_TICKS !== 0) return;
+        this.track.push([Math.round(distance * 10) / 10, Math.round(x), isJumping ? 1 : 0]);
+    }
+
+    // Plain JSON-ready object describing the finished run
+    finish(summary) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            steerScale: this.steerScale,
+            course: this.course,
+            startDistance: this.startDistance,
+            lives: this.lives,
+            tickRate: CONFIG.TICK_RATE,
+            ticks: this.ticks,
+            inputs: this.runs.map(run => run.slice()),
+            track: this.track.slice(),
+            distance: Math.floor(summary.distance),
+            outcome: summary.outcome,
+            date: new Date().toISOString()
+        };
+    }
+}
+
+class Replay {
+    constructor(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not an Andi Ski Go replay file');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${data.version}`);
+        }
+        if (data.tickRate !== CONFIG.TICK_RATE || !Array.isArray(data.inputs)) {
+            throw new Error('Replay file is damaged');
+        }
+        this.data = data;
+        this.seed = String(data.seed);
+        this.steerScale = Number(data.steerScale) || 1;
+        this.course = new Course(data.course || DEFAULT_COURSE);
+        this.startDistance = Number(data.startDistance) || 0;
+        this.lives = Number(data.lives) || 0;
+
+        // Expand the runs once so seeking is a plain array lookup
+        let total = 0;
+        data.inputs.forEach(([, count]) => total += count);
+        this.bits = new Uint8Array(total);
+        let tick = 0;
+        data.inputs.forEach(([bits, count]) => {
+            this.bits.fill(bits, tick, tick + count);
+            tick += count;
+        });
+        this.ticks = total;
+    }
+
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Replay file is not valid JSON');
+        }
+        return new Replay(data);
+    }
+
+    inputAt(tick) {
+        return tick < this.ticks ? this.bits[tick] : 0;
+    }
+
+    fileName() {
+        return `andi-ski-${this.seed}-${this.data.distance}m.json`;
+    }
+
+    download() {
+        const blob = new Blob([JSON.stringify(this.data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.fileName();
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Play/pause, speed and scrub controls shown while a replay is running
+class ReplayViewer {
+    constructor(game) {
+        this.game = game;
+        this.panel = document.getElementById('replay-controls');
+        this.playBtn = document.getElementById('replay-play-btn');
+        this.exitBtn = document.getElementById('replay-exit-btn');
+        this.scrubber = document.getElementById('replay-scrubber');
+        this.timeLabel = document.getElementById('replay-time');
+        this.speedBtns = this.panel.querySelectorAll('[data-speed]');
+
+        this.replay = null;
+        this.returnScreen = null;
+        this.speed = 1;
+        this.playing = false;
+
+        this.playBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.togglePlay();
+        });
+        this.exitBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.close();
+        });
+        this.speedBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setSpeed(parseFloat(btn.dataset.speed));
+            });
+        });
+        this.scrubber.addEventListener('input', () => {
+            this.game.seekReplay(parseInt(this.scrubber.value, 10));
+        });
+    }
+
+    isOpen() {
+        return this.replay !== null;
+    }
+
+    open(replay, returnScreen) {
+        this.replay = replay;
+        this.returnScreen = returnScreen;
+        if (returnScreen) returnScreen.classList.add('hidden');
+        this.panel.classList.remove('hidden');
+        this.scrubber.max = replay.ticks;
+        this.game.enterReplay(replay);
+        this.setSpeed(1);
+        this.setPlaying(true);
+    }
+
+    close() {
+        this.game.exitReplay();
+        this.replay = null;
+        this.panel.classList.add('hidden');
+        if (this.returnScreen) this.returnScreen.classList.remove('hidden');
+    }
+
+    togglePlay() {
+        if (!this.game.isRunning()) {
+            // Finished: start over from the top
+            this.game.seekReplay(0);
+            this.setPlaying(true);
+            return;
+        }
+        this.setPlaying(!this.playing);
+    }
+
+    setPlaying(playing) {
+        this.playing = playing;
+        this.game.timeScale = playing ? this.speed : 0;
+        this.playBtn.textContent = playing ? 'Pause' : 'Play';
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.speedBtns.forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+        if (this.playing) this.game.timeScale = speed;
+    }
+
+    onReplayEnded() {
+        this.setPlaying(false);
+        this.playBtn.textContent = 'Replay';
+        this.update();
+    }
+
+    // Called every rendered frame to keep the scrubber in sync
+    update() {
+        this.scrubber.value = this.game.sim.runTick;
+        this.timeLabel.textContent = `${formatRunTime(this.game.sim.runTick)} / ${formatRunTime(this.replay.ticks)}`;
+    }
+}
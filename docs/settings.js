@@ -0,0 +1,274 @@
+// Player preferences, each kept under its own andiSkiGo.* key in localStorage,
+// and the settings panel that edits them. Changes apply right away.
+
+const BINDING_ACTIONS = ['left', 'right', 'jump', 'pause', 'mute'];
+const BINDING_SLOTS = 3; // keys per action
+const DEFAULT_BINDINGS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    jump: ['Space', 'KeyW', 'ArrowUp'],
+    pause: ['Escape', 'KeyP'],
+    mute: ['KeyM']
+};
+const BINDING_LABELS = { left: 'Steer left', right: 'Steer right', jump: 'Jump', pause: 'Pause', mute: 'Mute' };
+const KEY_LABELS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Space: 'Space', Escape: 'Esc' };
+const PLAYER_NAME_STORAGE_KEY = 'andiSkiGo.playerName'; // the name put on the leaderboard
+
+class Settings {
+    constructor() {
+        this.bindings = this.loadBindings();
+        // Touch steering was always gentler on phones (0.7), so that stays the default there
+        this.sensitivity = parseFloat(localStorage.getItem('andiSkiGo.sensitivity')) || (isMobile ? 0.7 : 1);
+        this.touchZones = localStorage.getItem('andiSkiGo.touchZones') !== 'false';
+        this.assist = localStorage.getItem('andiSkiGo.assist') === 'true'; // the bot steers out of crashes
+        this.playerName = localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || 'Andi';
+        const savedMotion = localStorage.getItem('andiSkiGo.reducedMotion');
+        this.reducedMotion = savedMotion === null ?
+            !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) : savedMotion === 'true';
+        this.volumes = this.loadVolumes();
+        this.muted = localStorage.getItem('andiSkiGo.muted') === 'true';
+        this.autoPause = localStorage.getItem('andiSkiGo.autoPause') !== 'false';
+        this.renderer = localStorage.getItem('andiSkiGo.renderer') || 'svg'; // one of RENDERERS
+    }
+
+    loadBindings() {
+        const bindings = {};
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('andiSkiGo.bindings'));
+        } catch (e) {
+            console.error("Failed to load key bindings", e);
+        }
+        BINDING_ACTIONS.forEach(action => {
+            const codes = saved && Array.isArray(saved[action]) ? saved[action] : DEFAULT_BINDINGS[action];
+            bindings[action] = codes.filter(code => typeof code === 'string').slice(0, BINDING_SLOTS);
+        });
+        return bindings;
+    }
+
+    loadVolumes() {
+        const volumes = Object.assign({}, MIXER_DEFAULTS);
+        try {
+            const saved = JSON.parse(localStorage.getItem('andiSkiGo.volumes')) || {};
+            MIXER_BUSES.forEach(bus => {
+                if (typeof saved[bus] === 'number') volumes[bus] = Math.max(0, Math.min(1, saved[bus]));
+            });
+        } catch (e) {
+            console.error("Failed to load volumes", e);
+        }
+        return volumes;
+    }
+
+    set(name, value) {
+        this[name] = value;
+        const key = name === 'playerName' ? PLAYER_NAME_STORAGE_KEY : `andiSkiGo.${name}`;
+        try {
+            localStorage.setItem(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        } catch (e) {
+            console.error("Failed to save setting", name, e);
+        }
+    }
+
+    setVolume(bus, value) {
+        this.set('volumes', Object.assign({}, this.volumes, { [bus]: value }));
+    }
+
+    actionFor(code) {
+        return BINDING_ACTIONS.find(action => this.bindings[action].includes(code)) || null;
+    }
+
+    // Put a key in an action's slot. Returns the action that already uses it, if any,
+    // in which case nothing changes.
+    bind(action, slot, code) {
+        const owner = this.actionFor(code);
+        if (owner && owner !== action) return owner;
+        const codes = this.bindings[action].filter(c => c !== code);
+        codes.splice(Math.min(slot, codes.length), 0, code);
+        this.setBindings(action, codes);
+        return null;
+    }
+
+    unbind(action, slot) {
+        const codes = this.bindings[action].slice();
+        codes.splice(slot, 1);
+        this.setBindings(action, codes);
+    }
+
+    setBindings(action, codes) {
+        this.set('bindings', Object.assign({}, this.bindings, { [action]: codes.slice(0, BINDING_SLOTS) }));
+    }
+
+    resetBindings() {
+        this.set('bindings', JSON.parse(JSON.stringify(DEFAULT_BINDINGS)));
+    }
+
+    static keyLabel(code) {
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        return code;
+    }
+
+    // "←/A" for the instructions line
+    bindingLabel(action) {
+        return this.bindings[action].map(Settings.keyLabel).join('/') || '-';
+    }
+}
+
+class SettingsPanel {
+    constructor(game) {
+        this.game = game;
+        this.settings = game.settings;
+        this.panel = document.getElementById('settings-panel');
+        this.status = document.getElementById('binding-status');
+        this.returnScreen = null;
+        this.capture = null; // { action, slot, button } while waiting for a key
+
+        this.panel.querySelectorAll('[data-action] .binding').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.startCapture(button);
+            });
+        });
+        // Capture phase, so a key being bound never reaches the game
+        window.addEventListener('keydown', (e) => {
+            if (!this.capture) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.finishCapture(e.code);
+        }, true);
+
+        this.bindButton('settings-close-btn', () => this.close());
+        this.bindButton('settings-reset-btn', () => {
+            this.settings.resetBindings();
+            this.status.textContent = 'Controls reset';
+            this.render();
+        });
+
+        const sensitivity = document.getElementById('sensitivity-input');
+        sensitivity.addEventListener('input', () => {
+            this.settings.set('sensitivity', parseFloat(sensitivity.value));
+            this.render();
+        });
+        this.bindToggle('touch-zones-toggle', 'touchZones');
+        this.bindToggle('assist-toggle', 'assist');
+        this.bindToggle('reduced-motion-toggle', 'reducedMotion');
+        const renderer = document.getElementById('renderer-select');
+        renderer.addEventListener('change', () => {
+            this.settings.set('renderer', renderer.value);
+            this.render();
+        });
+        this.panel.querySelectorAll('[data-volume]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                this.settings.setVolume(slider.dataset.volume, parseFloat(slider.value));
+                this.render();
+            });
+        });
+        this.bindToggle('mute-toggle', 'muted');
+        this.bindToggle('auto-pause-toggle', 'autoPause');
+
+        const nameInput = document.getElementById('player-name-input');
+        nameInput.addEventListener('keydown', (e) => e.stopPropagation()); // typing must not steer or jump
+        nameInput.addEventListener('change', () => {
+            this.settings.set('playerName', nameInput.value.trim().slice(0, 16) || 'Andi');
+            this.render();
+        });
+
+        this.render();
+    }
+
+    bindButton(id, handler) {
+        document.getElementById(id).addEventListener('click', (e) => {
+            e.stopPropagation();
+            handler();
+        });
+    }
+
+    bindToggle(id, name) {
+        const toggle = document.getElementById(id);
+        toggle.addEventListener('change', () => {
+            this.settings.set(name, toggle.checked);
+            this.render();
+        });
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    open(returnScreen) {
+        this.returnScreen = returnScreen;
+        if (returnScreen) returnScreen.classList.add('hidden');
+        this.status.textContent = '';
+        this.render();
+        this.panel.classList.remove('hidden');
+    }
+
+    close() {
+        this.cancelCapture();
+        this.panel.classList.add('hidden');
+        if (this.returnScreen) this.returnScreen.classList.remove('hidden');
+    }
+
+    startCapture(button) {
+        this.cancelCapture();
+        const action = button.closest('[data-action]').dataset.action;
+        const slot = parseInt(button.dataset.slot, 10);
+        this.capture = { action: action, slot: slot, button: button };
+        button.textContent = 'Press a key...';
+        button.classList.add('capturing');
+        this.status.textContent = 'Backspace clears the slot, Esc cancels';
+    }
+
+    cancelCapture() {
+        if (!this.capture) return;
+        this.capture.button.classList.remove('capturing');
+        this.capture = null;
+        this.render();
+    }
+
+    finishCapture(code) {
+        const { action, slot } = this.capture;
+        if (code === 'Escape') {
+            this.status.textContent = '';
+        } else if (code === 'Backspace' || code === 'Delete') {
+            this.settings.unbind(action, slot);
+            this.status.textContent = '';
+        } else {
+            const owner = this.settings.bind(action, slot, code);
+            this.status.textContent = owner ?
+                `${Settings.keyLabel(code)} is already used for ${BINDING_LABELS[owner]}` : '';
+        }
+        this.cancelCapture();
+        if (this.settings.bindings[action].length === 0) {
+            this.status.textContent = `${BINDING_LABELS[action]} has no key now`;
+        }
+    }
+
+    render() {
+        const s = this.settings;
+        this.panel.querySelectorAll('[data-action]').forEach(row => {
+            const codes = s.bindings[row.dataset.action];
+            row.querySelectorAll('.binding').forEach(button => {
+                const code = codes[parseInt(button.dataset.slot, 10)];
+                button.textContent = code ? Settings.keyLabel(code) : '-';
+            });
+        });
+        document.getElementById('sensitivity-input').value = s.sensitivity;
+        document.getElementById('sensitivity-value').textContent = `${Math.round(s.sensitivity * 100)}%`;
+        document.getElementById('touch-zones-toggle').checked = s.touchZones;
+        document.getElementById('assist-toggle').checked = s.assist;
+        document.getElementById('reduced-motion-toggle').checked = s.reducedMotion;
+        document.getElementById('renderer-select').value = s.renderer;
+        this.panel.querySelectorAll('[data-volume]').forEach(slider => {
+            const volume = s.volumes[slider.dataset.volume];
+            slider.value = volume;
+            slider.parentElement.querySelector('.volume-value').textContent = `${Math.round(volume * 100)}%`;
+        });
+        document.getElementById('mute-toggle').checked = s.muted;
+        document.getElementById('auto-pause-toggle').checked = s.autoPause;
+        const nameInput = document.getElementById('player-name-input');
+        if (document.activeElement !== nameInput) nameInput.value = s.playerName;
+        this.game.applySettings();
+    }
+}
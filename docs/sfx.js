@@ -0,0 +1,176 @@
+// Synthesized sound effects. Each effect is a few layers of oscillator sweeps or
+// filtered noise (the same noise buffer the ski sound uses), so nothing has to load.
+// Every play is nudged a little in pitch and volume, panned to where it happened
+// on screen, and the number of effects sounding at once is capped.
+
+const SFX_MAX_VOICES = 12;
+const SFX_PAN_WIDTH = 0.8; // how far left/right the screen edges pan
+
+// Layers: { wave, from, to } sweeps an oscillator, { noise: filter type, from, to } sweeps
+// a filter over the noise. Frequencies in Hz, times in seconds; `at` delays a layer.
+// `pitch` / `volume`: how much a single play may vary (semitones / fraction).
+const SFX = {
+    jump: {
+        pitch: 2, volume: 0.15,
+        layers: [
+            { wave: 'sine', from: 260, to: 620, duration: 0.16, gain: 0.25 },
+            { noise: 'bandpass', from: 1200, to: 3000, duration: 0.14, gain: 0.1 }
+        ]
+    },
+    land: {
+        pitch: 2, volume: 0.2,
+        layers: [
+            { noise: 'lowpass', from: 900, to: 300, duration: 0.14, gain: 0.4 },
+            { wave: 'sine', from: 140, to: 60, duration: 0.1, gain: 0.3 }
+        ]
+    },
+    'near-miss': {
+        pitch: 3, volume: 0.1,
+        layers: [{ noise: 'bandpass', from: 600, to: 4000, duration: 0.22, gain: 0.3 }]
+    },
+    crack: {
+        pitch: 1, volume: 0.1,
+        layers: [
+            { noise: 'highpass', from: 3000, to: 1500, duration: 0.08, gain: 0.5 },
+            { noise: 'lowpass', from: 1500, to: 200, duration: 0.35, gain: 0.35, at: 0.03 },
+            { wave: 'square', from: 90, to: 45, duration: 0.2, gain: 0.12 }
+        ]
+    },
+    crash: {
+        pitch: 2, volume: 0.1,
+        layers: [
+            { noise: 'lowpass', from: 2500, to: 120, duration: 0.6, gain: 0.6 },
+            { wave: 'sawtooth', from: 180, to: 40, duration: 0.35, gain: 0.2 }
+        ]
+    },
+    carousel: {
+        pitch: 0, volume: 0.1,
+        layers: [
+            { wave: 'triangle', from: 880, to: 880, duration: 0.12, gain: 0.2 },
+            { wave: 'triangle', from: 698, to: 698, duration: 0.12, gain: 0.2, at: 0.12 },
+            { wave: 'triangle', from: 587, to: 587, duration: 0.12, gain: 0.2, at: 0.24 },
+            { wave: 'sine', from: 440, to: 220, duration: 0.5, gain: 0.15, at: 0.36 }
+        ]
+    },
+    finish: {
+        pitch: 0, volume: 0,
+        layers: [
+            { noise: 'bandpass', from: 1500, to: 2500, duration: 1.2, gain: 0.25 }, // cheering
+            { wave: 'sine', from: 1568, to: 1568, duration: 0.8, gain: 0.15 },
+            { wave: 'sine', from: 2093, to: 2093, duration: 0.8, gain: 0.1, at: 0.15 }
+        ]
+    },
+    // Power-ups: played at their own pitch (see POWERUPS), this is the 440 Hz version
+    pickup: {
+        pitch: 0, volume: 0.1,
+        layers: [
+            { wave: 'square', from: 440, to: 440, duration: 0.12, gain: 0.15 },
+            { wave: 'square', from: 550, to: 550, duration: 0.12, gain: 0.15, at: 0.07 },
+            { wave: 'square', from: 660, to: 660, duration: 0.12, gain: 0.15, at: 0.14 }
+        ]
+    },
+    // Stand-ins for the voice clips when gagi.m4a / spiegelei.m4a don't load
+    gagi: {
+        pitch: 1, volume: 0,
+        layers: [
+            { wave: 'square', from: 330, to: 300, duration: 0.14, gain: 0.15 },
+            { wave: 'square', from: 440, to: 400, duration: 0.2, gain: 0.15, at: 0.16 }
+        ]
+    },
+    spiegelei: {
+        pitch: 0, volume: 0,
+        layers: [
+            { wave: 'triangle', from: 523, to: 523, duration: 0.15, gain: 0.2 },
+            { wave: 'triangle', from: 659, to: 659, duration: 0.15, gain: 0.2, at: 0.15 },
+            { wave: 'triangle', from: 784, to: 784, duration: 0.15, gain: 0.2, at: 0.3 },
+            { wave: 'triangle', from: 659, to: 659, duration: 0.3, gain: 0.2, at: 0.45 }
+        ]
+    }
+};
+
+class SoundEffects {
+    constructor(ctx, output, noiseBuffer) {
+        this.ctx = ctx;
+        this.output = output;
+        this.noiseBuffer = noiseBuffer;
+        this.voices = []; // { sources, ends }, oldest first
+    }
+
+    // x: where on screen it happened (0..CONFIG.GAME_WIDTH), pitch: frequency multiplier.
+    // Variation uses Math.random(), sound never touches the seeded course.
+    play(name, x = CONFIG.GAME_WIDTH / 2, pitch = 1) {
+        const effect = SFX[name];
+        if (!effect) return;
+        const now = this.ctx.currentTime;
+        this.voices = this.voices.filter(voice => voice.ends > now);
+        while (this.voices.length >= SFX_MAX_VOICES) this.silence(this.voices.shift());
+
+        const detune = pitch * Math.pow(2, (Math.random() * 2 - 1) * effect.pitch / 12);
+        const volume = 1 + (Math.random() * 2 - 1) * effect.volume;
+        const voice = { sources: [], ends: now };
+
+        let out = this.ctx.createGain();
+        out.gain.value = volume;
+        if (this.ctx.createStereoPanner) {
+            const panner = this.ctx.createStereoPanner();
+            const pan = (x / CONFIG.GAME_WIDTH) * 2 - 1;
+            panner.pan.value = Math.max(-1, Math.min(1, pan)) * SFX_PAN_WIDTH;
+            out.connect(panner);
+            panner.connect(this.output);
+        } else {
+            out.connect(this.output);
+        }
+
+        effect.layers.forEach(layer => {
+            const start = now + (layer.at || 0);
+            const end = start + layer.duration;
+            voice.sources.push(layer.noise ? this.noiseLayer(layer, start, end, detune, out) : this.toneLayer(layer, start, end, detune, out));
+            voice.ends = Math.max(voice.ends, end);
+        });
+        this.voices.push(voice);
+    }
+
+    toneLayer(layer, start, end, detune, out) {
+        const osc = this.ctx.createOscillator();
+        osc.type = layer.wave;
+        osc.frequency.setValueAtTime(layer.from * detune, start);
+        if (layer.to !== layer.from) osc.frequency.exponentialRampToValueAtTime(layer.to * detune, end);
+        osc.connect(this.envelope(layer, start, end, out));
+        osc.start(start);
+        osc.stop(end);
+        return osc;
+    }
+
+    noiseLayer(layer, start, end, detune, out) {
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = layer.noise;
+        filter.frequency.setValueAtTime(layer.from * detune, start);
+        filter.frequency.exponentialRampToValueAtTime(layer.to * detune, end);
+        source.connect(filter);
+        filter.connect(this.envelope(layer, start, end, out));
+        source.start(start, Math.random() * Math.max(0, this.noiseBuffer.duration - layer.duration));
+        source.stop(end);
+        return source;
+    }
+
+    // Fast attack, exponential decay to silence at `end`
+    envelope(layer, start, end, out) {
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(layer.gain, start + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, end);
+        gain.connect(out);
+        return gain;
+    }
+
+    // Voice stealing: cut the oldest effect short
+    silence(voice) {
+        voice.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (e) {}
+        });
+    }
+}
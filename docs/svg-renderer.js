@@ -0,0 +1,372 @@
+// The original look: everything on the slope is an SVG node, mostly a <use> of a drawing in
+// <defs>, moved by its transform every frame. Nodes are made the first time something shows
+// up and kept with it; obstacles are pooled, so their nodes come back along with them.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const SVG_TRAIL_CHUNK = 16; // trail points per path element
+
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+    return element;
+}
+
+function svgUse(id) {
+    const use = svgElement("use");
+    use.setAttributeNS(XLINK_NS, "href", `#${id}`);
+    return use;
+}
+
+function svgRect([x, y, width, height, fill, radius]) {
+    const rect = svgElement("rect", { x: x, y: y, width: width, height: height, fill: fill });
+    if (radius) rect.setAttribute("rx", radius);
+    return rect;
+}
+
+class SvgRenderer {
+    constructor(svg) {
+        this.svg = svg;
+        // Update SVG viewBox to match calculated config (for mobile support)
+        svg.setAttribute("viewBox", `0 0 ${CONFIG.GAME_WIDTH} ${CONFIG.GAME_HEIGHT}`);
+        this.worldCamera = svg.querySelector('#world-camera');
+        this.bgGroup = svg.querySelector('#background-layer');
+        const slopeGroup = svg.querySelector('#slope-group');
+        const playerGroup = svg.querySelector('#player-group');
+
+        this.obstacleGroup = slopeGroup.appendChild(svgElement("g"));
+        this.jjGroup = slopeGroup.appendChild(svgElement("g"));
+        this.effectGroup = slopeGroup.appendChild(svgElement("g")); // particles and score popups
+        this.trailGroup = svg.querySelector('#trail-group');
+        this.trails = []; // one SvgTrail per skier, see slopeSkiers()
+        this.ghost = this.createSkier();
+        this.ghost.element.classList.add('ghost');
+        this.ghost.element.setAttribute("opacity", GHOST_OPACITY);
+        playerGroup.appendChild(this.ghost.element);
+        this.remoteGroup = playerGroup.appendChild(svgElement("g"));
+        this.remotes = [];
+        this.skierGroup = playerGroup.appendChild(svgElement("g"));
+        this.skiers = [];
+        // JJ barriers go over the skier, so trees and rocks can't hide them
+        this.barrierGroup = playerGroup.appendChild(svgElement("g"));
+
+        this.obstacles = new Map(); // Obstacle -> its nodes
+        this.frame = 0;
+        this.patches = [];
+        this.particles = [];
+        this.popups = [];
+        this.rope = this.jjGroup.appendChild(svgElement("line", { stroke: "#5d4037", "stroke-width": 3, y1: 0, y2: 0 }));
+        this.jj = this.jjGroup.appendChild(svgElement("use"));
+        this.jjType = null;
+    }
+
+    mount() {
+        this.worldCamera.removeAttribute("display");
+        this.bgGroup.removeAttribute("display");
+    }
+
+    // The <defs> stay put, the HUD and the canvas renderer draw from them too
+    unmount() {
+        this.worldCamera.setAttribute("display", "none");
+        this.bgGroup.setAttribute("display", "none");
+    }
+
+    render(game, alpha, view) {
+        this.frame++;
+        const sim = game.sim;
+        this.worldCamera.setAttribute("transform", `translate(${view.x}, ${view.y})`);
+        this.bgGroup.setAttribute("transform", `translate(${view.background}, 0)`);
+        this.renderPatches(sim.bgManager.patches, alpha);
+        const skiers = slopeSkiers(sim);
+        // Trail points all scroll together, so one group offset interpolates a whole trail
+        this.nodesFor(this.trails, skiers.length, this.trailGroup, () => new SvgTrail());
+        skiers.forEach((skier, i) => {
+            this.trails[i].render(skier.trails, sim.lastScrollStep * (1 - alpha), skier.color || TRAIL_COLOR);
+        });
+        this.renderObstacles(sim.obstacles, alpha);
+        this.renderPoopingJJ(sim.poopingJJ, alpha);
+        this.renderParticles(sim.particleSystem.particles, alpha);
+        this.renderPopups(sim.scorePopups.popups, alpha);
+        this.renderSkier(this.ghost, game.ghost && game.ghost.player, alpha);
+        const remotes = remoteSkiers(game);
+        this.nodesFor(this.remotes, remotes.length, this.remoteGroup, () => this.createSkier());
+        remotes.forEach((remote, i) => {
+            this.renderSkier(this.remotes[i], remote.player, alpha);
+            this.remotes[i].element.classList.toggle('blinking', remote.blinkTicks > 0);
+        });
+        this.nodesFor(this.skiers, skiers.length, this.skierGroup, () => this.createSkier());
+        skiers.forEach((skier, i) => {
+            const node = this.skiers[i];
+            this.renderSkier(node, skier.player, alpha);
+            node.element.classList.toggle('blinking', skier.blinking);
+            node.shield.setAttribute("visibility", skier.shield ? "visible" : "hidden");
+            node.name.setAttribute("fill", skier.color || SKIER_NAME.fill);
+        });
+    }
+
+    // The first `count` of `nodes` in `group`, the rest taken out; made with `create` as needed
+    nodesFor(nodes, count, group, create) {
+        while (nodes.length < count) nodes.push(create());
+        nodes.forEach((node, i) => {
+            if (i < count) {
+                if (!node.element.parentNode) group.appendChild(node.element);
+            } else if (node.element.parentNode) {
+                node.element.remove();
+            }
+        });
+    }
+
+    renderPatches(patches, alpha) {
+        this.nodesFor(this.patches, patches.length, this.bgGroup, () => ({
+            element: svgElement("ellipse", { cx: 0, cy: 0, fill: "rgba(255,255,255,0.4)" })
+        }));
+        patches.forEach((p, i) => {
+            const node = this.patches[i];
+            if (node.patch !== p) {
+                node.patch = p;
+                node.element.setAttribute("rx", p.rx);
+                node.element.setAttribute("ry", p.ry);
+            }
+            node.element.setAttribute("transform", `translate(${p.x}, ${lerp(p.prevY, p.y, alpha)})`);
+        });
+    }
+
+    renderObstacles(obstacles, alpha) {
+        obstacles.forEach(obstacle => {
+            if (!obstacleVisible(obstacle)) return;
+            let node = this.obstacles.get(obstacle);
+            if (!node) {
+                node = this.createObstacle(obstacle);
+                this.obstacles.set(obstacle, node);
+            }
+            if (!node.element.parentNode) {
+                (obstacle.type === 'jj-barrier' ? this.barrierGroup : this.obstacleGroup).appendChild(node.element);
+            }
+            node.frame = this.frame;
+            this.updateObstacle(node, obstacle, lerp(obstacle.prevY, obstacle.y, alpha));
+        });
+        // Scrolled off, picked up or cleared by a restart
+        this.obstacles.forEach(node => {
+            if (node.frame !== this.frame && node.element.parentNode) node.element.remove();
+        });
+    }
+
+    createObstacle(obstacle) {
+        const node = { element: null, frame: 0 };
+        if (obstacle.type === 'jj-barrier') {
+            node.element = svgElement("g");
+            node.crack = node.element.appendChild(svgUse('ice-crack'));
+            node.kid = node.element.appendChild(svgElement("g"));
+            node.kid.appendChild(svgUse('kid'));
+        } else if (obstacle.type === 'gate') {
+            // Two flags with the banners pointing away from the gap, and a line marking it
+            node.element = svgElement("g");
+            const half = CONFIG.GATE_WIDTH / 2;
+            node.element.appendChild(svgElement("line", { x1: -half, y1: 0, x2: half, y2: 0, class: "gate-line" }));
+            [[-half, -1], [half, 1]].forEach(([x, flip]) => {
+                const pole = node.element.appendChild(svgUse('flag'));
+                pole.setAttribute("transform", `translate(${x}, 0) scale(${flip}, 1)`);
+            });
+        } else {
+            node.element = svgElement("use");
+        }
+        return node;
+    }
+
+    updateObstacle(node, obstacle, y) {
+        const element = node.element;
+        if (obstacle.type === 'jj-barrier') {
+            element.setAttribute("transform", `translate(${obstacle.x}, ${y})`);
+            node.crack.setAttribute("transform", `translate(0, -30) scale(${obstacle.crackScale}, 1)`);
+            node.kid.setAttribute("transform", `translate(${obstacle.kidOffsetX}, ${-30 - obstacle.kidJump}) scale(2.4)`);
+            return;
+        }
+        if (obstacle.type === 'gate') {
+            element.setAttribute("transform", `translate(${obstacle.x}, ${y})`);
+            element.classList.toggle('gate-passed', obstacle.judged && obstacle.passed);
+            element.classList.toggle('gate-missed', obstacle.judged && !obstacle.passed);
+            return;
+        }
+        const sprite = obstacleSprite(obstacle);
+        if (node.sprite !== sprite) {
+            node.sprite = sprite;
+            element.setAttributeNS(XLINK_NS, "href", `#${sprite}`);
+        }
+        if (obstacle.type === 'ditch') {
+            element.setAttribute("transform", `translate(${obstacle.x}, ${y}) scale(${obstacle.scaleX}, 1)`);
+        } else if (obstacle.type === 'carousel') {
+            element.setAttribute("transform", `translate(${obstacle.x}, ${y}) scale(2) rotate(${obstacle.rotation})`);
+        } else if (OBSTACLE_SCALES[obstacle.type]) {
+            element.setAttribute("transform", `translate(${obstacle.x}, ${y}) scale(${OBSTACLE_SCALES[obstacle.type]})`);
+        } else {
+            element.setAttribute("x", obstacle.x); element.setAttribute("y", y);
+        }
+    }
+
+    renderPoopingJJ(jj, alpha) {
+        this.jj.setAttribute("display", jj ? "inline" : "none");
+        this.rope.setAttribute("display", jj && jj.rope ? "inline" : "none");
+        if (!jj) return;
+        if (this.jjType !== jj.type) {
+            this.jjType = jj.type;
+            this.jj.setAttributeNS(XLINK_NS, "href", `#${jj.type}-kid`);
+        }
+        const x = lerp(jj.prevX, jj.x, alpha);
+        const y = lerp(jj.prevY, jj.y, alpha);
+        this.jj.setAttribute("transform", `translate(${x}, ${y + jj.bob}) scale(1) rotate(${jj.angle})`);
+        if (jj.rope) {
+            this.rope.setAttribute("x1", jj.rope.x1);
+            this.rope.setAttribute("x2", jj.rope.x2);
+            this.rope.setAttribute("transform", `translate(0, ${y - 45})`); // Approx hand height
+        }
+    }
+
+    renderParticles(particles, alpha) {
+        this.nodesFor(this.particles, particles.length, this.effectGroup, () => ({ element: svgElement("rect") }));
+        particles.forEach((p, i) => {
+            const node = this.particles[i];
+            if (node.size !== p.size || node.color !== p.color) {
+                node.size = p.size;
+                node.color = p.color;
+                node.element.setAttribute("width", p.size);
+                node.element.setAttribute("height", p.size);
+                node.element.setAttribute("fill", p.color);
+            }
+            const x = lerp(p.prevX, p.x, alpha);
+            const y = lerp(p.prevY, p.y, alpha);
+            node.element.setAttribute("transform", `translate(${x}, ${y}) rotate(${p.life * 360})`);
+            node.element.setAttribute("opacity", p.life);
+        });
+    }
+
+    renderPopups(popups, alpha) {
+        this.nodesFor(this.popups, popups.length, this.effectGroup, () => ({
+            element: svgElement("text", { class: "score-popup", "text-anchor": "middle" })
+        }));
+        popups.forEach((p, i) => {
+            const node = this.popups[i];
+            if (node.text !== p.text) {
+                node.text = p.text;
+                node.element.textContent = p.text;
+            }
+            node.element.setAttribute("x", p.x);
+            node.element.setAttribute("y", lerp(p.prevY, p.y, alpha));
+            node.element.setAttribute("opacity", ScorePopups.opacity(p));
+        });
+    }
+
+    createSkier() {
+        const element = svgElement("g");
+        element.appendChild(svgRect(SKIER_SHADOW));
+        const shield = element.appendChild(svgElement("circle", {
+            cy: SKIER_SHIELD.cy, r: SKIER_SHIELD.r, class: "shield-bubble", visibility: "hidden"
+        }));
+        SKIER_SKIS.forEach(part => element.appendChild(svgRect(part)));
+        const body = element.appendChild(svgElement("g"));
+        SKIER_BODY.forEach(part => body.appendChild(svgRect(part)));
+        const name = body.appendChild(svgElement("text", {
+            x: 0, y: SKIER_NAME.y, "text-anchor": "middle", fill: SKIER_NAME.fill,
+            "font-family": "Arial", "font-weight": "bold", "font-size": SKIER_NAME.size
+        }));
+        return { element: element, shield: shield, body: body, name: name };
+    }
+
+    renderSkier(skier, player, alpha) {
+        skier.element.setAttribute("display", player && !player.hidden ? "inline" : "none");
+        if (!player || player.hidden) return;
+        const x = lerp(player.prevX, player.x, alpha);
+        const y = lerp(player.prevY, player.y, alpha);
+        skier.element.setAttribute("transform", `translate(${x}, ${y}) scale(${player.scale}) rotate(${player.angle})`);
+        skier.body.setAttribute("transform", `translate(0, ${player.bobOffset})`);
+        if (skier.name.textContent !== player.name) skier.name.textContent = player.name;
+    }
+}
+
+// The trail as a chain of short paths: only the newest one is rewritten as points come in,
+// older ones stay as they are until their points expire.
+class SvgTrail {
+    constructor() {
+        // Opacity on the group rather than the strokes, so chunk joins don't show as darker dots
+        this.element = svgElement("g", { opacity: 0.6 });
+        this.color = null;
+        this.chunks = []; // { first, last, left, right }, oldest first; first/last are point numbers
+        this.spareChunks = [];
+        this.drawn = 0; // points drawn so far
+        this.source = null; // the SkiTrails drawn, a race has one per racer
+        this.version = -1; // SkiTrails.version they were drawn from
+    }
+
+    render(trails, offset, color) {
+        if (color !== this.color) {
+            this.color = color;
+            this.element.setAttribute("stroke", color); // the paths inherit it
+        }
+        const oldest = trails.oldest();
+        if (trails !== this.source || trails.version !== this.version) {
+            // New run, other skier or rebased coordinates: start over
+            this.chunks.forEach(chunk => this.releaseChunk(chunk));
+            this.chunks = [];
+            this.source = trails;
+            this.version = trails.version;
+        }
+        while (this.chunks.length > 0 && this.chunks[0].last < oldest) {
+            this.releaseChunk(this.chunks.shift());
+        }
+        this.drawn = Math.max(this.drawn, oldest);
+        if (this.chunks.length === 0) this.drawn = oldest;
+
+        if (this.drawn < trails.total) {
+            let chunk = this.chunks[this.chunks.length - 1];
+            for (let index = this.drawn; index < trails.total; index++) {
+                if (!chunk || chunk.last - chunk.first >= SVG_TRAIL_CHUNK) {
+                    // Start from the previous point so the line has no gap between chunks
+                    const first = chunk ? chunk.last : index;
+                    if (chunk) this.drawChunk(chunk, trails);
+                    chunk = this.acquireChunk(first);
+                    this.chunks.push(chunk);
+                }
+                chunk.last = index;
+            }
+            this.drawChunk(chunk, trails);
+            this.drawn = trails.total;
+        }
+        this.element.setAttribute("transform", `translate(0, ${offset - trails.scroll})`);
+    }
+
+    drawChunk(chunk, trails) {
+        let left = '';
+        let right = '';
+        for (let i = chunk.first; i <= chunk.last; i++) {
+            const command = i === chunk.first ? 'M' : ' L';
+            left += `${command} ${trails.pointX(i) - 10} ${trails.pointY(i)}`;
+            right += `${command} ${trails.pointX(i) + 10} ${trails.pointY(i)}`;
+        }
+        chunk.left.setAttribute("d", left);
+        chunk.right.setAttribute("d", right);
+    }
+
+    acquireChunk(first) {
+        const chunk = this.spareChunks.pop() || {
+            left: this.createPath(),
+            right: this.createPath()
+        };
+        chunk.first = first;
+        chunk.last = first;
+        this.element.appendChild(chunk.left);
+        this.element.appendChild(chunk.right);
+        return chunk;
+    }
+
+    releaseChunk(chunk) {
+        chunk.left.remove();
+        chunk.right.remove();
+        this.spareChunks.push(chunk);
+    }
+
+    createPath() {
+        return svgElement("path", {
+            "stroke-width": 4, fill: "none",
+            "stroke-linecap": "round", "stroke-linejoin": "round"
+        });
+    }
+}
@@ -0,0 +1,334 @@
+// Reference server for online races (docs/online.js), no dependencies beyond Node itself:
+//
+//   node server/race-server.mjs         then open http://localhost:8080/
+//   PORT=9000 node server/race-server.mjs
+//
+// It serves the game from docs/ and takes WebSocket connections on the same port. Players
+// join a lobby by name; when one of them starts a race, everyone in the lobby gets the same
+// seed of Andi's Slope and a countdown. From then on each client runs its own simulation and
+// sends where its skier is; the server relays that, and crashes, finishes and drop-outs, to
+// the rest of the lobby and sends the final standings once everyone is done.
+//
+// The server doesn't simulate the slope, but it does know the slope can't scroll faster than
+// CONFIG.MAX_SPEED, so it drops any progress that gets further than that since the start.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG, DEFAULT_COURSE, SeededRandom, raceStandings } from '../docs/core/index.js';
+import { acceptWebSocket } from './websocket.mjs';
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const DOCS_ROOT = fileURLToPath(new URL('../docs/', import.meta.url));
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.m4a': 'audio/mp4'
+};
+
+const LOBBY_NAME = /^[A-Z0-9-]{1,16}$/;
+const LOBBY_MAX_PLAYERS = 8;
+const PLAYER_NAME_LENGTH = 16;
+const RACE_COUNTDOWN_MS = 3000;
+const RACE_SLACK_MS = 500; // leeway on the speed check, for timers and the network
+const RACER_TIMEOUT_MS = 10000; // a racer we haven't heard from in this long is out
+const RACE_CHECK_MS = 1000;
+// Online races are always on Andi's Slope: its top speed is CONFIG.MAX_SPEED, which the
+// speed check relies on (endless levels and editor courses can go faster)
+const RACE_FINISH_DISTANCE = DEFAULT_COURSE.finishDistance;
+const METERS_PER_MS = CONFIG.MAX_SPEED * CONFIG.METER_SCALE / CONFIG.FIXED_DT;
+
+// Furthest anyone can have got `elapsed` ms after the start
+function maxDistance(elapsed) {
+    return Math.max(0, elapsed + RACE_SLACK_MS) * METERS_PER_MS;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// What everyone sees of a racer, in the standings and the results
+function racerSummary(racer) {
+    return {
+        id: racer.id,
+        name: racer.name,
+        distance: Math.floor(racer.distance),
+        finishTick: racer.finishTick,
+        out: racer.out,
+        deathCause: racer.deathCause
+    };
+}
+
+class Lobby {
+    constructor(name) {
+        this.name = name;
+        this.members = new Map(); // id -> Member
+        this.race = null; // the race on right now
+    }
+
+    broadcast(message, except = null) {
+        const text = JSON.stringify(message);
+        this.members.forEach(member => {
+            if (member !== except) member.connection.send(text);
+        });
+    }
+
+    // Who's in, and whether they'd have to wait for the next race
+    sendMembers() {
+        this.broadcast({
+            type: 'lobby',
+            lobby: this.name,
+            players: [...this.members.values()].map(member => ({ id: member.id, name: member.name })),
+            racing: this.race !== null
+        });
+    }
+}
+
+class Race {
+    constructor(lobby, lives) {
+        this.seed = SeededRandom.randomSeed();
+        this.lives = lives;
+        this.startTime = Date.now() + RACE_COUNTDOWN_MS;
+        this.racers = new Map(); // id -> racer, everyone who was in the lobby at the start
+        lobby.members.forEach(member => {
+            this.racers.set(member.id, {
+                id: member.id,
+                name: member.name,
+                distance: 0,
+                finishTick: null,
+                out: false,
+                deathCause: null,
+                lastHeard: this.startTime
+            });
+        });
+        this.timer = null;
+    }
+
+    isDone() {
+        return [...this.racers.values()].every(racer => racer.out || racer.finishTick !== null);
+    }
+}
+
+class RaceServer {
+    constructor() {
+        this.lobbies = new Map(); // name -> Lobby
+        this.nextId = 1;
+    }
+
+    connect(connection) {
+        const member = { id: this.nextId++, name: 'Skier', lobby: null, connection };
+        connection.onmessage = text => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                this.sendError(member, 'Messages must be JSON');
+                return;
+            }
+            this.handle(member, message || {});
+        };
+        connection.onclose = () => this.leave(member);
+    }
+
+    send(member, message) {
+        member.connection.send(JSON.stringify(message));
+    }
+
+    sendError(member, text) {
+        this.send(member, { type: 'error', message: text });
+    }
+
+    handle(member, message) {
+        if (message.type === 'join') {
+            this.join(member, message);
+            return;
+        }
+        const lobby = member.lobby;
+        if (!lobby) {
+            this.sendError(member, 'Join a lobby first');
+            return;
+        }
+        switch (message.type) {
+            case 'start':
+                this.startRace(lobby, message.lives === true);
+                break;
+            case 'leave':
+                this.leave(member);
+                break;
+            case 'state':
+            case 'crash':
+            case 'finish':
+            case 'out':
+                this.handleRaceMessage(lobby, member, message);
+                break;
+            default:
+                this.sendError(member, `Unknown message type ${message.type}`);
+        }
+    }
+
+    join(member, message) {
+        const lobbyName = String(message.lobby || '').trim().toUpperCase();
+        if (!LOBBY_NAME.test(lobbyName)) {
+            this.sendError(member, 'Lobby names are 1-16 letters, digits or dashes');
+            return;
+        }
+        // Out of the old lobby first, so joining the same one again doesn't count us twice
+        // or bring back a lobby that emptied when we left
+        this.leave(member);
+        const lobby = this.lobbies.get(lobbyName) || new Lobby(lobbyName);
+        if (lobby.members.size >= LOBBY_MAX_PLAYERS) {
+            this.sendError(member, `Lobby ${lobbyName} is full`);
+            return;
+        }
+        member.name = String(message.name || '').trim().slice(0, PLAYER_NAME_LENGTH) || 'Skier';
+        member.lobby = lobby;
+        lobby.members.set(member.id, member);
+        this.lobbies.set(lobbyName, lobby);
+        this.send(member, { type: 'welcome', id: member.id, lobby: lobbyName });
+        lobby.sendMembers();
+    }
+
+    // Out of the lobby, and out of its race if one is on
+    leave(member) {
+        const lobby = member.lobby;
+        if (!lobby) return;
+        member.lobby = null;
+        lobby.members.delete(member.id);
+        const racer = lobby.race && lobby.race.racers.get(member.id);
+        if (racer && !racer.out && racer.finishTick === null) this.knockOut(lobby, racer, 'left');
+        if (lobby.members.size === 0) {
+            if (lobby.race) clearInterval(lobby.race.timer);
+            lobby.race = null;
+            this.lobbies.delete(lobby.name);
+            return;
+        }
+        this.checkRace(lobby);
+        lobby.sendMembers();
+    }
+
+    startRace(lobby, lives) {
+        if (lobby.race) return; // somebody else pressed start first
+        const race = new Race(lobby, lives);
+        lobby.race = race;
+        lobby.broadcast({
+            type: 'countdown',
+            seed: race.seed,
+            lives: race.lives,
+            startsIn: RACE_COUNTDOWN_MS,
+            racers: [...race.racers.values()].map(racer => ({ id: racer.id, name: racer.name }))
+        });
+        lobby.sendMembers();
+        race.timer = setInterval(() => this.checkRace(lobby), RACE_CHECK_MS);
+        console.log(`Lobby ${lobby.name}: race on seed ${race.seed} with ${race.racers.size} racer(s)`);
+    }
+
+    handleRaceMessage(lobby, member, message) {
+        const race = lobby.race;
+        const racer = race && race.racers.get(member.id);
+        if (!racer || racer.out || racer.finishTick !== null) return; // late news from a race that's over for them
+        const now = Date.now();
+        const elapsed = now - race.startTime;
+        const reach = racer.distance + maxDistance(now - racer.lastHeard); // furthest they can be by now
+        racer.lastHeard = now;
+
+        if (message.type === 'state') {
+            const { tick, distance, x } = message;
+            if (!isNumber(tick) || !isNumber(distance) || !isNumber(x)) {
+                this.sendError(member, 'Bad state message');
+                return;
+            }
+            if (distance > maxDistance(elapsed)) {
+                this.reject(member, racer, distance, maxDistance(elapsed), elapsed);
+                return;
+            }
+            racer.distance = Math.max(racer.distance, distance);
+            lobby.broadcast({ type: 'state', id: racer.id, tick, distance, x, jumping: message.jumping ? 1 : 0 }, member);
+        } else if (message.type === 'crash') {
+            lobby.broadcast({ type: 'crash', id: racer.id, lives: isNumber(message.lives) ? message.lives : 0 }, member);
+        } else if (message.type === 'finish') {
+            // Crossing the line on `tick` means covering the whole course by then,
+            // no client can be further into the race than we are, and the line
+            // has to be in reach from where they last said they were
+            const tick = message.tick;
+            if (!isNumber(tick) || tick * CONFIG.FIXED_DT > elapsed + RACE_SLACK_MS ||
+                tick * CONFIG.FIXED_DT * METERS_PER_MS < RACE_FINISH_DISTANCE || reach < RACE_FINISH_DISTANCE) {
+                this.reject(member, racer, RACE_FINISH_DISTANCE, Math.min(reach, maxDistance(elapsed)), elapsed);
+                return;
+            }
+            racer.distance = RACE_FINISH_DISTANCE;
+            racer.finishTick = Math.round(tick);
+            lobby.broadcast({ type: 'finish', id: racer.id, tick: racer.finishTick }, member);
+            this.checkRace(lobby);
+        } else {
+            if (isNumber(message.distance) && message.distance <= maxDistance(elapsed)) {
+                racer.distance = Math.max(racer.distance, message.distance);
+            }
+            this.knockOut(lobby, racer, String(message.cause || 'crash').slice(0, 16), member);
+            this.checkRace(lobby);
+        }
+    }
+
+    // Progress the slope doesn't allow: it doesn't count and isn't passed on
+    reject(member, racer, distance, limit, elapsed) {
+        console.log(`Rejected ${racer.name} at ${Math.round(distance)}m, ${Math.round(limit)}m is the most after ${elapsed}ms`);
+        this.send(member, { type: 'rejected', reason: 'Faster than the slope allows' });
+    }
+
+    knockOut(lobby, racer, cause, except = null) {
+        racer.out = true;
+        racer.deathCause = cause;
+        lobby.broadcast({ type: 'out', id: racer.id, cause, distance: racer.distance }, except);
+    }
+
+    // Time out racers that went quiet, and wrap up once everyone is done
+    checkRace(lobby) {
+        const race = lobby.race;
+        if (!race) return;
+        const now = Date.now();
+        race.racers.forEach(racer => {
+            if (!racer.out && racer.finishTick === null && now - racer.lastHeard > RACER_TIMEOUT_MS) {
+                this.knockOut(lobby, racer, 'timeout');
+            }
+        });
+        if (lobby.race !== race || !race.isDone()) return;
+        clearInterval(race.timer);
+        lobby.race = null;
+        lobby.broadcast({ type: 'results', standings: raceStandings([...race.racers.values()]).map(racerSummary) });
+        lobby.sendMembers();
+    }
+}
+
+// Plain file server for docs/, so one command runs the whole thing locally
+async function serveFile(request, response) {
+    const path = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const file = normalize(join(DOCS_ROOT, path.endsWith('/') ? path + 'index.html' : path));
+    if (!file.startsWith(DOCS_ROOT)) {
+        response.writeHead(403).end();
+        return;
+    }
+    try {
+        const body = await readFile(file);
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] || 'application/octet-stream' });
+        response.end(body);
+    } catch (e) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+    }
+}
+
+const raceServer = new RaceServer();
+const server = createServer((request, response) => {
+    serveFile(request, response).catch(() => response.writeHead(400).end());
+});
+server.on('upgrade', (request, socket) => {
+    const connection = acceptWebSocket(request, socket);
+    if (connection) raceServer.connect(connection);
+});
+server.listen(PORT, () => {
+    console.log(`Andi Ski Go race server on http://localhost:${PORT}/ (WebSocket ws://localhost:${PORT}/)`);
+});
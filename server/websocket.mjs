@@ -0,0 +1,178 @@
+// Just enough WebSocket (RFC 6455) for the race server, on plain Node sockets: the opening
+// handshake, and text messages in and out. No extensions, no binary messages.
+
+import { createHash } from 'node:crypto';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // fixed by the RFC
+const MAX_MESSAGE_BYTES = 16 * 1024; // race messages are tiny, anything bigger is junk
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// Close codes
+const CLOSE_NORMAL = 1000;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_UNSUPPORTED = 1003;
+const CLOSE_TOO_BIG = 1009;
+
+// Answer an HTTP upgrade request. Returns the connection, or null after turning the request down.
+export function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    if (request.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\n\r\n');
+        return null;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket);
+}
+
+// One frame from the server: never masked, never fragmented
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN
+    return Buffer.concat([header, payload]);
+}
+
+export class WebSocketConnection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0); // bytes of a frame that hasn't fully arrived yet
+        this.fragments = []; // payloads of a text message split over several frames
+        this.closed = false;
+        this.onmessage = () => {}; // (text)
+        this.onclose = () => {};
+
+        socket.setNoDelay(true); // positions go out many times a second, don't hold them back
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')));
+    }
+
+    close(code = CLOSE_NORMAL, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroySoon();
+        this.onclose();
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Take one whole frame off the front of the buffer, or null if it hasn't all arrived
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            // Way past MAX_MESSAGE_BYTES either way, no need for the high bits
+            length = buffer.readUInt32BE(2) > 0 ? Infinity : buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        // Browsers always mask what they send, a frame that isn't is from something else
+        if (!masked) {
+            this.close(CLOSE_PROTOCOL_ERROR, 'Frames must be masked');
+            return null;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(CLOSE_TOO_BIG, 'Message too big');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_CONTINUATION:
+                if ((opcode === OPCODE_TEXT) !== (this.fragments.length === 0)) {
+                    this.close(CLOSE_PROTOCOL_ERROR, 'Unexpected frame');
+                    return;
+                }
+                this.fragments.push(payload);
+                if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+                    this.close(CLOSE_TOO_BIG, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onmessage(text);
+                }
+                break;
+            case OPCODE_BINARY:
+                this.close(CLOSE_UNSUPPORTED, 'Text messages only');
+                break;
+            case OPCODE_CLOSE:
+                this.close();
+                break;
+            case OPCODE_PING:
+                this.socket.write(encodeFrame(OPCODE_PONG, payload));
+                break;
+            case OPCODE_PONG:
+                break;
+            default:
+                this.close(CLOSE_PROTOCOL_ERROR, 'Unknown opcode');
+        }
+    }
+}
@@ -0,0 +1,20 @@
+// The bot as a course checker: whatever the seed, the generated slope has to be skiable
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Course, DEFAULT_COURSE, SLALOM_COURSE, Simulation, Autopilot } from '../docs/core/index.js';
+
+const SEEDS = ['ANDI', 'SKI', 'GO', 'A1B2C3', 'POOPER', 'JJ'];
+
+[DEFAULT_COURSE, SLALOM_COURSE].forEach(data => {
+    test(`the bot gets down ${data.name} on every seed`, () => {
+        SEEDS.forEach(seed => {
+            const sim = new Simulation(seed, new Course(data));
+            const bot = new Autopilot(sim);
+            while (!sim.isOver()) sim.step(() => bot.input());
+            assert.equal(sim.state, 'VICTORY',
+                `seed ${seed}: ${sim.deathCause} at ${Math.round(sim.distance)}m`);
+        });
+    });
+});
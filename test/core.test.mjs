@@ -0,0 +1,77 @@
+// The simulation core headless, the way it was split out of game.js to be tested:
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CONFIG, Course, DEFAULT_COURSE, ENDLESS_COURSE, OBSTACLE_SCALES, OBSTACLE_SHAPES, PLAYER_SHAPE,
+    Simulation, INPUT_LEFT, INPUT_RIGHT
+} from '../docs/core/index.js';
+
+const SEEDS = ['ANDI', 'SKI', 'GO', 'A1B2C3', 'POOPER', 'JJ', 'CAROUSEL', 'SLOPE'];
+const TREE_HALF_WIDTH = 20 * OBSTACLE_SCALES.tree; // the tree drawing is 40 wide at its base
+const PLAYER_WIDTH = PLAYER_SHAPE[1][0] - PLAYER_SHAPE[0][0];
+
+// Narrowest space between two trees of a row the path walls spawn, after each tree's
+// hitbox (jitter included, the trees are where they'd really go)
+function narrowestGap(sim) {
+    const first = sim.obstacles.length;
+    sim.spawnWallTrees();
+    const trees = sim.obstacles.splice(first);
+    trees.forEach(tree => sim.obstaclePool.release(tree));
+    const xs = trees.map(tree => tree.x).sort((a, b) => a - b);
+    let gap = Infinity;
+    for (let i = 1; i < xs.length; i++) gap = Math.min(gap, xs[i] - xs[i - 1] - TREE_HALF_WIDTH * 2);
+    return gap;
+}
+
+// Run the path alone down the course at its top speed, the way step() moves it along
+function walkPath(seed, course, distance, check) {
+    const sim = new Simulation(seed, course);
+    while (sim.distance < distance) {
+        sim.segment = course.segmentAt(sim.distance);
+        sim.scrollSpeed = sim.segment.maxSpeed;
+        sim.distance += sim.scrollSpeed * CONFIG.METER_SCALE;
+        sim.frameCount++;
+        sim.updatePath();
+        if (sim.frameCount % 10 === 0 && sim.segment.trees) check(sim);
+    }
+}
+
+test('updatePath never leaves a gap narrower than the skier', () => {
+    const courses = [[DEFAULT_COURSE, DEFAULT_COURSE.finishDistance], [ENDLESS_COURSE, 8000]];
+    courses.forEach(([data, distance]) => {
+        SEEDS.forEach(seed => {
+            walkPath(seed, new Course(data), distance, sim => {
+                const gap = narrowestGap(sim);
+                assert.ok(gap >= PLAYER_WIDTH,
+                    `${data.name} seed ${seed}: ${Math.round(gap)}px gap at ${Math.round(sim.distance)}m`);
+            });
+        });
+    });
+});
+
+test('the carousel at 750m reverses the controls', () => {
+    const event = DEFAULT_COURSE.events.find(e => e.type === 'carousel' && e.at === 750);
+    assert.ok(event && event.reverse, 'the default course has a reversing carousel at 750m');
+    SEEDS.forEach(seed => {
+        const course = new Course(DEFAULT_COURSE);
+        const sim = new Simulation(seed, course);
+        sim.start(seed, course, 0, 1, 700);
+        // Ski straight through whatever's in the way: while invulnerable nothing ends a one-life run
+        sim.invulnerableTicks = Infinity;
+        while (sim.state === 'PLAYING' && !sim.carouselActive && sim.distance < 1000) {
+            sim.step();
+        }
+        assert.equal(sim.state, 'PLAYING', `seed ${seed}: got to the carousel`);
+        assert.ok(sim.carouselActive, `seed ${seed}: reversed by ${Math.round(sim.distance)}m`);
+        assert.ok(sim.distance >= 750, `seed ${seed}: not reversed before 750m`);
+
+        let x = sim.player.x;
+        sim.step(INPUT_LEFT);
+        assert.ok(sim.player.x > x, `seed ${seed}: left steers right`);
+        x = sim.player.x;
+        sim.step(INPUT_RIGHT);
+        assert.ok(sim.player.x < x, `seed ${seed}: right steers left`);
+    });
+});